@@ -1,10 +1,8 @@
 // ai.js
-const Groq = require("groq-sdk");
-const OpenAI = require("openai");
-require("dotenv").config();
-
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
- 
+// Prompts for each pipeline stage. The model/provider per stage is configured in llm.js.
+const { complete } = require("./llm");
+const { inlineParameters } = require("./sqlGuard");
+const { loadSqlPrompt } = require("./schemaPrompt");
 
 const getExtractionPrompt = () => `
 You are a Named Entity Recognition (NER) system.
@@ -25,19 +23,19 @@ Your goal is to extract **Key Search Terms** from the user's query for a databas
 Return valid JSON: {"entities": ["Term1", "Term2"]}
 `;
 
-async function extractEntities(userQuery) {
+// onUsage (optional) receives the token usage of the completion (see llm.js)
+async function extractEntities(userQuery, { onUsage } = {}) {
   try {
-    const completion = await groq.chat.completions.create({
+    const { content } = await complete("extraction", {
       messages: [
         { role: "system", content: getExtractionPrompt() },
         { role: "user", content: `Query: "${userQuery}"` },
       ],
-      model: "llama-3.3-70b-versatile",
       temperature: 0,
-      response_format: { type: "json_object" } // Enforce JSON
+      responseFormat: { type: "json_object" }, // Enforce JSON
+      onUsage,
     });
     
-    const content = completion.choices[0]?.message?.content;
     const parsed = JSON.parse(content);
     return parsed.entities || [];
   } catch (error) {
@@ -46,189 +44,78 @@ async function extractEntities(userQuery) {
   }
 }
 
-const getSystemPrompt = () => `
-You are an expert SQL Analyst for an EdTech platform. Your goal is to generate accurate, robust PostgreSQL queries based on natural language questions.
-
-### **1. DATABASE SCHEMA (Star Schema)**
-
-**Fact Table: fact_sessions (alias: fs)**
-- session_id (UUID): Unique ID for every single class session.
-- pst_date (DATE): **The Master Date.** recorded in Pacific Time. ALWAYS use this for "When", "Year", "Month", or "Quarter" filters.
-- average_rating (NUMERIC): The score (1.0 to 5.0) given by students. Use this for "Performance", "CSAT", or "Quality".
-- responses (INT): The count of students who submitted a rating. **Crucial for Weighted Averages.** (Low responses = low confidence).
-- attended (INT): The total headcount of students in the Zoom/Class. Use this for "Popularity", "Traffic", or "Attendance".
-- rated_pct (NUMERIC): (Responses / Attended * 100). Use this for "Engagement" or "Response Rate".
-- Foreign Keys: instructor_id, class_id, domain_id, topic_id
-
-**Dimension Tables:**
-
-**1. dim_instructor (alias: di)**
-- full_name: The instructor's complete name (e.g., 'Konstantinos Pappas').
-- region: **INSTRUCTOR REGION.** Where the *teacher* lives (e.g., 'India', 'US', 'Europe'). Do NOT use for class timing/location.
-
-**2. dim_class (alias: dc)**
-- class_name: The specific subject title (e.g., 'System Design - Scalability').
-- region: **CLASS REGION.** The target audience location (e.g., 'US' means the class was scheduled for US students). **Default to this region** if user just says "US classes".
-
-**3. dim_domain (alias: dd)**
-- domain_name: The high-level category (e.g., 'Data Science', 'Backend', 'Full Stack').
-  * *Note: If user asks for "Track" or "Course", they usually mean Domain.*
-
-**4. dim_topic (alias: dt)**
-- topic_code: The type of session.
-  * 'Live Class' = Standard teaching session.
-  * 'Test Review' = Reviewing exam questions.
-  * 'Career Skills' = Non-technical soft skills.
-  * *Note: Always use ILIKE '%Live Class%' if user implies standard teaching.*
-
-### **2. CRITICAL RULES**
-
-1.  **Join Logic:** Always JOIN \`fact_sessions\` with relevant dimensions to filter by name or region.
-    - \`JOIN dim_instructor di ON fs.instructor_id = di.instructor_id\`
-    - \`JOIN dim_class dc ON fs.class_id = dc.class_id\`
-    - \`JOIN dim_domain dd ON fs.domain_id = dd.domain_id\`
-    - \`JOIN dim_topic dt ON fs.topic_id = dt.topic_id\`
-
-2.  **Date Filtering:** - Use the **PST** column \`fs.pst_date\`.
-    - Extract Year/Month dynamically: \`EXTRACT(YEAR FROM fs.pst_date) = 2024\`.
-    - **NEVER** use \`session_ts_utc\` or timezone conversions.
-    - Example: "Jan 2024" -> \`WHERE fs.pst_date >= '2024-01-01' AND fs.pst_date <= '2024-01-31'\`
-
-3.  **Robust Partial Matching (The "ILIKE" Rule):**
-    - Users rarely provide exact names. **NEVER** use \`=\` for text comparisons unless specifically instructed by Context.
-    - **Instructors:** \`WHERE di.full_name ILIKE '%Parivesh%'\`
-    - **Classes:** \`WHERE dc.class_name ILIKE '%System Design%'\`
-    - **Domains:** \`WHERE dd.domain_name ILIKE '%Data Science%'\`
-    - **Topics:** \`WHERE dt.topic_code ILIKE '%Live Class%'\`
-
-4.  **Metric Calculation (Decimal Precision):**
-    - **ALL numeric outputs must be rounded to 2 decimal places.**
-    - **Simple Average:** \`ROUND(AVG(fs.average_rating), 2)\`
-    - **Weighted Average:** \`ROUND((SUM(fs.average_rating * fs.responses) / NULLIF(SUM(fs.responses), 0))::numeric, 2)\`
-    - **Response Rate:** \`ROUND(AVG(fs.rated_pct), 2)\`
-
-5.  **Grouping Safety:**
-    - If you select a non-aggregated column (e.g., \`di.full_name\`), you **MUST** include it in the \`GROUP BY\` clause.
-
-6.  **"Full Details" Rule:**
-    - If user asks for "details", "list", or "show me" sessions:
-    - **DO NOT** use \`SELECT *\`.
-    - **ALWAYS** select human-readable columns:
-      \`SELECT fs.pst_date, dc.class_name, di.full_name, dd.domain_name, dt.topic_code, fs.average_rating, fs.students_attended\`
-
-7.  **No IDs:** - Never include \`instructor_id\`, \`class_id\`, etc. in the final output unless explicitly asked.
-
-8. VARIANCE & CONSISTENCY RULES:
-- When user asks for "variation", "consistency", "stability", or "volatility":
-  - Use STDDEV_POP(metric)
-  - Always include HAVING COUNT(*) >= 3
-  - Never return NULL variance values
-
-### **3. MENTAL MODELS & EXAMPLES**
-
-**User:** "What is the weighted average for US live classes? and mention total no of session"
-\`\`\`sql
-SELECT 
-    ROUND((SUM(fs.average_rating * fs.responses) / NULLIF(SUM(fs.responses), 0))::numeric, 2) as weighted_average,
-    COUNT(fs.session_id) as total_sessions
-FROM fact_sessions fs
-JOIN dim_class dc ON fs.class_id = dc.class_id
-JOIN dim_topic dt ON fs.topic_id = dt.topic_id
-WHERE dt.topic_code ILIKE '%Live Class%'
-  AND dc.region ILIKE 'US'; -- Explicitly filters by Class Region, NOT Instructor
-\`\`\`
-
-  **User:** "How many students attended System Design classes in Jan 2024?"
-\`\`\`sql
-SELECT SUM(fs.attended)
-FROM fact_sessions fs
-JOIN dim_class dc ON fs.class_id = dc.class_id
-WHERE dc.class_name ILIKE '%System Design%'
-  AND fs.pst_date >= '2024-01-01' AND fs.pst_date <= '2024-01-31';
-\`\`\`
-
-**User:** "Who is the highest rated instructor?"
-\`\`\`sql
-SELECT di.full_name, ROUND(AVG(fs.average_rating), 2) as avg_rating
-FROM fact_sessions fs
-JOIN dim_instructor di ON fs.instructor_id = di.instructor_id
-GROUP BY di.full_name
-ORDER BY avg_rating DESC
-LIMIT 1;
-\`\`\`
-
-
-**User:** "Trend for Backend domain"
-\`\`\`sql
-WITH monthly_data AS (
-  SELECT
-    EXTRACT(YEAR FROM fs.pst_date) as year,
-    EXTRACT(MONTH FROM fs.pst_date) as month,
-    ROUND(AVG(fs.average_rating), 2) AS avg_rating
-  FROM fact_sessions fs
-  JOIN dim_domain dd ON fs.domain_id = dd.domain_id
-  WHERE dd.domain_name ILIKE '%Backend%'
-  GROUP BY 1, 2
-)
-SELECT
-  year, month, avg_rating,
-  LAG(avg_rating) OVER (ORDER BY year, month) AS prev_month,
-  ROUND(avg_rating - LAG(avg_rating) OVER (ORDER BY year, month), 2) AS change
-FROM monthly_data
-ORDER BY year, month;
-\`\`\`
+// Rebuilds the prompt a past turn was answered with (question + resolver context).
+// Its placeholders are shown as literals: they only meant something for that turn's parameters.
+const formatTurnPrompt = (turn) => {
+  const resolved = (turn.resolved || []).map(line => inlineParameters(line, turn.params));
+  return resolved.length > 0
+    ? `${turn.question}\n\n(SYSTEM CONTEXT:\n${resolved.join("\n")}\n)`
+    : turn.question;
+};
+
+/**
+ * Generates SQL for a question. Earlier turns of the conversation are replayed
+ * as question/SQL pairs so follow-ups ("what about Backend?") keep their filters.
+ * When earlier attempts failed, they are replayed as well (the SQL the model
+ * wrote, then the error it caused) so the model can correct its own query.
+ * @param {string} prompt The user question plus resolver context.
+ * @param {Object} options
+ * @param {Array<{question, resolved, sql, params}>} options.history Previous turns of the conversation.
+ * @param {Array<{sql: string, error: string}>} options.failedAttempts Previous attempts that did not run.
+ * @param {Array<{question, sql}>} options.examples Verified examples similar to the question (see examples.js).
+ * @param {Function} [options.onUsage] Receives the token usage of the completion (see llm.js).
+ * @returns {Promise<string>} The SQL query text.
+ */
+async function getAiSql(prompt, { history = [], failedAttempts = [], examples = [], onUsage } = {}) {
+  // The schema part is generated from the database catalog, the rules from prompts/sql-prompt.json
+  const { prompt: systemPrompt } = await loadSqlPrompt();
+  const messages = [{ role: "system", content: systemPrompt }];
+
+  if (examples.length > 0) {
+    messages.push({
+      role: "system",
+      content: "### **3. MENTAL MODELS & EXAMPLES**\nVerified queries for similar questions:\n\n" +
+        examples.map(e => `**User:** "${e.question}"\n\`\`\`sql\n${e.sql}\n\`\`\``).join("\n\n")
+    });
+  }
 
-**User:** "Highest Rated Instructor (Weighted) in Data Science"
-\`\`\`sql
-SELECT
-  di.full_name,
-  ROUND((SUM(fs.average_rating * fs.responses) / NULLIF(SUM(fs.responses), 0))::numeric, 2) AS weighted_avg
-FROM fact_sessions fs
-JOIN dim_instructor di ON fs.instructor_id = di.instructor_id
-JOIN dim_domain dd ON fs.domain_id = dd.domain_id
-WHERE dd.domain_name ILIKE '%Data Science%'
-GROUP BY di.full_name
-ORDER BY weighted_avg DESC
-LIMIT 1;
-\`\`\`
+  if (history.length > 0) {
+    messages.push({
+      role: "system",
+      content: "The user is continuing a conversation. Follow-up questions may refer to earlier ones " +
+        "(\"what about Backend?\", \"show their trend\"). Keep the earlier filters and entities unless the new question replaces them."
+    });
+    for (const turn of history) {
+      messages.push({ role: "user", content: formatTurnPrompt(turn) });
+      messages.push({ role: "assistant", content: inlineParameters(turn.sql, turn.params) || "" });
+    }
+  }
 
-**User:** "Compare Jan vs Feb 2024 performance"
-\`\`\`sql
-WITH comparison AS (
-  SELECT
-    dc.class_name,
-    ROUND(AVG(CASE WHEN EXTRACT(MONTH FROM fs.pst_date) = 1 THEN fs.average_rating END), 2) AS jan_avg,
-    ROUND(AVG(CASE WHEN EXTRACT(MONTH FROM fs.pst_date) = 2 THEN fs.average_rating END), 2) AS feb_avg
-  FROM fact_sessions fs
-  JOIN dim_class dc ON fs.class_id = dc.class_id
-  WHERE fs.pst_date >= '2024-01-01' AND fs.pst_date <= '2024-02-29'
-  GROUP BY dc.class_name
-)
-SELECT class_name, jan_avg, feb_avg, ROUND(feb_avg - jan_avg, 2) AS improvement
-FROM comparison
-WHERE jan_avg IS NOT NULL AND feb_avg IS NOT NULL
-ORDER BY improvement DESC;
-\`\`\`
+  messages.push({ role: "user", content: prompt });
 
-**OUTPUT:** Return ONLY the SQL query. No markdown, no explanations.
-`;
+  for (const attempt of failedAttempts) {
+    messages.push({ role: "assistant", content: attempt.sql || "" });
+    messages.push({
+      role: "user",
+      content: `That query failed with this error:\n${attempt.error}\n\n` +
+        `Fix the query so it runs against the schema above and still answers the original question. Return ONLY the corrected SQL.`
+    });
+  }
 
-async function getAiSql(prompt) {
-  const completion = await groq.chat.completions.create({
-    messages: [
-      { role: "system", content: getSystemPrompt() },
-      { role: "user", content: prompt },
-    ],
-    model: "llama-3.3-70b-versatile",
+  const { content } = await complete("sql", {
+    messages,
     temperature: 0,
+    onUsage,
   });
-  return completion.choices[0]?.message?.content?.replace(/```sql|```/g, "").trim();
+  return content?.replace(/```sql|```/g, "").trim();
 }
 
 // =========================================================
 // 3. SUMMARY GENERATION (The "Senior Analyst")
 // =========================================================
-async function getAiSummary(userQuery, sql, data) {
+// onToken (optional) receives the summary as it is generated, for streaming responses;
+// onUsage (optional) receives the token usage of the completion
+async function getAiSummary(userQuery, sql, data, history = [], { onToken, onUsage } = {}) {
     if (!data || data.length === 0) return "No results found in the database matching your criteria.";
 
     // SMART SLICING:
@@ -241,8 +128,13 @@ async function getAiSummary(userQuery, sql, data) {
         datasetContext += `\n...(Dataset truncated. Total rows returned: ${data.length}. Analyze the visible top 50 rows.)`;
     }
 
+    // Earlier questions and answers, so the summary can say "compared to Data Science..."
+    const conversationContext = history.length > 0
+        ? "Conversation so far:\n" + history.map((t, i) => `Q${i + 1}: ${t.question}\nA${i + 1}: ${t.summary || "-"}`).join("\n") + "\n\n"
+        : "";
+
     try {
-        const completion = await groq.chat.completions.create({
+        const { content } = await complete("summary", {
           messages: [
             { 
               role: "system", 
@@ -260,14 +152,15 @@ async function getAiSummary(userQuery, sql, data) {
             },
             { 
               role: "user", 
-              content: `User Question: "${userQuery}"\n\nSQL Context: ${sql}\n\nDataset:\n${datasetContext}` 
+              content: `${conversationContext}User Question: "${userQuery}"\n\nSQL Context: ${sql}\n\nDataset:\n${datasetContext}` 
             },
           ],
-          model: "llama-3.3-70b-versatile", // Upgraded to 70b for smarter analysis
           temperature: 0.2, // Low temp for factual accuracy
+          onToken,
+          onUsage,
         });
 
-        return completion.choices[0]?.message?.content;
+        return content;
     } catch (error) {
         console.error("[AI] Summary generation failed:", error);
         return "Query executed successfully. Please check the data table for details.";
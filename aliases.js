@@ -0,0 +1,78 @@
+// aliases.js
+// Admin management of dim_value_alias: curated nicknames and abbreviations ("ds" -> Data Science)
+// that the resolver treats as exact hits. Aliases added here are stored as 'manual', so
+// etl/generate_aliases.mjs keeps them when it rebuilds the generated ones.
+
+const { pool } = require("./db");
+
+// Where each entity's canonical values live (same as etl/generate_aliases.mjs)
+const DIMENSIONS = {
+  instructor: { dimTable: "dim_instructor", nameCol: "full_name" },
+  domain: { dimTable: "dim_domain", nameCol: "domain_name" },
+  class: { dimTable: "dim_class", nameCol: "class_name" },
+  topic: { dimTable: "dim_topic", nameCol: "topic_code" },
+};
+
+const COLUMNS = "alias_id::int AS id, entity, alias, canonical, source";
+
+/**
+ * Raised for alias changes that can't be applied. Carries the HTTP status for the API response.
+ */
+class AliasError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AliasError";
+    this.status = status;
+  }
+}
+
+/**
+ * Lists aliases by entity and alias.
+ * @param {Object} filters { entity, source ('generated' or 'manual'), q (text in the alias or canonical value) }
+ */
+async function listAliases({ entity, source, q } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS} FROM dim_value_alias
+     WHERE ($1::text IS NULL OR entity = $1)
+       AND ($2::text IS NULL OR source = $2)
+       AND ($3::text IS NULL OR alias ILIKE $3 OR canonical ILIKE $3)
+     ORDER BY entity, alias, canonical`,
+    [entity || null, source || null, q ? `%${q}%` : null]
+  );
+  return rows;
+}
+
+/**
+ * Adds a manual alias. The canonical value must exist in its dimension table.
+ * @param {Object} alias { entity, alias, canonical }
+ * @returns {Promise<Object>} The stored alias.
+ * @throws {AliasError} 400 for invalid input or an unknown canonical value.
+ */
+async function createAlias({ entity, alias, canonical }) {
+  const dimension = DIMENSIONS[entity];
+  if (!dimension) throw new AliasError(`entity must be one of ${Object.keys(DIMENSIONS).join(", ")}`);
+  const cleanAlias = String(alias || "").trim().toLowerCase();
+  if (!cleanAlias) throw new AliasError("alias is required");
+
+  const { rows: matches } = await pool.query(
+    `SELECT ${dimension.nameCol} AS name FROM ${dimension.dimTable} WHERE lower(${dimension.nameCol}) = lower($1) LIMIT 1`,
+    [String(canonical || "").trim()]
+  );
+  if (matches.length === 0) throw new AliasError(`No ${entity} named "${canonical}"`);
+
+  // An existing generated alias for the same pair becomes manual
+  const { rows } = await pool.query(
+    `INSERT INTO dim_value_alias (entity, canonical, alias, source) VALUES ($1, $2, $3, 'manual')
+     ON CONFLICT (entity, alias, canonical) DO UPDATE SET source = 'manual'
+     RETURNING ${COLUMNS}`,
+    [entity, matches[0].name, cleanAlias]
+  );
+  return rows[0];
+}
+
+async function deleteAlias(id) {
+  const { rowCount } = await pool.query("DELETE FROM dim_value_alias WHERE alias_id = $1", [id]);
+  return rowCount > 0;
+}
+
+module.exports = { listAliases, createAlias, deleteAlias, AliasError };
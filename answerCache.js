@@ -0,0 +1,121 @@
+// answerCache.js
+// Cache of answered questions, keyed on the normalized question plus the resolved entities.
+// A hit reuses the SQL (no SQL generation); the rows and summary are reused too while the data is unchanged.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+// How long a cached question is reused (0 turns the cache off)
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const configuredTtl = parseInt(process.env.ANSWER_CACHE_TTL_MS, 10);
+const CACHE_TTL_MS = Number.isNaN(configuredTtl) ? DEFAULT_CACHE_TTL_MS : configuredTtl;
+// Larger results only cache their SQL
+const MAX_CACHED_ROWS = parseInt(process.env.ANSWER_CACHE_MAX_ROWS, 10) || 5000;
+
+function isAnswerCacheEnabled() {
+  return CACHE_TTL_MS > 0;
+}
+
+// "Who is the highest-rated instructor?" and "who is the highest rated instructor" share an entry
+function normalizeQuestion(question) {
+  return question.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * The cache key of a question. The resolved entities (context and bind values), the earlier
+ * turns of a follow-up and the SQL prompt version are part of the key, since they change the SQL the model writes.
+ * @param {Object} request { question, contextMessages, params, history, promptVersion }
+ * @returns {string} A SHA-256 hex digest.
+ */
+function answerCacheKey({ question, contextMessages = [], params = [], history = [], promptVersion = null }) {
+  const material = JSON.stringify({
+    question: normalizeQuestion(question),
+    promptVersion,
+    contextMessages,
+    params,
+    history: history.map(turn => ({ question: turn.question, sql: turn.sql, params: turn.params })),
+  });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+// The same scope always gives the same key, whatever the order of its lists
+function scopeKey(scope) {
+  if (!scope) return "all";
+  const sorted = (list) => (Array.isArray(list) ? [...list].sort() : null);
+  return JSON.stringify({ regions: sorted(scope.regions), domains: sorted(scope.domains) });
+}
+
+/**
+ * Looks a question up. The SQL is reused for any scope; the rows and summary only for the
+ * same scope and while the star schema is unchanged (see star_schema_version in schema.sql).
+ * @param {string} key From answerCacheKey.
+ * @param {Object|null} scope The asking user's data scope.
+ * @param {Object} options { bypass: true } skips the lookup but still returns the data version.
+ * @returns {Promise<{dataVersion: string, sql: string|null, params: Array, createdAt: Date|null,
+ *   answer: {data: Array, summary: string}|null}>}
+ */
+async function lookupAnswer(key, scope, { bypass = false } = {}) {
+  // A new sequence reports last_value 1 before its first nextval() too, so that state reads as 0
+  const { rows: [version] } = await pool.query(
+    "SELECT (CASE WHEN is_called THEN last_value ELSE 0 END)::text AS data_version FROM star_schema_version"
+  );
+  const miss = { dataVersion: version.data_version, sql: null, params: [], createdAt: null, answer: null };
+  if (bypass) return miss;
+
+  const { rows } = await pool.query(
+    `SELECT sql_query AS sql, params, data, summary, created_at,
+       (scope_key = $2 AND data_version = $3 AND data IS NOT NULL) AS current
+     FROM answer_cache
+     WHERE cache_key = $1 AND created_at > now() - make_interval(secs => $4)
+     ORDER BY current DESC, created_at DESC
+     LIMIT 1`,
+    [key, scopeKey(scope), version.data_version, CACHE_TTL_MS / 1000]
+  );
+  const entry = rows[0];
+  if (!entry) return miss;
+
+  return {
+    dataVersion: version.data_version,
+    sql: entry.sql,
+    params: entry.params,
+    createdAt: entry.created_at,
+    answer: entry.current ? { data: entry.data, summary: entry.summary } : null,
+  };
+}
+
+/**
+ * Caches an answer for `scope` at the data version read before its SQL ran, and drops
+ * expired entries. Caching never fails the request: errors are only reported.
+ * @param {string} key From answerCacheKey.
+ * @param {Object|null} scope The asking user's data scope.
+ * @param {string} dataVersion From lookupAnswer.
+ * @param {Object} answer { question, sql, params, data, summary }
+ */
+async function storeAnswer(key, scope, dataVersion, { question, sql, params, data, summary }) {
+  const cacheable = data.length <= MAX_CACHED_ROWS;
+  try {
+    await pool.query(
+      `INSERT INTO answer_cache (cache_key, scope_key, question, sql_query, params, data, summary, data_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (cache_key, scope_key) DO UPDATE SET
+         question = EXCLUDED.question, sql_query = EXCLUDED.sql_query, params = EXCLUDED.params, data = EXCLUDED.data,
+         summary = EXCLUDED.summary, data_version = EXCLUDED.data_version, created_at = now()`,
+      [
+        key, scopeKey(scope), question, sql, JSON.stringify(params || []),
+        cacheable ? JSON.stringify(data) : null, cacheable ? summary : null, dataVersion
+      ]
+    );
+    await pool.query(
+      "DELETE FROM answer_cache WHERE created_at <= now() - make_interval(secs => $1)", [CACHE_TTL_MS / 1000]
+    );
+  } catch (e) {
+    console.error("[AnswerCache] Failed to store answer:", e.message);
+  }
+}
+
+// Forgets a question's cached SQL once it stops working (e.g. after a schema change)
+async function forgetAnswer(key) {
+  await pool.query("DELETE FROM answer_cache WHERE cache_key = $1", [key]);
+}
+
+module.exports = { isAnswerCacheEnabled, normalizeQuestion, answerCacheKey, lookupAnswer, storeAnswer, forgetAnswer };
@@ -0,0 +1,278 @@
+// auth.js
+// Users, roles and login sessions. Local users sign in with a password (scrypt hashes);
+// an OIDC provider module can be plugged in with AUTH_OIDC_PROVIDER (see oidcStub.js).
+
+const crypto = require("crypto");
+const path = require("path");
+const { promisify } = require("util");
+const { pool } = require("./db");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Cumulative: each role can do everything the ones before it can
+const ROLES = ["viewer", "analyst", "admin"];
+const SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._@-]{2,64}$/;
+
+// `t` is the table alias, for queries that join app_users.
+// `scope` is null for users who see every session, else { regions, domains } (either may be null).
+const userColumns = (t = "") =>
+  `${t}user_id::int AS id, ${t}username, ${t}display_name, ${t}role, ${t}auth_provider, ${t}disabled,
+   CASE WHEN ${t}scope_regions IS NULL AND ${t}scope_domains IS NULL THEN NULL
+        ELSE jsonb_build_object('regions', ${t}scope_regions, 'domains', ${t}scope_domains) END AS scope,
+   ${t}created_at, ${t}last_login_at`;
+
+/**
+ * Raised for failed logins and user changes that can't be applied.
+ * Carries the HTTP status for the API response.
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (hex).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(String(password), Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new AuthError(`role must be one of ${ROLES.join(", ")}`, 400);
+  return role;
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  return password;
+}
+
+function checkUsername(username) {
+  const clean = String(username || "").trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(clean)) {
+    throw new AuthError("username must be 2-64 characters: letters, digits, '.', '_', '@' or '-'", 400);
+  }
+  return clean;
+}
+
+// Matches scope values to the spelling in the dimension tables, so "india" becomes "India"
+async function canonicalValues(values, sql, label) {
+  if (values === null || values === undefined) return null;
+  if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== "string" || !v.trim())) {
+    throw new AuthError(`scope ${label} must be null or a non-empty list of names`, 400);
+  }
+  const { rows } = await pool.query(sql);
+  const known = new Map(rows.map(r => [r.name.toLowerCase(), r.name]));
+  const unknown = values.filter(v => !known.has(v.trim().toLowerCase()));
+  if (unknown.length > 0) throw new AuthError(`Unknown ${label}: ${unknown.join(", ")}`, 400);
+  return [...new Set(values.map(v => known.get(v.trim().toLowerCase())))];
+}
+
+/**
+ * Checks a data scope against the regions and domains in the data.
+ * @param {Object|null} scope { regions, domains }; null (or both lists null) means every session.
+ * @returns {Promise<{regions: string[]|null, domains: string[]|null}>}
+ * @throws {AuthError} 400 for malformed scopes and unknown regions or domains.
+ */
+async function checkScope(scope) {
+  if (scope === null) return { regions: null, domains: null };
+  if (typeof scope !== "object" || Array.isArray(scope)) throw new AuthError("scope must be null or { regions, domains }", 400);
+  return {
+    regions: await canonicalValues(scope.regions, `SELECT region AS name FROM dim_class WHERE region IS NOT NULL
+      UNION SELECT region FROM dim_instructor WHERE region IS NOT NULL`, "regions"),
+    domains: await canonicalValues(scope.domains, "SELECT domain_name AS name FROM dim_domain", "domains"),
+  };
+}
+
+/**
+ * Creates a local user.
+ * @param {Object} user { username, password, displayName, role, scope }
+ * @returns {Promise<Object>} The user (without the password hash).
+ * @throws {AuthError} 400 for invalid input, 409 for a taken username.
+ */
+async function createUser({ username, password, displayName = null, role = "viewer", scope = null }) {
+  const cleanName = checkUsername(username);
+  const { regions, domains } = await checkScope(scope);
+  const hash = await hashPassword(checkPassword(password));
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO app_users (username, display_name, password_hash, role, scope_regions, scope_domains)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${userColumns()}`,
+      [cleanName, displayName, hash, checkRole(role), regions, domains]
+    );
+    return rows[0];
+  } catch (e) {
+    if (e.code === "23505") throw new AuthError(`A user named "${cleanName}" already exists`, 409);
+    throw e;
+  }
+}
+
+async function listUsers() {
+  const { rows } = await pool.query(`SELECT ${userColumns()} FROM app_users ORDER BY username`);
+  return rows;
+}
+
+/**
+ * Changes a user's role, display name, password, data scope or disabled flag. Omitted fields
+ * are kept; `scope: null` removes the restriction. A new scope applies to the user's next query.
+ * Disabling a user or changing their password ends their sessions.
+ * @returns {Promise<Object|null>} The updated user, or null if it does not exist.
+ */
+async function updateUser(id, { role, displayName, password, disabled, scope }) {
+  const hash = password !== undefined ? await hashPassword(checkPassword(password)) : null;
+  const newScope = scope !== undefined ? await checkScope(scope) : null;
+  const { rows } = await pool.query(
+    `UPDATE app_users SET
+       role = COALESCE($2, role),
+       display_name = COALESCE($3, display_name),
+       password_hash = COALESCE($4, password_hash),
+       disabled = COALESCE($5, disabled),
+       scope_regions = CASE WHEN $6 THEN $7::text[] ELSE scope_regions END,
+       scope_domains = CASE WHEN $6 THEN $8::text[] ELSE scope_domains END
+     WHERE user_id = $1
+     RETURNING ${userColumns()}`,
+    [id, role !== undefined ? checkRole(role) : null, displayName ?? null, hash,
+      disabled !== undefined ? Boolean(disabled) : null, Boolean(newScope), newScope?.regions ?? null, newScope?.domains ?? null]
+  );
+  if (rows[0] && (hash || disabled)) await pool.query("DELETE FROM user_sessions WHERE user_id = $1", [id]);
+  return rows[0] || null;
+}
+
+// Starts a session and returns its token; only the hash is stored
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await pool.query(
+    "INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)",
+    [hashToken(token), userId, expiresAt]
+  );
+  await pool.query("UPDATE app_users SET last_login_at = now() WHERE user_id = $1", [userId]);
+  return { token, expiresAt };
+}
+
+/**
+ * Checks a username and password and starts a session.
+ * @returns {Promise<{user: Object, token: string, expiresAt: Date}>}
+ * @throws {AuthError} 401 for unknown users, wrong passwords and disabled accounts alike.
+ */
+async function login(username, password) {
+  const { rows } = await pool.query(
+    `SELECT ${userColumns()}, password_hash FROM app_users WHERE username = $1 AND auth_provider = 'local'`,
+    [String(username || "").trim().toLowerCase()]
+  );
+  const found = rows[0];
+  const valid = await verifyPassword(password || "", found ? found.password_hash : DUMMY_HASH);
+  if (!found || !valid || found.disabled) throw new AuthError("Invalid username or password");
+
+  const { password_hash, ...user } = found;
+  return { user, ...(await createSession(user.id)) };
+}
+
+// The OIDC provider module named by AUTH_OIDC_PROVIDER, or null when OIDC is off
+function loadOidcProvider() {
+  const modulePath = process.env.AUTH_OIDC_PROVIDER;
+  return modulePath ? require(path.resolve(modulePath)) : null;
+}
+
+/**
+ * Signs in with an ID token from the configured OIDC provider. The provider's
+ * verifyIdToken(idToken) returns { sub, username, name, role }; unknown subjects become
+ * new users with the returned role, or AUTH_OIDC_DEFAULT_ROLE (viewer).
+ * @returns {Promise<{user: Object, token: string, expiresAt: Date}>}
+ * @throws {AuthError} 404 if OIDC is not configured, 401 if the token is rejected.
+ */
+async function loginWithOidc(idToken) {
+  const provider = loadOidcProvider();
+  if (!provider) throw new AuthError("OIDC login is not configured", 404);
+
+  let claims;
+  try {
+    claims = await provider.verifyIdToken(idToken);
+  } catch (e) {
+    throw new AuthError(`OIDC token rejected: ${e.message}`);
+  }
+  const role = ROLES.includes(claims.role) ? claims.role : null;
+
+  const username = checkUsername(claims.username || claims.sub);
+  let rows;
+  try {
+    ({ rows } = await pool.query(
+      `INSERT INTO app_users (username, display_name, role, auth_provider, external_id)
+       VALUES ($1, $2, COALESCE($3, $4), 'oidc', $5)
+       ON CONFLICT (external_id) DO UPDATE SET
+         display_name = COALESCE(EXCLUDED.display_name, app_users.display_name),
+         role = COALESCE($3, app_users.role)
+       RETURNING ${userColumns()}`,
+      [username, claims.name || null, role, checkRole(process.env.AUTH_OIDC_DEFAULT_ROLE || "viewer"), String(claims.sub)]
+    ));
+  } catch (e) {
+    // A local account already uses the name
+    if (e.code === "23505") throw new AuthError(`A user named "${username}" already exists`, 409);
+    throw e;
+  }
+  const user = rows[0];
+  if (user.disabled) throw new AuthError("Invalid username or password");
+  return { user, ...(await createSession(user.id)) };
+}
+
+/**
+ * @returns {Promise<Object|null>} The user of a live session, or null.
+ */
+async function getSessionUser(token) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `SELECT ${userColumns("u.")}
+     FROM user_sessions s JOIN app_users u USING (user_id)
+     WHERE s.token_hash = $1 AND s.expires_at > now() AND NOT u.disabled`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+async function endSession(token) {
+  if (token) await pool.query("DELETE FROM user_sessions WHERE token_hash = $1", [hashToken(token)]);
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_MS,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  createUser,
+  listUsers,
+  updateUser,
+  login,
+  loginWithOidc,
+  getSessionUser,
+  endSession,
+  AuthError,
+};
@@ -0,0 +1,103 @@
+// conversations.js
+// Stores the turns of each conversation so follow-up questions keep their context.
+// A conversation belongs to the user who asked in it; anyone else gets a 404.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+// How many previous turns are sent back to the model
+const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Raised for conversations the caller can't use. Carries the HTTP status.
+ */
+class ConversationError extends Error {
+  constructor(message, status = 404) {
+    super(message);
+    this.name = "ConversationError";
+    this.status = status;
+  }
+}
+
+function isValidConversationId(id) {
+  return typeof id === "string" && UUID_PATTERN.test(id);
+}
+
+function newConversationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Makes sure `username` may add to a conversation: it is new, or every turn in it is theirs.
+ * @param {string} conversationId The conversation UUID.
+ * @param {string} username Who wants to continue it.
+ * @throws {ConversationError} 404 if someone else asked in it.
+ */
+async function checkConversationOwner(conversationId, username) {
+  const { rowCount } = await pool.query(
+    "SELECT 1 FROM conversation_turns WHERE conversation_id = $1 AND asked_by <> $2 LIMIT 1",
+    [conversationId, username]
+  );
+  if (rowCount > 0) throw new ConversationError("Conversation not found");
+}
+
+/**
+ * Fetches the most recent turns of a conversation, oldest first.
+ * @param {string} conversationId The conversation UUID.
+ * @param {string} owner Username whose turns to return; other users' conversations come back empty.
+ * @param {number} limit Maximum number of turns to return.
+ * @returns {Promise<Array<{turn_id, question, entities, resolved, sql, params, summary}>>}
+ */
+async function getHistory(conversationId, owner, limit = HISTORY_TURNS) {
+  const { rows } = await pool.query(
+    `SELECT turn_id::int AS turn_id, question, entities, resolved, sql_query AS sql, params, summary, created_at
+     FROM conversation_turns
+     WHERE conversation_id = $1 AND asked_by = $2
+     ORDER BY turn_id DESC
+     LIMIT $3`,
+    [conversationId, owner, limit]
+  );
+  return rows.reverse();
+}
+
+/**
+ * Fetches a single turn, e.g. to re-run its query for an export.
+ * @param {string} conversationId The conversation UUID.
+ * @param {number} turnId The turn id returned by appendTurn.
+ * @param {string} owner Username of the caller.
+ * @returns {Promise<Object|null>} The turn, or null if it is not part of that conversation or not theirs.
+ */
+async function getTurn(conversationId, turnId, owner) {
+  const { rows } = await pool.query(
+    `SELECT turn_id::int AS turn_id, question, entities, resolved, sql_query AS sql, params, summary, created_at
+     FROM conversation_turns
+     WHERE conversation_id = $1 AND turn_id = $2 AND asked_by = $3`,
+    [conversationId, turnId, owner]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Records an answered question.
+ * @param {string} conversationId The conversation UUID.
+ * @param {Object} turn { askedBy, question, entities, resolved, sql, params, summary }
+ * @returns {Promise<number>} The new turn's id.
+ */
+async function appendTurn(conversationId, { askedBy, question, entities, resolved, sql, params, summary }) {
+  const { rows } = await pool.query(
+    `INSERT INTO conversation_turns (conversation_id, asked_by, question, entities, resolved, sql_query, params, summary)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING turn_id::int AS turn_id`,
+    [
+      conversationId, askedBy, question, JSON.stringify(entities || []), JSON.stringify(resolved || []),
+      sql, JSON.stringify(params || []), summary
+    ]
+  );
+  return rows[0].turn_id;
+}
+
+module.exports = {
+  getHistory, getTurn, appendTurn, checkConversationOwner, newConversationId, isValidConversationId, ConversationError, HISTORY_TURNS
+};
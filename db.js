@@ -11,9 +11,13 @@ if (!connectionString) {
   throw new Error("NEON_DATABASE_URL is not set in the .env file.");
 }
 
+// Upper bound for a single AI-generated query (milliseconds)
+const STATEMENT_TIMEOUT_MS = parseInt(process.env.SQL_STATEMENT_TIMEOUT_MS, 10) || 10000;
+
+// Neon requires SSL; set DATABASE_SSL=false for a local Postgres (e.g. the test database)
 const pool = new Pool({
   connectionString,
-  ssl: {
+  ssl: process.env.DATABASE_SSL === "false" ? false : {
     rejectUnauthorized: false,
   },
 });
@@ -40,4 +44,40 @@ async function executeQuery(sql, params = []) {
   }
 }
 
-module.exports = { executeQuery };
+// The restricted role generated SQL runs as; row-level security limits it to the user's scope (schema.sql section 9)
+const READER_ROLE = "analytics_reader";
+
+/**
+ * Executes a query inside a READ ONLY transaction with a statement timeout.
+ * Used for AI-generated SQL so that nothing it produces can modify data or hog the database.
+ * The query runs as the analytics_reader role, which only sees the sessions in `scope`.
+ * @param {string} sql The (already validated) SQL query string to execute.
+ * @param {Array} params Optional parameters for parameterized queries.
+ * @param {Object} options Optional settings: { timeoutMs: 10000, scope: { regions, domains } }.
+ *   A null scope (the default) means every session.
+ * @returns {Promise<Object>} The result object from the database query.
+ */
+async function executeReadOnlyQuery(sql, params = [], { timeoutMs = STATEMENT_TIMEOUT_MS, scope = null } = {}) {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN READ ONLY");
+    // SET does not accept bind parameters, so the value is coerced to an integer first
+    await client.query(`SET LOCAL statement_timeout = ${parseInt(timeoutMs, 10)}`);
+    await client.query(`SET LOCAL ROLE ${READER_ROLE}`);
+    await client.query("SELECT set_config('app.data_scope', $1, true)", [scope ? JSON.stringify(scope) : "all"]);
+    const result = await client.query(sql, params);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("[ERROR] Read-only query failed:", error.message);
+    throw new Error(`Database execution error: ${error.message}`);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+module.exports = { pool, executeQuery, executeReadOnlyQuery };
@@ -0,0 +1,192 @@
+/**
+ * Column Mapping: reads session data from XLSX, CSV or TSV files (including Google
+ * Sheets downloads) and maps the source headers to the loader's fields.
+ *
+ * Mapping file (etl/column_mapping.json by default):
+ * { "fields": { "<field>": { "headers": [...], "default": ..., "transform": ..., ... } } }
+ *
+ * - headers:   source header names, matched ignoring case, spaces and punctuation
+ * - default:   used when the column is missing or the cell is blank
+ * - transform: "date" (tries "formats" in order), "number", "percent" ("scale": "auto",
+ *              "fraction" or "percent"), "uppercase" or "lowercase". Text is always trimmed.
+ *
+ * Fields whose headers aren't found are auto-detected from the remaining columns
+ * (close spellings such as "Students Attended"), and columns nothing maps to are reported.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import xlsx from "xlsx";
+import dayjs from "dayjs";
+import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import Fuse from "fuse.js";
+import { FIELDS, REQUIRED_FIELDS } from "./session_loader.mjs";
+
+dayjs.extend(customParseFormat);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_MAPPING_FILE = path.join(__dirname, "column_mapping.json");
+
+const TRANSFORMS = ["date", "number", "percent", "uppercase", "lowercase"];
+const SCALES = ["auto", "fraction", "percent"];
+
+// Fuse score (0 = exact) a column must beat to be auto-detected
+const DETECT_THRESHOLD = 0.35;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Reads and checks a mapping file.
+ * @param {string} [file] Path to the JSON mapping.
+ * @returns {Object} The mapping's fields, keyed by field name.
+ * @throws {Error} If the file names unknown fields, transforms or scales.
+ */
+export function loadMapping(file = DEFAULT_MAPPING_FILE) {
+  const { fields } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!fields || typeof fields !== "object") throw new Error(`${file}: expected a "fields" object`);
+
+  for (const [field, spec] of Object.entries(fields)) {
+    if (!FIELDS[field]) throw new Error(`${file}: unknown field "${field}" (expected one of ${Object.keys(FIELDS).join(", ")})`);
+    if (spec.transform && !TRANSFORMS.includes(spec.transform)) throw new Error(`${file}: unknown transform "${spec.transform}" for ${field}`);
+    if (spec.scale && !SCALES.includes(spec.scale)) throw new Error(`${file}: unknown scale "${spec.scale}" for ${field}`);
+  }
+  return fields;
+}
+
+/**
+ * Works out which source column feeds each field.
+ * @param {Array<string>} headers The source headers.
+ * @param {Object} mapping Output of loadMapping.
+ * @returns {{columns: Object, autoDetected: Array<string>, unmapped: Array<string>, missing: Array<string>}}
+ *   columns maps field -> source header; missing lists required fields with no column and no default.
+ */
+export function matchColumns(headers, mapping) {
+  const columns = {};
+  const available = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const names = (field) => [...(mapping[field]?.headers || []), FIELDS[field], field].map(normalizeHeader);
+
+  // 1. Headers listed in the mapping (or the field's own name)
+  for (const field of Object.keys(FIELDS)) {
+    const hit = names(field).find(name => available.has(name));
+    if (hit) {
+      columns[field] = available.get(hit);
+      available.delete(hit);
+    }
+  }
+
+  // 2. Close spellings among the columns that are left
+  const autoDetected = [];
+  for (const field of Object.keys(FIELDS).filter(f => !columns[f])) {
+    const fuse = new Fuse([...available.keys()], { includeScore: true, ignoreLocation: true, threshold: DETECT_THRESHOLD });
+    const best = names(field)
+      .flatMap(name => fuse.search(name))
+      .sort((a, b) => a.score - b.score)[0];
+    if (best) {
+      columns[field] = available.get(best.item);
+      available.delete(best.item);
+      autoDetected.push(field);
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter(f => !columns[f] && isBlank(mapping[f]?.default));
+  return { columns, autoDetected, unmapped: [...available.values()], missing };
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  const number = Number(String(value).replace(/[,\s]/g, ""));
+  return Number.isFinite(number) ? number : value;
+}
+
+// Values a transform can't handle are passed through unchanged, so validation reports them
+function transformValue(value, spec) {
+  switch (spec.transform) {
+    case "date": {
+      if (typeof value !== "string") return value;
+      const parsed = dayjs(value.trim(), spec.formats || [], true);
+      return parsed.isValid() ? parsed.format("YYYY-MM-DD") : value;
+    }
+    case "number":
+      return toNumber(value);
+    case "percent": {
+      // "80%" is always a percentage, whatever the scale
+      if (typeof value === "string" && value.trim().endsWith("%")) return toNumber(value.trim().slice(0, -1));
+      const number = toNumber(value);
+      return spec.scale === "fraction" && typeof number === "number" ? number * 100 : number;
+    }
+    case "uppercase":
+      return String(value).trim().toUpperCase();
+    case "lowercase":
+      return String(value).trim().toLowerCase();
+    default:
+      return typeof value === "string" ? value.trim() : value;
+  }
+}
+
+/**
+ * Maps one source row to the loader's fields, applying defaults and transforms.
+ * @param {Object} source Row keyed by source header.
+ * @param {Object} columns field -> source header, from matchColumns.
+ * @param {Object} mapping Output of loadMapping.
+ */
+export function applyMapping(source, columns, mapping) {
+  const row = {};
+  for (const field of Object.keys(FIELDS)) {
+    const spec = mapping[field] || {};
+    const value = columns[field] ? source[columns[field]] : null;
+    if (isBlank(value)) row[field] = spec.default ?? null;
+    else row[field] = transformValue(value, spec);
+  }
+  return row;
+}
+
+export const SUPPORTED_EXTENSIONS = [".xlsx", ".xls", ".ods", ".csv", ".tsv", ".tab"];
+
+// The file name picks the parser; data (a Buffer) is read instead of the file when given
+function readWorkbook(file, data) {
+  const ext = path.extname(file).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type "${ext || file}". Use one of ${SUPPORTED_EXTENSIONS.join(", ")}.`);
+  }
+  if (ext === ".csv" || ext === ".tsv" || ext === ".tab") {
+    // raw keeps text cells as written, so dates and percentages go through the mapping's transforms
+    const text = (data || fs.readFileSync(file)).toString("utf8").replace(/^\uFEFF/, "");
+    return xlsx.read(text, { type: "string", raw: true, ...(ext === ".csv" ? {} : { FS: "\t" }) });
+  }
+  return data ? xlsx.read(data, { type: "buffer", cellDates: false }) : xlsx.readFile(file, { cellDates: false });
+}
+
+/**
+ * Reads every sheet of a file and maps its rows. Sheets lacking a required field
+ * (notes, pivots) are skipped.
+ * @param {string} file An .xlsx, .xls, .ods, .csv or .tsv file.
+ * @param {Object} mapping Output of loadMapping.
+ * @param {Object} [options] { data }: the file's contents, for uploads that aren't on disk.
+ * @returns {{rows: Array<{sheet, row, data, source}>, sheets: Array<Object>}} sheets holds the
+ *   matchColumns result (and whether it was skipped) for each sheet.
+ */
+export function readSessionFile(file, mapping, { data } = {}) {
+  const workbook = readWorkbook(file, data);
+  const rows = [];
+  const sheets = [];
+
+  for (const sheet of workbook.SheetNames) {
+    const worksheet = workbook.Sheets[sheet];
+    const [headerRow = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1, range: 0 });
+    const headers = headerRow.filter(h => !isBlank(h)).map(String);
+    const match = matchColumns(headers, mapping);
+
+    const skipped = headers.length === 0 || match.missing.length > 0;
+    sheets.push({ sheet, ...match, skipped });
+    if (skipped) continue;
+
+    // __rowNum__ is the 0-based spreadsheet row, so reports point at the row users see
+    for (const source of xlsx.utils.sheet_to_json(worksheet, { defval: null })) {
+      rows.push({ sheet, row: source.__rowNum__ + 1, data: applyMapping(source, match.columns, mapping), source });
+    }
+  }
+
+  return { rows, sheets };
+}
@@ -0,0 +1,52 @@
+// etl/create_user.mjs
+// Creates a local user, or resets an existing user's password and role. Run it once to
+// create the first admin; after that admins can manage users from the API.
+//
+// Usage:
+// USER_PASSWORD=... node etl/create_user.mjs --username=jane --role=admin [--name="Jane Doe"]
+//   [--regions=India] [--domains="Data Science,Backend"]
+import "dotenv/config";
+import auth from "../auth.js";
+import db from "../db.js";
+
+const { createUser, listUsers, updateUser } = auth;
+
+function parseArgs(argv) {
+  const value = (name) => {
+    const arg = argv.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const list = (name) => value(name)?.split(",").map(v => v.trim()).filter(Boolean);
+  const regions = list("regions");
+  const domains = list("domains");
+  return {
+    username: value("username"),
+    role: value("role") || "viewer",
+    displayName: value("name"),
+    // Without either flag the user sees every session
+    scope: regions || domains ? { regions: regions || null, domains: domains || null } : null,
+    // The password comes from the environment so it doesn't end up in the shell history
+    password: process.env.USER_PASSWORD,
+  };
+}
+
+async function main() {
+  const { username, role, displayName, scope, password } = parseArgs(process.argv);
+  if (!username || !password) throw new Error("Usage: USER_PASSWORD=... node etl/create_user.mjs --username=<name> [--role=viewer|analyst|admin]");
+
+  try {
+    const existing = (await listUsers()).find(u => u.username === username.trim().toLowerCase());
+    const user = existing
+      ? await updateUser(existing.id, { role, displayName, password, scope, disabled: false })
+      : await createUser({ username, role, displayName, password, scope });
+    const scopeNote = user.scope ? `, scope ${JSON.stringify(user.scope)}` : "";
+    console.log(`✅ ${existing ? "Updated" : "Created"} ${user.username} (${user.role}${scopeNote})`);
+  } finally {
+    await db.pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
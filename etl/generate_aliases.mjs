@@ -1,17 +1,31 @@
 #!/usr/bin/env node
 /**
- * Alias Generator: Reads canonical names from dim tables and generates
- * partial-name aliases (first word, last word, lowercase, initials)
- * into the dim_value_alias table for robust fuzzy matching.
+ * Alias Generator: Reads canonical names from the dim tables and writes
+ * aliases into the dim_value_alias table, where the live resolver
+ * (resolver.js) treats them as exact matches ahead of fuzzy matching.
+ *
+ * Two kinds of aliases are written:
+ * - generated: partial names derived from each canonical value
+ *   (instructors: first name, last name, initials; others: acronyms)
+ * - manual:    curated nicknames and abbreviations from etl/manual_aliases.json
+ *   (e.g. "ds" -> Data Science, "sd" -> System Design)
+ *
+ * Generated aliases are rebuilt from scratch on every run, so renamed or
+ * removed values don't leave stale aliases behind. Manual aliases are kept.
  *
  * NOTE: All aliases are inserted in LOWERCASE for case-insensitive lookups.
  *
  * Usage:
  * NEON_DATABASE_URL=postgres://... node etl/generate_aliases.mjs
+ * node etl/generate_aliases.mjs --manual=./my_aliases.json
  */
 
 import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import { Client } from "pg";
+import { requestCacheRefresh } from "./refresh_cache.mjs";
 
 const NEON_DATABASE_URL = process.env.NEON_DATABASE_URL;
 
@@ -20,39 +34,47 @@ if (!NEON_DATABASE_URL) {
   process.exit(1);
 }
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MANUAL_FILE = path.join(__dirname, "manual_aliases.json");
+
+// Where each entity's canonical values live
+const DIMENSIONS = [
+  { entity: "instructor", dimTable: "dim_instructor", nameCol: "full_name" },
+  { entity: "domain", dimTable: "dim_domain", nameCol: "domain_name" },
+  { entity: "class", dimTable: "dim_class", nameCol: "class_name" },
+  { entity: "topic", dimTable: "dim_topic", nameCol: "topic_code" },
+];
+
 /**
  * Generates common partial aliases from a full canonical name.
+ * @param {string} entity - 'instructor', 'domain', 'class' or 'topic'.
  * @param {string} canonicalName - The full, correct name (e.g., 'Konstantinos Pappas').
  * @returns {Array<string>} An array of generated aliases, guaranteed to be lowercase.
  */
-function generatePartialAliases(canonicalName) {
+function generatePartialAliases(entity, canonicalName) {
   const aliases = new Set();
-  // Split by spaces and filter out empty strings
-  const parts = canonicalName.split(/\s+/).filter(p => p.length > 0);
-
-  // 1. All-Lowercase version (Essential for case-insensitivity)
-  const lowercaseName = canonicalName.toLowerCase();
-  aliases.add(lowercaseName);
+  // Split by spaces and drop empty strings and punctuation-only parts ("-")
+  const parts = canonicalName.split(/\s+/).filter(p => /[a-z0-9]/i.test(p));
+  const canonicalLowercase = canonicalName.toLowerCase();
 
   if (parts.length > 1) {
-    // 2. First Name/Word (e.g., 'konstantinos')
-    aliases.add(parts[0].toLowerCase());
-    
-    // 3. Last Name/Word (e.g., 'pappas')
-    aliases.add(parts[parts.length - 1].toLowerCase());
-
-    // 4. Initials (e.g., 'kp') - simple version
-    const initials = parts.map(p => p[0]).join('').toLowerCase();
+    if (entity === "instructor") {
+      // 1. First Name (e.g., 'konstantinos')
+      aliases.add(parts[0].toLowerCase());
+
+      // 2. Last Name (e.g., 'pappas')
+      aliases.add(parts[parts.length - 1].toLowerCase());
+    }
+
+    // 3. Initials / acronym (e.g., 'kp', 'ds' for Data Science)
+    const initials = parts.map(p => p.replace(/[^a-z0-9]/gi, "")[0] || "").join("").toLowerCase();
     if (initials.length >= 2) aliases.add(initials);
-  }
-  
-  // 5. If it's a single word domain and not the canonical name itself, add it.
-  if (parts.length === 1 && lowercaseName !== canonicalName.toLowerCase()) {
-      aliases.add(lowercaseName);
+
+    // 4. Punctuation-free form (e.g., 'system design scalability' for 'System Design - Scalability')
+    aliases.add(parts.map(p => p.replace(/[^a-z0-9']/gi, "")).join(" ").toLowerCase());
   }
 
   // Filter out any aliases identical to the lowercase canonical name itself, as they are redundant
-  const canonicalLowercase = canonicalName.toLowerCase();
   return Array.from(aliases)
     .filter(a => a !== canonicalLowercase && a.length > 0);
 }
@@ -60,60 +82,105 @@ function generatePartialAliases(canonicalName) {
 /**
  * Fetches canonical names and inserts generated aliases into dim_value_alias.
  * @param {Client} db - The PostgreSQL client.
- * @param {string} entity - 'instructor' or 'domain'.
- * @param {string} dimTable - Name of the dimension table ('dim_instructor' or 'dim_domain').
- * @param {string} nameCol - Name of the canonical name column ('instructor_name' or 'domain_name').
+ * @param {Object} dimension - { entity, dimTable, nameCol } from DIMENSIONS.
  */
-async function fetchAndGenerateAliases(db, entity, dimTable, nameCol) {
+async function fetchAndGenerateAliases(db, { entity, dimTable, nameCol }) {
   console.log(`\n-- Generating aliases for ${entity} from ${dimTable} --`);
-  
-  // 1. Fetch all canonical names
-  const { rows } = await db.query(`SELECT ${nameCol} AS name FROM ${dimTable}`);
-  
+
+  // 1. Fetch all canonical names (classes repeat per region, so DISTINCT)
+  const { rows } = await db.query(`SELECT DISTINCT ${nameCol} AS name FROM ${dimTable}`);
+
   let insertedCount = 0;
-  
+
   for (const row of rows) {
-    const canonicalName = row.name.trim();
+    const canonicalName = (row.name || "").trim();
     if (!canonicalName) continue;
 
-    const generatedAliases = generatePartialAliases(canonicalName);
-    
-    for (const alias of generatedAliases) {
-        // The alias is already lowercase due to the generatePartialAliases function
-        try {
-            await db.query(
-              `INSERT INTO dim_value_alias (entity, canonical, alias) VALUES ($1, $2, $3)
-               ON CONFLICT (entity, alias) DO NOTHING`, // Skip if alias already exists
-              [entity, canonicalName, alias]
-            );
-            insertedCount++;
-        } catch (e) {
-            // Log specific errors if needed, but DO NOTHING handles most conflicts.
-            // console.error(`[WARN] Failed to insert alias "${alias}" for "${canonicalName}": ${e.message}`);
-        }
+    for (const alias of generatePartialAliases(entity, canonicalName)) {
+      const result = await db.query(
+        `INSERT INTO dim_value_alias (entity, canonical, alias, source) VALUES ($1, $2, $3, 'generated')
+         ON CONFLICT (entity, alias, canonical) DO NOTHING`, // A manual alias may already cover it
+        [entity, canonicalName, alias]
+      );
+      insertedCount += result.rowCount;
+    }
+  }
+
+  console.log(`✅ Successfully processed ${rows.length} ${entity} values.`);
+  console.log(`   Inserted ${insertedCount} generated aliases.`);
+}
+
+/**
+ * Upserts the curated aliases. Entries whose canonical value is not in the
+ * dimension table are skipped with a warning, so typos can't create dead aliases.
+ * @param {Client} db - The PostgreSQL client.
+ * @param {string} file - Path to a JSON array of { entity, alias, canonical }.
+ */
+async function loadManualAliases(db, file) {
+  console.log(`\n-- Loading manual aliases from ${file} --`);
+  if (!fs.existsSync(file)) {
+    console.log("   No manual alias file found, skipping.");
+    return;
+  }
+
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  let insertedCount = 0;
+
+  for (const { entity, alias, canonical } of entries) {
+    const dimension = DIMENSIONS.find(d => d.entity === entity);
+    if (!dimension || !alias || !canonical) {
+      console.warn(`   ⚠️  Skipping invalid entry: ${JSON.stringify({ entity, alias, canonical })}`);
+      continue;
+    }
+
+    const exists = await db.query(
+      `SELECT 1 FROM ${dimension.dimTable} WHERE ${dimension.nameCol} = $1 LIMIT 1`, [canonical]
+    );
+    if (exists.rowCount === 0) {
+      console.warn(`   ⚠️  "${alias}" -> "${canonical}": no such ${entity}, skipping.`);
+      continue;
     }
+
+    await db.query(
+      `INSERT INTO dim_value_alias (entity, canonical, alias, source) VALUES ($1, $2, $3, 'manual')
+       ON CONFLICT (entity, alias, canonical) DO UPDATE SET source = 'manual'`,
+      [entity, canonical, alias.trim().toLowerCase()]
+    );
+    insertedCount++;
   }
 
-  console.log(`✅ Successfully processed ${rows.length} ${entity}s.`);
-  console.log(`   Inserted ${insertedCount} new aliases into dim_value_alias.`);
+  console.log(`✅ Loaded ${insertedCount} of ${entries.length} manual aliases.`);
 }
 
 async function main() {
+  const manualArg = process.argv.find((a) => a.startsWith("--manual="));
+  const manualFile = manualArg ? manualArg.split("=")[1] : DEFAULT_MANUAL_FILE;
+
   const db = new Client({ connectionString: NEON_DATABASE_URL });
   try {
     await db.connect();
     console.log("🟢 Database connection successful.");
 
-    // 1. Generate aliases for Instructors (e.g., John Doe -> john, doe, jd)
-    await fetchAndGenerateAliases(db, 'instructor', 'dim_instructor', 'instructor_name');
+    await db.query("BEGIN");
+
+    // Rebuild generated aliases from the current dimension values
+    await db.query("DELETE FROM dim_value_alias WHERE source = 'generated'");
 
-    // 2. Generate aliases for Domains (e.g., Data Science -> data science)
-    // The main ETL should standardize this, but this ensures a clean lowercase alias is recorded.
-    await fetchAndGenerateAliases(db, 'domain', 'dim_domain', 'domain_name');
+    // 1. Curated aliases first, so they are marked 'manual' even when a generated one matches
+    await loadManualAliases(db, manualFile);
+
+    // 2. Generated aliases for every dimension
+    for (const dimension of DIMENSIONS) {
+      await fetchAndGenerateAliases(db, dimension);
+    }
 
+    await db.query("COMMIT");
+    console.log("\n✅ Alias generation complete.");
+    await requestCacheRefresh();
   } catch (e) {
+    await db.query("ROLLBACK").catch(() => {});
     console.error("❌ Alias generation failed:", e.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await db.end();
   }
@@ -122,4 +189,4 @@ async function main() {
 main().catch((e) => {
   console.error("❌ Fatal ETL error:", e.message);
   process.exit(1);
-});
\ No newline at end of file
+});
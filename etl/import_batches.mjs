@@ -0,0 +1,102 @@
+/**
+ * Import Batches: loads one session file as a recorded batch. Used by etl/load_excel.mjs
+ * and the server's upload endpoint (imports.js), so both apply the same mapping,
+ * validation and upsert logic.
+ *
+ * Each load is one transaction. Loaded and failed imports get an import_batches row
+ * with their counts and rejected rows; a dry run rolls everything back and records nothing.
+ */
+
+import path from "path";
+import { loadMapping, readSessionFile } from "./column_mapping.mjs";
+import { validateRows, upsertSessions } from "./session_loader.mjs";
+
+// Failed imports are recorded after the rollback, so they show up in the import history
+async function recordFailure(db, batch) {
+  const { rows } = await db.query(
+    `INSERT INTO import_batches (file_name, uploaded_by, status, total_rows, rejected, rejected_rows, sheets, error)
+     VALUES ($1, $2, 'failed', $3, $4, $5, $6, $7)
+     RETURNING batch_id::int AS batch_id`,
+    [batch.file_name, batch.uploaded_by, batch.total_rows, batch.rejected,
+      JSON.stringify(batch.rejected_rows), JSON.stringify(batch.sheets), batch.error]
+  );
+  return { ...batch, batch_id: rows[0].batch_id };
+}
+
+/**
+ * Maps, validates and upserts one file.
+ * @param {import("pg").Client} db A connected client (not inside a transaction).
+ * @param {Object} options
+ * @param {string} options.file The file name (its extension picks the parser) or path.
+ * @param {Buffer} [options.data] The file's contents when it isn't on disk (uploads).
+ * @param {Object} [options.mapping] Output of loadMapping; defaults to etl/column_mapping.json.
+ * @param {string} [options.uploadedBy] Who started the import.
+ * @param {boolean} [options.dryRun] Validate and count, then roll back.
+ * @returns {Promise<Object>} The batch: batch_id (null on a dry run), file_name, status
+ *   ("loaded", "failed" or "dry_run"), counts, rejected_rows, sheets, new_dimensions and error.
+ */
+export async function importSessionFile(db, { file, data, mapping, uploadedBy = null, dryRun = false }) {
+  const batch = {
+    batch_id: null,
+    file_name: path.basename(file),
+    uploaded_by: uploadedBy,
+    status: dryRun ? "dry_run" : "loaded",
+    total_rows: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    rejected: 0,
+    rejected_rows: [],
+    sheets: [],
+    new_dimensions: {},
+    error: null,
+  };
+
+  let records;
+  try {
+    const { rows, sheets } = readSessionFile(file, mapping || loadMapping(), { data });
+    const { records: valid, rejected } = validateRows(rows);
+    records = valid;
+    Object.assign(batch, { total_rows: rows.length, rejected: rejected.length, rejected_rows: rejected, sheets });
+    if (!sheets.some(s => !s.skipped)) throw new Error("No sheet has the required session columns");
+  } catch (error) {
+    const failed = { ...batch, status: "failed", error: error.message };
+    return dryRun ? failed : recordFailure(db, failed);
+  }
+
+  try {
+    await db.query("BEGIN");
+    if (!dryRun) {
+      const { rows } = await db.query(
+        `INSERT INTO import_batches (file_name, uploaded_by, status) VALUES ($1, $2, 'loaded')
+         RETURNING batch_id::int AS batch_id`,
+        [batch.file_name, uploadedBy]
+      );
+      batch.batch_id = rows[0].batch_id;
+    }
+
+    const { inserted, updated, unchanged, newDimensions } = await upsertSessions(db, records, { batchId: batch.batch_id });
+    Object.assign(batch, { inserted, updated, unchanged, new_dimensions: newDimensions });
+
+    if (dryRun) {
+      await db.query("ROLLBACK");
+      return batch;
+    }
+
+    await db.query(
+      `UPDATE import_batches SET total_rows = $2, inserted = $3, updated = $4, unchanged = $5,
+         rejected = $6, rejected_rows = $7, sheets = $8, new_dimensions = $9
+       WHERE batch_id = $1`,
+      [batch.batch_id, batch.total_rows, inserted, updated, unchanged, batch.rejected,
+        JSON.stringify(batch.rejected_rows), JSON.stringify(batch.sheets), JSON.stringify(newDimensions)]
+    );
+    await db.query("COMMIT");
+    return batch;
+  } catch (error) {
+    await db.query("ROLLBACK");
+    const failed = {
+      ...batch, batch_id: null, status: "failed", inserted: 0, updated: 0, unchanged: 0, new_dimensions: {}, error: error.message,
+    };
+    return dryRun ? failed : recordFailure(db, failed);
+  }
+}
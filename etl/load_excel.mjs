@@ -1,134 +1,95 @@
 // etl/load_excel.mjs
+// Loads session data from an XLSX, CSV or TSV file: columns are mapped with a mapping file,
+// every sheet is validated, rejected rows are written to a report, and the clean rows are
+// upserted in one transaction, recorded as an import batch (see etl/import_batches.mjs).
+//
+// Usage:
+// node etl/load_excel.mjs [--file=data/sessions.xlsx] [--mapping=etl/column_mapping.json]
+//   [--rejects=report.csv] [--dry-run]
 import "dotenv/config";
 import fs from "fs";
-import xlsx from "xlsx";
-import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
+import os from "os";
+import path from "path";
 import { Client } from "pg";
-
-dayjs.extend(utc);
+import { requestCacheRefresh } from "./refresh_cache.mjs";
+import { FIELDS, writeRejectsReport } from "./session_loader.mjs";
+import { DEFAULT_MAPPING_FILE, loadMapping } from "./column_mapping.mjs";
+import { importSessionFile } from "./import_batches.mjs";
 
 const NEON_DATABASE_URL = process.env.NEON_DATABASE_URL;
 
-// Exact Column Names from your Image
-const COLS = {
-  topic: "Topic Code",            // Col A
-  domain: "Domain",               // Col B
-  class: "Class",                 // Col C
-  classRegion: "Class Region",    // Col D
-  firstName: "First Name",        // Col E
-  lastName: "Last Name",          // Col F
-  instrRegion: "Instructor Region",// Col G
-  date: "Session Date",           // Col H
-  average: "Average",             // Col I
-  responses: "responses",         // Col J
-  attended: "No of Students Attended", // Col K
-  ratedPct: "% Rated"             // Col L
-};
+function parseArgs(argv) {
+  const value = (name) => {
+    const arg = argv.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const file = value("file") || "data/sessions.xlsx";
+  const { dir, name } = path.parse(file);
+  return {
+    file,
+    mappingFile: value("mapping") || DEFAULT_MAPPING_FILE,
+    rejectsFile: value("rejects") || path.join(dir, `${name}.rejected.csv`),
+    dryRun: argv.includes("--dry-run"),
+  };
+}
 
-async function main() {
-  // --- RESTORED ARGUMENT PARSING HERE ---
-  const fileArg = process.argv.find((a) => a.startsWith("--file="));
-  const file = fileArg ? fileArg.split("=")[1] : "data/sessions.xlsx"; 
-  // --------------------------------------
+// Shows how each sheet's columns were mapped, so renamed headers don't go unnoticed
+function printMapping(sheets) {
+  for (const { sheet, columns, autoDetected, unmapped, missing, skipped } of sheets) {
+    if (skipped) {
+      const reason = missing.length > 0 ? `no column for ${missing.map(f => FIELDS[f]).join(", ")}` : "empty";
+      console.log(`ℹ️  Skipped sheet "${sheet}": ${reason}`);
+      continue;
+    }
+    for (const field of autoDetected) {
+      console.log(`🔎 "${sheet}": auto-detected "${columns[field]}" as ${FIELDS[field]}, add it to the mapping file to confirm`);
+    }
+    if (unmapped.length > 0) console.log(`⚠️  "${sheet}": unmapped columns ignored: ${unmapped.join(", ")}`);
+  }
+}
 
+async function main() {
+  const { file, mappingFile, rejectsFile, dryRun } = parseArgs(process.argv);
   if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+  console.log(`Processing ${file}${dryRun ? " (dry run)" : ""}...`);
 
+  // Map, validate and upsert in one transaction, recorded as an import batch (rolled back on a dry run)
   const db = new Client({ connectionString: NEON_DATABASE_URL });
   await db.connect();
-  
-  const wb = xlsx.readFile(file, { cellDates: false });
-  const ws = wb.Sheets[wb.SheetNames[0]];
-  const rows = xlsx.utils.sheet_to_json(ws);
-
-  console.log(`Processing ${rows.length} rows from ${file}...`);
-
-  for (const row of rows) {
-    // 1. Extract Values
-    const topicVal = (row[COLS.topic] || "").trim();
-    const domainVal = (row[COLS.domain] || "").trim();
-    const classVal = (row[COLS.class] || "").trim();
-    const classRegionVal = (row[COLS.classRegion] || "").trim();
-    const firstNameVal = (row[COLS.firstName] || "").trim();
-    const lastNameVal = (row[COLS.lastName] || "").trim();
-    const instrRegionVal = (row[COLS.instrRegion] || "").trim();
-    const dateRaw = row[COLS.date];
-
-    // Skip invalid rows
-    if (!firstNameVal || !dateRaw) continue;
-
-    // 2. Normalize Date (Force YYYY-MM-DD)
-    let dateStr;
-    if (typeof dateRaw === 'number') {
-      const dateObj = xlsx.SSF.parse_date_code(dateRaw);
-      dateStr = `${dateObj.y}-${String(dateObj.m).padStart(2, '0')}-${String(dateObj.d).padStart(2, '0')}`;
-    } else {
-       dateStr = dayjs(dateRaw).format("YYYY-MM-DD");
-    }
-
-    // 3. Insert Dimensions
-
-    // Domain
-    const domainRes = await db.query(`
-      INSERT INTO dim_domain (domain_name) VALUES ($1)
-      ON CONFLICT (domain_name) DO UPDATE SET domain_name = EXCLUDED.domain_name
-      RETURNING domain_id`, [domainVal]
-    );
-
-    // Topic
-    const topicRes = await db.query(`
-      INSERT INTO dim_topic (topic_code) VALUES ($1)
-      ON CONFLICT (topic_code) DO UPDATE SET topic_code = EXCLUDED.topic_code
-      RETURNING topic_id`, [topicVal]
-    );
-
-    // Instructor (Using Split Names)
-    const instrRes = await db.query(`
-      INSERT INTO dim_instructor (first_name, last_name, region) 
-      VALUES ($1, $2, $3)
-      ON CONFLICT (first_name, last_name, region) DO UPDATE SET region = EXCLUDED.region
-      RETURNING instructor_id`, 
-      [firstNameVal, lastNameVal, instrRegionVal]
-    );
-
-    // Class (With Region)
-    const classRes = await db.query(`
-      INSERT INTO dim_class (class_name, region) VALUES ($1, $2)
-      ON CONFLICT (class_name, region) DO UPDATE SET region = EXCLUDED.region
-      RETURNING class_id`, 
-      [classVal, classRegionVal]
-    );
-
-    // 4. Insert Fact
-    // Handle Percentage (0.5 vs 50)
-    let ratedPct = parseFloat(row[COLS.ratedPct] || 0);
-    if (ratedPct <= 1 && ratedPct > 0) ratedPct = ratedPct * 100;
+  let batch;
+  try {
+    batch = await importSessionFile(db, {
+      file, mapping: loadMapping(mappingFile), uploadedBy: `cli:${os.userInfo().username}`, dryRun,
+    });
+  } finally {
+    await db.end();
+  }
 
-    await db.query(`
-      INSERT INTO fact_sessions 
-      (instructor_id, class_id, domain_id, topic_id, pst_date, average_rating, responses, attended, rated_pct)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      ON CONFLICT (instructor_id, class_id, pst_date, topic_id) DO UPDATE SET
-        average_rating = EXCLUDED.average_rating,
-        responses = EXCLUDED.responses,
-        attended = EXCLUDED.attended,
-        rated_pct = EXCLUDED.rated_pct`,
-      [
-        instrRes.rows[0].instructor_id,
-        classRes.rows[0].class_id,
-        domainRes.rows[0].domain_id,
-        topicRes.rows[0].topic_id,
-        dateStr, // Normalized Date
-        row[COLS.average] || 0,
-        row[COLS.responses] || 0,
-        row[COLS.attended] || 0,
-        ratedPct
-      ]
-    );
+  printMapping(batch.sheets);
+  if (batch.rejected > 0) {
+    writeRejectsReport(rejectsFile, batch.rejected_rows);
+    console.log(`⚠️  ${batch.rejected} rows rejected, see ${rejectsFile}`);
   }
-  
-  console.log("✅ ETL Complete.");
-  await db.end();
+  if (batch.status === "failed") {
+    console.error(`❌ Import failed, nothing was loaded: ${batch.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const dims = Object.entries(batch.new_dimensions).map(([k, n]) => `${n} ${k}`).join(", ");
+  console.log(`${dryRun ? "Dry run, nothing written. Would have:" : `✅ ETL Complete (import batch ${batch.batch_id}).`}
+  rows:      ${batch.total_rows}
+  inserted:  ${batch.inserted}
+  updated:   ${batch.updated}
+  unchanged: ${batch.unchanged}
+  rejected:  ${batch.rejected}
+  new dimension values: ${dims}`);
+
+  // New instructors/classes become resolvable without a server restart
+  if (!dryRun) await requestCacheRefresh();
 }
 
-main().catch(console.error);
\ No newline at end of file
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Cache Refresh: Asks a running server to reload its entity caches, so values
+ * added by an ETL run are resolvable right away instead of after the cache TTL.
+ * The server also rebuilds its SQL prompt, whose column values come from the data.
+ *
+ * Called at the end of load_excel.mjs and generate_aliases.mjs, and can be run
+ * on its own. It never fails the ETL: if the server is unreachable, its caches
+ * still pick up the changes once RESOLVER_CACHE_TTL_MS has passed.
+ *
+ * Usage:
+ * APP_URL=http://localhost:3001 ADMIN_TOKEN=... node etl/refresh_cache.mjs
+ */
+
+import "dotenv/config";
+import { fileURLToPath } from "url";
+
+/**
+ * Calls POST /api/admin/cache/refresh on APP_URL.
+ * @returns {Promise<boolean>} Whether the server confirmed the refresh.
+ */
+export async function requestCacheRefresh() {
+  const { APP_URL, ADMIN_TOKEN } = process.env;
+  if (!APP_URL || !ADMIN_TOKEN) {
+    console.log("ℹ️  Set APP_URL and ADMIN_TOKEN to refresh the server's entity caches now (otherwise they refresh after their TTL).");
+    return false;
+  }
+
+  try {
+    const response = await fetch(new URL("/api/admin/cache/refresh", APP_URL), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+
+    const { counts } = body.cache;
+    console.log(`🔄 Server caches refreshed: ${counts.instructors} instructors, ${counts.aliases} aliases.`);
+    return true;
+  } catch (e) {
+    console.warn(`⚠️  Could not refresh the server caches at ${APP_URL}: ${e.message}`);
+    return false;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const refreshed = await requestCacheRefresh();
+  process.exitCode = refreshed ? 0 : 1;
+}
@@ -0,0 +1,343 @@
+/**
+ * Session Loader: validation and bulk upserts shared by the spreadsheet ETL scripts.
+ *
+ * validateRows() checks every row (already mapped to FIELDS by column_mapping.mjs)
+ * against the rules below and splits them into clean records and rejected rows.
+ * upsertSessions() writes the clean records with a handful of set-based queries;
+ * the caller owns the transaction.
+ *
+ * Validation rules:
+ * - Topic Code, Domain, Class, First Name, Last Name and Session Date are required
+ * - Session Date must be an Excel date or a recognizable date string
+ * - responses and No of Students Attended are whole numbers >= 0, and responses <= attended
+ * - Average is between 1 and 5; it may only be blank when nobody responded (stored as NULL, not 0)
+ * - % Rated must match responses / attended (within RATED_PCT_TOLERANCE points);
+ *   fractions (0.5) and percentages (50) are both accepted, and a blank value is derived
+ * - The same session (instructor, class, date, topic) may only appear once per file
+ */
+
+import xlsx from "xlsx";
+import dayjs from "dayjs";
+import customParseFormat from "dayjs/plugin/customParseFormat.js";
+
+dayjs.extend(customParseFormat);
+
+// Fields of a session row and their names in reports (source headers come from the mapping file)
+export const FIELDS = {
+  topic: "Topic Code",
+  domain: "Domain",
+  class: "Class",
+  classRegion: "Class Region",
+  firstName: "First Name",
+  lastName: "Last Name",
+  instrRegion: "Instructor Region",
+  date: "Session Date",
+  average: "Average",
+  responses: "responses",
+  attended: "No of Students Attended",
+  ratedPct: "% Rated"
+};
+
+export const REQUIRED_FIELDS = ["topic", "domain", "class", "firstName", "lastName", "date"];
+
+// Accepted spellings for text dates (Excel dates arrive as serial numbers)
+const DATE_FORMATS = ["YYYY-MM-DD", "YYYY/MM/DD", "M/D/YYYY", "MM/DD/YYYY", "D MMM YYYY", "D-MMM-YYYY", "MMM D, YYYY", "MMMM D, YYYY"];
+
+// How far % Rated may drift from responses / attended (rounding in the export)
+export const RATED_PCT_TOLERANCE = 1;
+
+// Rows per INSERT for the fact table
+const CHUNK_SIZE = 500;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+const text = (value) => (isBlank(value) ? "" : String(value).trim());
+
+/**
+ * Normalizes a Session Date cell to YYYY-MM-DD.
+ * @returns {string|null} null if the value is not a date.
+ */
+export function parseSessionDate(value) {
+  if (typeof value === "number") {
+    const date = xlsx.SSF.parse_date_code(value);
+    if (!date || !date.y) return null;
+    return `${date.y}-${String(date.m).padStart(2, "0")}-${String(date.d).padStart(2, "0")}`;
+  }
+  if (value instanceof Date) return dayjs(value).format("YYYY-MM-DD");
+
+  const parsed = dayjs(text(value), DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.format("YYYY-MM-DD") : null;
+}
+
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const number = Number(text(value).replace(/%$/, ""));
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function parseCount(value, label, errors) {
+  if (isBlank(value)) return 0;
+  const number = parseNumber(value);
+  if (!Number.isInteger(number) || number < 0) {
+    errors.push(`${label} must be a whole number >= 0, got "${value}"`);
+    return null;
+  }
+  return number;
+}
+
+// Picks the reading of % Rated (fraction or percentage) that matches responses / attended
+function parseRatedPct(value, responses, attended, errors) {
+  const expected = attended > 0 ? (responses / attended) * 100 : 0;
+  if (isBlank(value)) return Math.round(expected * 100) / 100;
+
+  const number = parseNumber(value);
+  if (Number.isNaN(number) || number < 0 || number > 100) {
+    errors.push(`${FIELDS.ratedPct} must be between 0 and 100, got "${value}"`);
+    return null;
+  }
+
+  const readings = number <= 1 ? [number * 100, number] : [number];
+  const match = readings.find(pct => Math.abs(pct - expected) <= RATED_PCT_TOLERANCE);
+  if (match === undefined) {
+    errors.push(`${FIELDS.ratedPct} ${value} does not match ${responses} responses / ${attended} attended (${expected.toFixed(1)}%)`);
+    return null;
+  }
+  return Math.round(match * 100) / 100;
+}
+
+/**
+ * Validates one row.
+ * @param {Object} row Values keyed by field (see FIELDS).
+ * @returns {{record: Object|null, errors: Array<string>}}
+ */
+export function validateRow(row) {
+  const errors = [];
+  const value = (key) => row[key];
+
+  for (const key of REQUIRED_FIELDS) {
+    if (isBlank(value(key))) errors.push(`Missing ${FIELDS[key]}`);
+  }
+
+  const date = isBlank(value("date")) ? null : parseSessionDate(value("date"));
+  if (!isBlank(value("date")) && !date) errors.push(`${FIELDS.date} "${value("date")}" is not a valid date`);
+
+  const responses = parseCount(value("responses"), FIELDS.responses, errors);
+  const attended = parseCount(value("attended"), FIELDS.attended, errors);
+  const countsValid = responses !== null && attended !== null;
+  if (countsValid && responses > attended) {
+    errors.push(`${FIELDS.responses} (${responses}) is greater than ${FIELDS.attended} (${attended})`);
+  }
+
+  let averageRating = null;
+  if (isBlank(value("average"))) {
+    if (responses > 0) errors.push(`Missing ${FIELDS.average} for a session with ${responses} responses`);
+  } else {
+    averageRating = parseNumber(value("average"));
+    if (Number.isNaN(averageRating) || averageRating < 1 || averageRating > 5) {
+      errors.push(`${FIELDS.average} must be between 1 and 5, got "${value("average")}"`);
+    }
+  }
+
+  const ratedPct = countsValid && responses <= attended
+    ? parseRatedPct(value("ratedPct"), responses, attended, errors)
+    : null;
+
+  if (errors.length > 0) return { record: null, errors };
+
+  return {
+    record: {
+      topic: text(value("topic")),
+      domain: text(value("domain")),
+      className: text(value("class")),
+      classRegion: text(value("classRegion")),
+      firstName: text(value("firstName")),
+      lastName: text(value("lastName")),
+      instructorRegion: text(value("instrRegion")),
+      date,
+      averageRating,
+      responses,
+      attended,
+      ratedPct,
+    },
+    errors,
+  };
+}
+
+/**
+ * Validates all rows of a file and rejects repeated sessions.
+ * @param {Array<{sheet, row, data, source}>} rows Mapped rows with their location and original values.
+ * @returns {{records: Array<Object>, rejected: Array<{sheet, row, errors, source}>}}
+ */
+export function validateRows(rows) {
+  const records = [];
+  const rejected = [];
+  const seen = new Map();
+
+  for (const { sheet, row, data, source = data } of rows) {
+    const { record, errors } = validateRow(data);
+    if (!record) {
+      rejected.push({ sheet, row, errors, source });
+      continue;
+    }
+
+    // One INSERT can't touch the same fact twice, and two versions of a session are ambiguous anyway
+    const key = [record.firstName, record.lastName, record.instructorRegion, record.className,
+      record.classRegion, record.date, record.topic].join("|");
+    if (seen.has(key)) {
+      const first = seen.get(key);
+      rejected.push({ sheet, row, errors: [`Duplicate of ${first.sheet} row ${first.row}`], source });
+      continue;
+    }
+    seen.set(key, { sheet, row });
+    records.push({ ...record, source: { sheet, row } });
+  }
+
+  return { records, rejected };
+}
+
+/**
+ * Writes the rejected rows (location, reasons and original values) as CSV.
+ * @param {string} file Output path.
+ * @param {Array} rejected Output of validateRows.
+ */
+export function writeRejectsReport(file, rejected) {
+  const report = rejected.map(({ sheet, row, errors, source }) => ({
+    Sheet: sheet, Row: row, Errors: errors.join("; "), ...source,
+  }));
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(report), "Rejected");
+  xlsx.writeFile(workbook, file, { bookType: "csv" });
+}
+
+// Inserts the distinct values of one dimension and returns a lookup of natural key -> id
+async function upsertDimension(db, { table, idCol, columns, values }) {
+  const recordset = columns.map(c => `${c} text`).join(", ");
+  const list = columns.join(", ");
+  const json = JSON.stringify(values);
+
+  const inserted = await db.query(
+    `INSERT INTO ${table} (${list})
+     SELECT DISTINCT ${list} FROM jsonb_to_recordset($1::jsonb) AS r(${recordset})
+     ON CONFLICT (${list}) DO NOTHING`,
+    [json]
+  );
+  const { rows } = await db.query(
+    `SELECT t.${idCol} AS id, ${columns.map(c => `t.${c}`).join(", ")}
+     FROM ${table} t JOIN (SELECT DISTINCT * FROM jsonb_to_recordset($1::jsonb) AS r(${recordset})) r USING (${list})`,
+    [json]
+  );
+
+  const ids = new Map(rows.map(row => [columns.map(c => row[c]).join("|"), row.id]));
+  return { ids, created: inserted.rowCount };
+}
+
+// The stored values of the facts in a chunk that already exist, keyed by session_id
+async function currentValues(db, chunk) {
+  const { rows } = await db.query(
+    `SELECT f.session_id, jsonb_build_object(
+       'domain_id', f.domain_id, 'average_rating', f.average_rating, 'responses', f.responses,
+       'attended', f.attended, 'rated_pct', f.rated_pct, 'import_batch_id', f.import_batch_id) AS previous
+     FROM fact_sessions f
+     JOIN jsonb_to_recordset($1::jsonb) AS r(instructor_id uuid, class_id uuid, pst_date date, topic_id uuid)
+       USING (instructor_id, class_id, pst_date, topic_id)`,
+    [chunk]
+  );
+  return new Map(rows.map(r => [r.session_id, r.previous]));
+}
+
+/**
+ * Upserts validated records: dimensions first, then facts in chunks.
+ * Facts whose values did not change are left alone and counted as unchanged.
+ * With a batchId, written facts are tagged with it and every insert or change is
+ * recorded in import_batch_rows (with the old values) so the batch can be rolled back.
+ * Runs inside the caller's transaction.
+ * @param {import("pg").Client} db A connected client (inside BEGIN).
+ * @param {Array<Object>} records Output of validateRows.
+ * @param {Object} [options] { batchId } from import_batches.
+ * @returns {Promise<{inserted, updated, unchanged, newDimensions}>}
+ */
+export async function upsertSessions(db, records, { batchId = null } = {}) {
+  const dims = {
+    domain: await upsertDimension(db, {
+      table: "dim_domain", idCol: "domain_id", columns: ["domain_name"],
+      values: records.map(r => ({ domain_name: r.domain })),
+    }),
+    topic: await upsertDimension(db, {
+      table: "dim_topic", idCol: "topic_id", columns: ["topic_code"],
+      values: records.map(r => ({ topic_code: r.topic })),
+    }),
+    instructor: await upsertDimension(db, {
+      table: "dim_instructor", idCol: "instructor_id", columns: ["first_name", "last_name", "region"],
+      values: records.map(r => ({ first_name: r.firstName, last_name: r.lastName, region: r.instructorRegion })),
+    }),
+    class: await upsertDimension(db, {
+      table: "dim_class", idCol: "class_id", columns: ["class_name", "region"],
+      values: records.map(r => ({ class_name: r.className, region: r.classRegion })),
+    }),
+  };
+
+  const facts = records.map(r => ({
+    instructor_id: dims.instructor.ids.get(`${r.firstName}|${r.lastName}|${r.instructorRegion}`),
+    class_id: dims.class.ids.get(`${r.className}|${r.classRegion}`),
+    domain_id: dims.domain.ids.get(r.domain),
+    topic_id: dims.topic.ids.get(r.topic),
+    pst_date: r.date,
+    average_rating: r.averageRating,
+    responses: r.responses,
+    attended: r.attended,
+    rated_pct: r.ratedPct,
+  }));
+
+  let inserted = 0;
+  let updated = 0;
+  for (let i = 0; i < facts.length; i += CHUNK_SIZE) {
+    const chunk = JSON.stringify(facts.slice(i, i + CHUNK_SIZE));
+    const previous = batchId ? await currentValues(db, chunk) : new Map();
+
+    // xmax = 0 only for rows this statement inserted; unchanged rows are filtered out by the WHERE
+    const { rows } = await db.query(
+      `INSERT INTO fact_sessions
+         (instructor_id, class_id, domain_id, topic_id, pst_date, average_rating, responses, attended, rated_pct, import_batch_id)
+       SELECT instructor_id, class_id, domain_id, topic_id, pst_date, average_rating, responses, attended, rated_pct, $2::bigint
+       FROM jsonb_to_recordset($1::jsonb) AS r(
+         instructor_id uuid, class_id uuid, domain_id uuid, topic_id uuid, pst_date date,
+         average_rating numeric, responses int, attended int, rated_pct numeric)
+       ON CONFLICT (instructor_id, class_id, pst_date, topic_id) DO UPDATE SET
+         domain_id = EXCLUDED.domain_id,
+         average_rating = EXCLUDED.average_rating,
+         responses = EXCLUDED.responses,
+         attended = EXCLUDED.attended,
+         rated_pct = EXCLUDED.rated_pct,
+         import_batch_id = EXCLUDED.import_batch_id
+       WHERE (fact_sessions.domain_id, fact_sessions.average_rating, fact_sessions.responses,
+              fact_sessions.attended, fact_sessions.rated_pct)
+         IS DISTINCT FROM (EXCLUDED.domain_id, EXCLUDED.average_rating, EXCLUDED.responses,
+              EXCLUDED.attended, EXCLUDED.rated_pct)
+       RETURNING session_id, (xmax = 0) AS inserted`,
+      [chunk, batchId]
+    );
+    const chunkInserted = rows.filter(r => r.inserted).length;
+    inserted += chunkInserted;
+    updated += rows.length - chunkInserted;
+
+    if (batchId && rows.length > 0) {
+      const touched = rows.map(r => ({ session_id: r.session_id, previous: r.inserted ? null : previous.get(r.session_id) }));
+      await db.query(
+        `INSERT INTO import_batch_rows (batch_id, session_id, previous)
+         SELECT $1, session_id, previous FROM jsonb_to_recordset($2::jsonb) AS r(session_id uuid, previous jsonb)`,
+        [batchId, JSON.stringify(touched)]
+      );
+    }
+  }
+
+  return {
+    inserted,
+    updated,
+    unchanged: facts.length - inserted - updated,
+    newDimensions: {
+      domains: dims.domain.created,
+      topics: dims.topic.created,
+      instructors: dims.instructor.created,
+      classes: dims.class.created,
+    },
+  };
+}
@@ -0,0 +1,219 @@
+// examples.js
+// Library of verified question -> SQL pairs used as few-shot examples. The curated seeds live in
+// prompts/sql-examples.json, later additions (thumbs up, manual) in sql_examples. For each question
+// the most similar examples are picked with a TF-IDF index over the example questions.
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("./db");
+const { validateSql, inlineParameters } = require("./sqlGuard");
+
+const SEED_FILE = process.env.SQL_EXAMPLES_FILE || path.join(__dirname, "prompts", "sql-examples.json");
+
+// How many examples go with each question (0 sends none), and how similar they must be (cosine, 0 to 1)
+const configuredCount = parseInt(process.env.SQL_EXAMPLE_COUNT, 10);
+const EXAMPLE_COUNT = Number.isNaN(configuredCount) ? 3 : configuredCount;
+const MIN_SIMILARITY = 0.1;
+
+// Words that say nothing about which query a question needs
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "did", "do", "does", "for", "from", "give", "has", "have",
+  "how", "i", "in", "is", "it", "me", "of", "on", "or", "show", "tell", "than", "that", "the", "their", "them",
+  "there", "this", "to", "was", "we", "were", "what", "which", "who", "with",
+]);
+
+/**
+ * Raised for invalid or missing examples. Carries the HTTP status.
+ */
+class ExampleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExampleError";
+    this.status = status;
+  }
+}
+
+// "Ratings" / "rated" / "rating" all become "rat", "classes" becomes "class"
+function stem(word) {
+  if (word.length <= 3) return word;
+  return word
+    .replace(/(ss|sh|ch|x)es$/, "$1")
+    .replace(/ies$/, "y")
+    .replace(/([^s])s$/, "$1")
+    .replace(/(.{3,})(ing|ed)$/, "$1");
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Weighted term vector of a text, normalized to length 1
+function vectorize(tokens, idf) {
+  const vector = new Map();
+  for (const token of tokens) {
+    if (idf.has(token)) vector.set(token, (vector.get(token) || 0) + idf.get(token));
+  }
+  const length = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+  if (length > 0) for (const [token, weight] of vector) vector.set(token, weight / length);
+  return vector;
+}
+
+// Current library and its index; replaced in one step when a reload succeeds
+const library = { examples: [], idf: new Map(), vectors: [], loadedAt: null, loading: null };
+
+// Same text up to case, spacing and a trailing semicolon
+const normalizeText = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").replace(/[\s;]+$/, "").trim();
+
+// SQL_EXAMPLE_EXCLUDE_FILE names a JSON list of { question, sql } (e.g. the eval cases) that must not be
+// used as examples: an example with the same question or the same SQL would hand the model the answer
+function readExclusions() {
+  const file = process.env.SQL_EXAMPLE_EXCLUDE_FILE;
+  if (!file) return null;
+  const cases = JSON.parse(fs.readFileSync(file, "utf8"));
+  return new Set(cases.flatMap(c => [c.question, c.sql]).filter(Boolean).map(normalizeText));
+}
+
+function readSeeds() {
+  const seeds = JSON.parse(fs.readFileSync(SEED_FILE, "utf8"));
+  return seeds.map((seed, i) => ({
+    id: `seed-${i + 1}`,
+    question: seed.question,
+    sql: Array.isArray(seed.sql) ? seed.sql.join("\n") : seed.sql,
+    source: "seed",
+  }));
+}
+
+/**
+ * Reloads the seeds and the stored examples and rebuilds the index. If the reload fails
+ * the previous library stays in place. Concurrent calls share one reload.
+ */
+function reloadExamples() {
+  if (library.loading) return library.loading;
+
+  library.loading = (async () => {
+    try {
+      const { rows } = await pool.query(
+        "SELECT example_id::text AS id, question, sql_query AS sql, source FROM sql_examples ORDER BY example_id"
+      );
+      const excluded = readExclusions();
+      const examples = [...readSeeds(), ...rows]
+        .filter(e => !excluded || !(excluded.has(normalizeText(e.question)) || excluded.has(normalizeText(e.sql))));
+      const documents = examples.map(e => new Set(tokenize(e.question)));
+
+      const idf = new Map();
+      for (const token of new Set(documents.flatMap(d => [...d]))) {
+        const frequency = documents.filter(d => d.has(token)).length;
+        idf.set(token, Math.log((examples.length + 1) / (frequency + 1)) + 1);
+      }
+
+      Object.assign(library, {
+        examples, idf, vectors: examples.map(e => vectorize(tokenize(e.question), idf)), loadedAt: Date.now()
+      });
+      console.log(`[Examples] Loaded ${examples.length} examples (${rows.length} added by users${excluded ? ", excluding the eval cases" : ""}).`);
+    } catch (e) {
+      console.error("[Examples] Load Error:", e.message);
+      throw e;
+    } finally {
+      library.loading = null;
+    }
+  })();
+
+  return library.loading;
+}
+
+/**
+ * The examples whose questions are most similar to `question`, best first.
+ * @param {string} question The user's question.
+ * @param {number} limit How many to return at most (SQL_EXAMPLE_COUNT, default 3).
+ * @returns {Promise<Array<{id, source, question, sql, score}>>}
+ */
+async function findSimilarExamples(question, limit = EXAMPLE_COUNT) {
+  if (!library.loadedAt) await reloadExamples();
+
+  const query = vectorize(tokenize(question), library.idf);
+  return library.vectors
+    .map((vector, i) => {
+      let score = 0;
+      for (const [token, weight] of query) score += weight * (vector.get(token) || 0);
+      return { ...library.examples[i], score: Math.round(score * 1000) / 1000 };
+    })
+    .filter(e => e.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+async function listExamples() {
+  if (!library.loadedAt) await reloadExamples();
+  const { rows } = await pool.query(
+    "SELECT example_id::text AS id, log_id::int AS log_id, added_by, created_at FROM sql_examples"
+  );
+  return library.examples.map(example => ({
+    ...example, ...(rows.find(r => r.id === example.id) || { log_id: null, added_by: null, created_at: null })
+  }));
+}
+
+/**
+ * Adds a verified pair to the library. The SQL must pass the same guard as generated SQL
+ * and may not use bind parameters: examples show literal values.
+ * @param {Object} example { question, sql, source ("feedback" or "manual"), logId, addedBy }
+ * @returns {Promise<Object>} The stored example.
+ */
+async function addExample({ question, sql, source = "manual", logId = null, addedBy = null }) {
+  if (!question || typeof question !== "string" || !question.trim()) throw new ExampleError("question is required");
+  if (!sql || typeof sql !== "string") throw new ExampleError("sql is required");
+  try {
+    validateSql(sql);
+  } catch (e) {
+    throw new ExampleError(`The example's SQL was rejected: ${e.message}`);
+  }
+  if (/\$\d+/.test(sql)) throw new ExampleError("Example SQL can't use bind parameters ($1, $2, ...)");
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO sql_examples (question, sql_query, source, log_id, added_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING example_id::text AS id, question, sql_query AS sql, source, log_id::int AS log_id, added_by, created_at`,
+      [question.trim(), sql.trim(), source, logId, addedBy]
+    );
+    await reloadExamples();
+    return rows[0];
+  } catch (e) {
+    if (e.code === "23505") throw new ExampleError("That question is already in the example library", 409);
+    throw e;
+  }
+}
+
+/**
+ * Adds an answered question from the query log, e.g. after a thumbs up. Its bound
+ * values are written into the SQL.
+ * @param {number} logId The query-log entry.
+ * @param {string} addedBy Username of whoever vouched for it.
+ * @param {string|null} askedBy Only promote the entry if this user asked it (null for admins).
+ */
+async function addExampleFromLog(logId, addedBy, askedBy = null) {
+  const { rows } = await pool.query(
+    `SELECT question, sql_query AS sql, params, status FROM query_log
+     WHERE log_id = $1 AND ($2::text IS NULL OR asked_by = $2)`,
+    [logId, askedBy]
+  );
+  const entry = rows[0];
+  if (!entry) throw new ExampleError("Log entry not found", 404);
+  if (entry.status !== "answered" || !entry.sql) throw new ExampleError("Only answered questions can become examples");
+
+  return addExample({
+    question: entry.question, sql: inlineParameters(entry.sql, entry.params), source: "feedback", logId, addedBy
+  });
+}
+
+// Seeds are edited in prompts/sql-examples.json, so only added examples can be deleted here
+async function deleteExample(id) {
+  const { rowCount } = await pool.query("DELETE FROM sql_examples WHERE example_id = $1", [id]);
+  if (rowCount > 0) await reloadExamples();
+  return rowCount > 0;
+}
+
+module.exports = {
+  findSimilarExamples, listExamples, addExample, addExampleFromLog, deleteExample, reloadExamples, tokenize, ExampleError
+};
@@ -0,0 +1,435 @@
+// explainer.js
+// Plain-English breakdown of an answer's SQL for readers who don't write SQL: the tables joined,
+// each filter, the metric definitions, grouping, sorting and limits. Choices the model made on the
+// user's behalf (class vs. instructor region, partial name matching, simple vs. weighted averages)
+// are flagged as interpretations, each with a follow-up question that asks for the other reading.
+
+const { parse } = require("pgsql-ast-parser");
+const { inlineParameters } = require("./sqlGuard");
+
+// What the star-schema tables and columns mean to a reader
+const TABLE_LABELS = {
+  fact_sessions: "class sessions (ratings and attendance)",
+  dim_instructor: "instructors",
+  dim_class: "classes",
+  dim_domain: "domains",
+  dim_topic: "session types",
+};
+
+const COLUMN_LABELS = {
+  "fact_sessions.session_id": "session",
+  "fact_sessions.pst_date": "session date (Pacific time)",
+  "fact_sessions.average_rating": "session rating",
+  "fact_sessions.responses": "number of ratings",
+  "fact_sessions.attended": "attendance",
+  "fact_sessions.rated_pct": "response rate (%)",
+  "dim_instructor.full_name": "instructor name",
+  "dim_instructor.first_name": "instructor first name",
+  "dim_instructor.last_name": "instructor last name",
+  "dim_instructor.region": "instructor region",
+  "dim_class.class_name": "class name",
+  "dim_class.region": "class region",
+  "dim_domain.domain_name": "domain",
+  "dim_topic.topic_code": "session type",
+};
+
+const AGGREGATES = {
+  avg: "average", sum: "total", min: "lowest", max: "highest",
+  stddev: "spread (standard deviation) of", stddev_pop: "spread (standard deviation) of",
+  stddev_samp: "spread (standard deviation) of", variance: "variance of", var_pop: "variance of",
+};
+const COMPARISONS = {
+  "=": ["is", "is"], "!=": ["is not", "is not"], "<>": ["is not", "is not"],
+  ">=": ["is at least", "is on or after"], "<=": ["is at most", "is on or before"],
+  ">": ["is more than", "is after"], "<": ["is less than", "is before"],
+};
+const ARITHMETIC = { "+": "plus", "-": "minus", "*": "times", "/": "divided by" };
+
+/**
+ * Raised for SQL that can't be parsed. Carries the HTTP status.
+ */
+class ExplainError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ExplainError";
+    this.status = status;
+  }
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Explains a query in plain words.
+ * @param {string} sql The executed SQL (may use $n placeholders).
+ * @param {Array} params Values bound to the placeholders; they are shown as values, not placeholders.
+ * @param {Object} options { includeSql: false leaves out the SQL fragments, for viewers }
+ * @returns {{tables, filters, metrics, columns, grouping, having, ordering, limit, steps, interpretations}}
+ */
+function explainSql(sql, params = [], { includeSql = true } = {}) {
+  const text = inlineParameters(sql, params);
+  let statements;
+  try {
+    statements = parse(text, { locationTracking: true });
+  } catch (e) {
+    throw new ExplainError(`The query could not be parsed: ${e.message.split("\n")[0]}`);
+  }
+  if (statements.length !== 1) throw new ExplainError("Only a single query can be explained");
+
+  const context = { text, interpretations: new Map(), steps: [] };
+  const explanation = explainStatement(statements[0], context);
+  const result = { ...explanation, steps: context.steps, interpretations: [...context.interpretations.values()] };
+  return includeSql ? result : withoutSql(result);
+}
+
+// WITH steps and sub-queries are explained on their own and listed in `steps`
+function explainStatement(statement, context) {
+  if (statement.type === "with") {
+    for (const bind of statement.bind) {
+      context.steps.push({ name: bind.alias.name, ...explainStatement(bind.statement, context) });
+    }
+    return explainStatement(statement.in, context);
+  }
+  if (statement.type === "union" || statement.type === "union all") {
+    context.steps.push({ name: `combined with (${statement.type.toUpperCase()})`, ...explainStatement(statement.right, context) });
+    return explainStatement(statement.left, context);
+  }
+  if (statement.type === "values") {
+    return {
+      tables: [{ table: null, alias: null, join: null, on: null, text: capitalize(valuesLabel(statement)) }],
+      filters: [], metrics: [], columns: [], grouping: null, having: [], ordering: [], limit: null, offset: null,
+    };
+  }
+  if (statement.type !== "select") throw new ExplainError(`Can't explain a ${statement.type} statement`);
+  return explainSelect(statement, context);
+}
+
+function explainSelect(select, context) {
+  const scope = { aliases: new Map(), tables: [], context };
+
+  const tables = (select.from || []).map((from, i) => {
+    const join = from.join ? from.join.type.toLowerCase() : null;
+    const on = from.join && from.join.on ? snippet(context, from.join.on) : null;
+    const verb = i === 0 ? "Starts from" : "Adds";
+    // Rows written into the query, or made by a function such as generate_series()
+    if (from.type === "statement" && from.statement.type === "values") {
+      scope.aliases.set(from.alias, from.alias);
+      return { table: from.alias, alias: from.alias, join, on, text: `${verb} ${valuesLabel(from.statement)}` };
+    }
+    if (from.type === "call") {
+      const alias = from.alias ? from.alias.name : from.function.name;
+      scope.aliases.set(alias, alias);
+      return { table: alias, alias, join, on, text: `${verb} the rows made by the ${from.function.name}() function` };
+    }
+    if (from.type === "statement") {
+      context.steps.push({ name: from.alias, ...explainStatement(from.statement, context) });
+      scope.aliases.set(from.alias, from.alias);
+      return { table: from.alias, alias: from.alias, join, on, text: `The results of step "${from.alias}"` };
+    }
+
+    const table = from.name.name;
+    const alias = from.name.alias || table;
+    scope.aliases.set(alias, table);
+    scope.tables.push(table);
+    const label = TABLE_LABELS[table] || `the ${table} step`;
+    const text = `${verb} ${label}${i > 0 && join === "left join" ? ", keeping rows that have none" : ""}`;
+    return { table, alias, join, on, text };
+  });
+
+  const selected = (select.columns || []).map((column) => ({
+    name: column.alias ? column.alias.name : snippet(context, column.expr),
+    sql: snippet(context, column.expr),
+    expr: column.expr,
+  }));
+
+  const metrics = [];
+  const columns = [];
+  for (const column of selected) {
+    const item = { name: column.name, sql: column.sql, text: capitalize(describe(column.expr, scope)) };
+    (hasAggregate(column.expr) ? metrics : columns).push(item);
+  }
+
+  const filters = splitAnd(select.where).map(condition => ({ sql: snippet(context, condition), text: capitalize(describeCondition(condition, scope)) }));
+  const having = splitAnd(select.having).map(condition => ({
+    sql: snippet(context, condition), text: `Only groups where ${describeCondition(condition, scope)}`
+  }));
+
+  // GROUP BY 1 and GROUP BY alias refer to the selected columns
+  const selectedColumn = (expr) => {
+    if (expr.type === "integer") return selected[expr.value - 1];
+    if (expr.type === "ref" && !expr.table) return selected.find(c => c.name === expr.name);
+    return null;
+  };
+  const labelOf = (expr) => {
+    const column = selectedColumn(expr);
+    return column ? describe(column.expr, scope) : describe(expr, scope);
+  };
+
+  const grouping = (select.groupBy || []).map(expr => ({ sql: snippet(context, expr), text: labelOf(expr) }));
+  const ordering = (select.orderBy || []).map(({ by, order }) => {
+    const label = labelOf(by);
+    const isDate = /date|month|year|quarter|week|day/i.test(label);
+    const descending = order === "DESC";
+    const direction = isDate ? (descending ? "latest first" : "earliest first") : (descending ? "highest first" : "lowest first");
+    return { sql: snippet(context, by), direction: descending ? "desc" : "asc", text: `${capitalize(label)}, ${direction}` };
+  });
+
+  const limit = select.limit && select.limit.limit && select.limit.limit.type === "integer" ? select.limit.limit.value : null;
+  const offset = select.limit && select.limit.offset && select.limit.offset.type === "integer" ? select.limit.offset.value : null;
+  if (limit !== null) {
+    flag(context, "limit", {
+      text: `Only the ${limit === 1 ? "top row is" : `first ${limit} rows are`} shown${ordering.length > 0 ? `, by ${ordering[0].text.toLowerCase()}` : ""}; anything after that (including ties) is left out.`,
+      suggestion: "Show all the rows, not just the top ones",
+    });
+  }
+
+  return {
+    tables,
+    filters,
+    metrics,
+    columns,
+    grouping: grouping.length > 0 ? { text: `One row per ${grouping.map(g => g.text).join(" and ")}`, by: grouping } : null,
+    having,
+    ordering,
+    limit,
+    offset,
+  };
+}
+
+// =========================================================
+// EXPRESSIONS IN PLAIN WORDS
+// =========================================================
+function describe(expr, scope) {
+  switch (expr.type) {
+    case "ref":
+      if (expr.name === "*") return "rows";
+      noteRegion(expr, scope);
+      return columnLabel(expr, scope);
+    case "string":
+      return `"${expr.value}"`;
+    case "integer":
+    case "numeric":
+      return String(expr.value);
+    case "boolean":
+      return expr.value ? "true" : "false";
+    case "null":
+      return "nothing";
+    case "cast":
+      return describe(expr.operand, scope);
+    case "list":
+    case "array":
+      return listOf(expr.expressions.map(e => describe(e, scope)));
+    case "extract":
+      return `${expr.field.name.toLowerCase()} of the ${describe(expr.from, scope)}`;
+    case "call":
+      return describeCall(expr, scope);
+    case "case": {
+      // CASE WHEN <condition> THEN <value> END, e.g. the January ratings only
+      if (expr.value || expr.whens.length !== 1) return snippet(scope.context, expr);
+      const [{ when, value }] = expr.whens;
+      const otherwise = expr.else ? `, otherwise ${describe(expr.else, scope)}` : "";
+      return `${describe(value, scope)} when ${describeCondition(when, scope)}${otherwise}`;
+    }
+    case "binary": {
+      const weighted = weightedAverage(expr);
+      if (weighted) {
+        noteAverage(scope, weighted.value, true);
+        return `average ${describe(weighted.value, scope)}, weighted by ${describe(weighted.weight, scope)}`;
+      }
+      if (ARITHMETIC[expr.op]) return `${describe(expr.left, scope)} ${ARITHMETIC[expr.op]} ${describe(expr.right, scope)}`;
+      return describeCondition(expr, scope);
+    }
+    default:
+      return snippet(scope.context, expr);
+  }
+}
+
+function describeCall(call, scope) {
+  const name = call.function.name.toLowerCase();
+  const args = call.args || [];
+
+  if (name === "round" && args.length > 0) {
+    const digits = args[1] && args[1].type === "integer" ? args[1].value : 0;
+    return `${describe(args[0], scope)}, rounded to ${digits} decimal${digits === 1 ? "" : "s"}`;
+  }
+  if (name === "count") {
+    if (args.length === 0 || (args[0].type === "ref" && args[0].name === "*")) {
+      return scope.tables.includes("fact_sessions") ? "number of sessions" : "number of rows";
+    }
+    const label = describe(args[0], scope);
+    return call.distinct ? `number of different ${label}s` : `number of ${label}s`;
+  }
+  if (AGGREGATES[name] && args.length > 0) {
+    if (name === "avg") noteAverage(scope, args[0], false);
+    return `${AGGREGATES[name]} ${describe(args[0], scope)}`;
+  }
+  if (name === "nullif" || name === "coalesce") return describe(args[0], scope);
+  if (name === "date_trunc" && args.length === 2 && args[0].type === "string") {
+    return `${args[0].value.toLowerCase()} of the ${describe(args[1], scope)}`;
+  }
+  if (name === "any") return describe(args[0], scope);
+  if ((name === "lag" || name === "lead") && args.length > 0) {
+    return `the ${name === "lag" ? "previous" : "next"} row's ${describe(args[0], scope)}`;
+  }
+  return snippet(scope.context, call);
+}
+
+function describeCondition(expr, scope) {
+  if (expr.type === "binary" && (expr.op === "AND" || expr.op === "OR")) {
+    const joiner = expr.op === "AND" ? " and " : " or ";
+    const parts = (expr.op === "AND" ? splitAnd(expr) : splitOr(expr)).map(e => describeCondition(e, scope));
+    return expr.op === "OR" ? `either ${parts.join(joiner)}` : parts.join(joiner);
+  }
+  if (expr.type === "ternary" && /BETWEEN/.test(expr.op)) {
+    const negated = expr.op.startsWith("NOT") ? "not " : "";
+    return `the ${describe(expr.value, scope)} is ${negated}between ${describe(expr.lo, scope)} and ${describe(expr.hi, scope)}`;
+  }
+  if (expr.type === "unary") {
+    if (expr.op === "IS NULL") return `the ${describe(expr.operand, scope)} is missing`;
+    if (expr.op === "IS NOT NULL") return `the ${describe(expr.operand, scope)} is present`;
+    if (expr.op === "NOT") return `not (${describeCondition(expr.operand, scope)})`;
+  }
+  if (expr.type !== "binary") return describe(expr, scope);
+
+  const subject = `the ${describe(expr.left, scope)}`;
+  const op = expr.op.toUpperCase();
+
+  if (/LIKE$/.test(op)) return describeMatch(expr, subject, scope);
+  if (op === "IN" || op === "NOT IN") return `${subject} is ${op === "IN" ? "" : "not "}one of ${describe(expr.right, scope)}`;
+  if (op === "=" && expr.right.type === "call" && expr.right.function.name.toLowerCase() === "any") {
+    return `${subject} is one of ${describe(expr.right, scope)}`;
+  }
+  if (COMPARISONS[op]) {
+    const value = describe(expr.right, scope);
+    const isDate = /date/.test(subject) || /^"\d{4}-\d{2}-\d{2}"$/.test(value);
+    return `${subject} ${COMPARISONS[op][isDate ? 1 : 0]} ${value}`;
+  }
+  return snippet(scope.context, expr);
+}
+
+// ILIKE '%x%' is a partial match: flagged, since it can include more than the one name meant
+function describeMatch(expr, subject, scope) {
+  const op = expr.op.toUpperCase();
+  const negated = op.startsWith("NOT");
+  const caseNote = op.endsWith("ILIKE") ? ", ignoring case" : "";
+  if (expr.right.type !== "string") return `${subject} ${negated ? "does not match" : "matches"} ${describe(expr.right, scope)}${caseNote}`;
+
+  const pattern = expr.right.value;
+  const term = pattern.replace(/^%+|%+$/g, "");
+  const starts = pattern.startsWith("%");
+  const ends = pattern.endsWith("%");
+  const how = starts && ends ? "contain" : starts ? "end with" : ends ? "start with" : "be";
+  if ((starts || ends) && !negated) {
+    const label = describe(expr.left, scope);
+    flag(scope.context, `partial_match:${label}:${term.toLowerCase()}`, {
+      code: "partial_match",
+      text: `Any ${label} that ${how === "contain" ? "contains" : how === "end with" ? "ends with" : "starts with"} "${term}" is included (a partial match${caseNote}), so similar names count too.`,
+      suggestion: `Only include the ${label} exactly "${term}"`,
+    });
+  }
+  return `${subject} ${negated ? "does not " : "must "}${how} "${term}"${caseNote}`;
+}
+
+// =========================================================
+// INTERPRETATIONS
+// =========================================================
+function flag(context, key, interpretation) {
+  if (!context.interpretations.has(key)) context.interpretations.set(key, { code: key, ...interpretation });
+}
+
+function noteRegion(expr, scope) {
+  if (expr.type !== "ref" || expr.name !== "region") return;
+  const table = tableOf(expr, scope);
+  if (table === "dim_class") {
+    flag(scope.context, "class_region", {
+      text: "Region means the class region: the audience the class was scheduled for, not where the instructor lives.",
+      suggestion: "Use the instructor region instead of the class region",
+    });
+  } else if (table === "dim_instructor") {
+    flag(scope.context, "instructor_region", {
+      text: "Region means the instructor region: where the teacher lives, not the audience the class was scheduled for.",
+      suggestion: "Use the class region instead of the instructor region",
+    });
+  }
+}
+
+function noteAverage(scope, valueExpr, weighted) {
+  if (valueExpr.type !== "ref" || valueExpr.name !== "average_rating") return;
+  if (weighted) {
+    flag(scope.context, "weighted_average", {
+      text: "Ratings are weighted by the number of ratings: sessions rated by more students count more.",
+      suggestion: "Use a simple average rating, with every session counting the same",
+    });
+  } else {
+    flag(scope.context, "simple_average", {
+      text: "Ratings are a simple average: every session counts the same, however many students rated it.",
+      suggestion: "Use the weighted average rating (weighted by the number of responses)",
+    });
+  }
+}
+
+// SUM(x * w) / SUM(w), with or without NULLIF around the divisor
+function weightedAverage(expr) {
+  if (expr.op !== "/") return null;
+  const unwrap = (e) => (e.type === "cast" ? unwrap(e.operand) : e);
+  const left = unwrap(expr.left);
+  let right = unwrap(expr.right);
+  if (right.type === "call" && right.function.name.toLowerCase() === "nullif") right = unwrap(right.args[0]);
+  const isSum = (e) => e.type === "call" && e.function.name.toLowerCase() === "sum" && e.args.length === 1;
+  if (!isSum(left) || !isSum(right)) return null;
+
+  const product = unwrap(left.args[0]);
+  const weight = unwrap(right.args[0]);
+  if (product.type !== "binary" || product.op !== "*" || weight.type !== "ref") return null;
+  const sameRef = (a, b) => a.type === "ref" && a.name === b.name;
+  if (sameRef(product.right, weight)) return { value: product.left, weight };
+  if (sameRef(product.left, weight)) return { value: product.right, weight };
+  return null;
+}
+
+// =========================================================
+// HELPERS
+// =========================================================
+function tableOf(ref, scope) {
+  if (ref.table) return scope.aliases.get(ref.table.name) || ref.table.name;
+  // Unqualified: the one table in FROM that has this column
+  return scope.tables.find(table => COLUMN_LABELS[`${table}.${ref.name}`]) || null;
+}
+
+function columnLabel(ref, scope) {
+  const table = tableOf(ref, scope);
+  return COLUMN_LABELS[`${table}.${ref.name}`] || ref.name.replace(/_/g, " ");
+}
+
+function hasAggregate(expr) {
+  if (!expr || typeof expr !== "object") return false;
+  if (expr.type === "call") {
+    const name = expr.function.name.toLowerCase();
+    if (name === "count" || AGGREGATES[name]) return !expr.over; // Window functions keep one row per input row
+  }
+  if (expr.type === "select" || expr.type === "with") return false;
+  return Object.values(expr).some(value =>
+    Array.isArray(value) ? value.some(hasAggregate) : value && typeof value === "object" && hasAggregate(value));
+}
+
+const splitAnd = (expr) => (!expr ? [] : expr.type === "binary" && expr.op === "AND" ? [...splitAnd(expr.left), ...splitAnd(expr.right)] : [expr]);
+const splitOr = (expr) => (expr.type === "binary" && expr.op === "OR" ? [...splitOr(expr.left), ...splitOr(expr.right)] : [expr]);
+
+const valuesLabel = (values) => `a list of ${values.values.length} row${values.values.length === 1 ? "" : "s"} written into the query`;
+
+function listOf(items) {
+  return items.length <= 1 ? items.join("") : `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}`;
+}
+
+// The expression as written in the query
+function snippet(context, expr) {
+  const location = expr && expr._location;
+  return location ? context.text.slice(location.start, location.end).trim() : "";
+}
+
+function withoutSql(value) {
+  if (Array.isArray(value)) return value.map(withoutSql);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => key !== "sql" && key !== "on").map(([k, v]) => [k, withoutSql(v)]));
+}
+
+module.exports = { explainSql, ExplainError };
@@ -0,0 +1,121 @@
+// exporter.js
+// Turns query results into CSV, XLSX or JSON downloads. Headers and numbers are
+// written the way the results table in public/script.js shows them.
+
+const XLSX = require("xlsx");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+// pg returns NUMERIC and BIGINT columns as strings ("4.90", "17")
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/;
+
+// Same header text as the results table: "avg_rating" -> "AVG RATING"
+function formatHeader(key) {
+  return key.replace(/_/g, " ").toUpperCase();
+}
+
+// Days between the spreadsheet epoch (1899-12-30) and 1970-01-01
+const SPREADSHEET_EPOCH_DAYS = 25569;
+
+// node-pg parses DATE columns as local midnight, so a plain date is read from its local parts
+// (its UTC form is the day before anywhere east of UTC). Timestamps are written in UTC.
+function formatDate(date) {
+  const isPlainDate = date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0 && date.getMilliseconds() === 0;
+  if (!isPlainDate) return { text: date.toISOString(), value: date };
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const text = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  // The day's serial number, so the cell shows that day whatever the timezone
+  const serial = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000 + SPREADSHEET_EPOCH_DAYS;
+  return { text, value: serial };
+}
+
+/**
+ * Normalizes one result value into its display text, its spreadsheet value
+ * and the number format that keeps the decimals the table shows.
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return { text: "", value: null };
+  if (value instanceof Date) return { ...formatDate(value), numFmt: "yyyy-mm-dd" };
+
+  if (typeof value === "number") {
+    if (Number.isInteger(value)) return { text: String(value), value, numFmt: "0" };
+    return { text: value.toFixed(2), value, numFmt: "0.00" };
+  }
+
+  if (typeof value === "string" && NUMERIC_STRING.test(value)) {
+    const decimals = (value.split(".")[1] || "").length;
+    return { text: value, value: Number(value), numFmt: decimals > 0 ? `0.${"0".repeat(decimals)}` : "0" };
+  }
+
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return { text, value: text };
+}
+
+function escapeCsv(text) {
+  // A leading = + - @ would be run as a formula by spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) && !NUMERIC_STRING.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return "";
+  const headers = Object.keys(rows[0]);
+  const lines = [headers.map(h => escapeCsv(formatHeader(h))).join(",")];
+  for (const row of rows) {
+    lines.push(headers.map(h => escapeCsv(toCell(row[h]).text)).join(","));
+  }
+  // The BOM makes Excel open the file as UTF-8
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function toXlsx(rows, { question, sql, params, summary }) {
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const cells = rows.map(row => headers.map(h => toCell(row[h])));
+
+  const results = XLSX.utils.aoa_to_sheet(
+    [headers.map(formatHeader), ...cells.map(row => row.map(c => c.value))],
+    { cellDates: true }
+  );
+  cells.forEach((row, r) => row.forEach((cell, c) => {
+    const ref = XLSX.utils.encode_cell({ r: r + 1, c });
+    if (cell.numFmt && results[ref]) results[ref].z = cell.numFmt;
+  }));
+
+  const metadata = XLSX.utils.aoa_to_sheet([
+    ["Question", question || ""],
+    ["Summary", summary || ""],
+    ["SQL", sql || ""],
+    ["Bound values", JSON.stringify(params || [])],
+    ["Rows", rows.length],
+    ["Exported at", new Date().toISOString()],
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, results, "Results");
+  XLSX.utils.book_append_sheet(workbook, metadata, "Query");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+function toJson(rows, { question, sql, params, summary }) {
+  return JSON.stringify({ question, summary, sql, params, exportedAt: new Date().toISOString(), rows }, null, 2);
+}
+
+/**
+ * Renders query results as a downloadable file.
+ * @param {string} format One of the EXPORT_FORMATS keys.
+ * @param {Array<Object>} rows The rows returned by the query.
+ * @param {Object} meta { question, sql, params, summary } describing where the rows came from.
+ * @returns {{body: string|Buffer, contentType: string, extension: string}}
+ */
+function buildExport(format, rows, meta = {}) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const body = format === "csv" ? toCsv(rows) : format === "xlsx" ? toXlsx(rows, meta) : toJson(rows, meta);
+  return { body, contentType, extension };
+}
+
+module.exports = { buildExport, formatHeader, EXPORT_FORMATS };
@@ -0,0 +1,154 @@
+// feedback.js
+// Thumbs up/down on answers, with an optional comment and corrected SQL. Reviewers go through
+// the negative feedback, run the corrections and promote verified pairs into the example library.
+
+const { pool, executeReadOnlyQuery } = require("./db");
+const { validateSql, bindParameters, inlineParameters } = require("./sqlGuard");
+const { addExample } = require("./examples");
+
+const RATINGS = ["up", "down"];
+const STATUSES = ["open", "promoted", "dismissed"];
+const MAX_PAGE_SIZE = 200;
+
+const COLUMNS = `feedback_id::int AS id, log_id::int AS log_id, username, rating, comment, question,
+  generated_sql, corrected_sql, status, example_id::text AS example_id, reviewed_by, reviewed_at, created_at`;
+
+/**
+ * Raised for feedback that can't be stored or reviewed. Carries the HTTP status.
+ */
+class FeedbackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FeedbackError";
+    this.status = status;
+  }
+}
+
+// Corrections go through the same guard as generated SQL; like examples, they use literal values
+function checkSql(sql) {
+  if (typeof sql !== "string" || !sql.trim()) throw new FeedbackError("sql is required");
+  return bindParameters(validateSql(sql), []).sql;
+}
+
+/**
+ * Stores a user's rating of an answer, with the question and the SQL it ran (bound values
+ * written in). Rating the same answer again replaces the earlier feedback and reopens it.
+ * @param {Object} feedback { logId, user, rating ("up" or "down"), comment, correctedSql }
+ * @returns {Promise<Object>} The stored feedback.
+ */
+async function submitFeedback({ logId, user, rating, comment = null, correctedSql = null }) {
+  if (!RATINGS.includes(rating)) throw new FeedbackError(`rating must be one of ${RATINGS.join(", ")}`);
+  if (comment !== null && typeof comment !== "string") throw new FeedbackError("comment must be a string");
+  const corrected = correctedSql && correctedSql.trim() ? checkSql(correctedSql) : null;
+
+  const { rows: entries } = await pool.query(
+    "SELECT question, sql_query, params, asked_by FROM query_log WHERE log_id = $1", [logId]
+  );
+  const entry = entries[0];
+  if (!entry) throw new FeedbackError("Log entry not found", 404);
+  if (entry.asked_by !== user.username && user.role !== "admin") {
+    throw new FeedbackError("You can only rate your own answers", 403);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO answer_feedback (log_id, username, rating, comment, question, generated_sql, corrected_sql)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (log_id, username) DO UPDATE SET
+       rating = EXCLUDED.rating, comment = EXCLUDED.comment, corrected_sql = EXCLUDED.corrected_sql,
+       status = 'open', example_id = NULL, reviewed_by = NULL, reviewed_at = NULL, created_at = now()
+     RETURNING ${COLUMNS}`,
+    [
+      logId, user.username, rating, comment && comment.trim() ? comment.trim() : null, entry.question,
+      inlineParameters(entry.sql_query, entry.params), corrected
+    ]
+  );
+  console.log(`[Feedback] ${user.username} rated log #${logId} ${rating}${corrected ? " with a correction" : ""}.`);
+  return rows[0];
+}
+
+/**
+ * Lists feedback, newest first.
+ * @param {Object} filters { rating, status, before (feedback id, for paging), limit }
+ */
+async function listFeedback({ rating, status, before, limit = 50 } = {}) {
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace(/\?/g, `$${values.length}`));
+  };
+
+  if (rating) add("rating = ?", rating);
+  if (status) add("status = ?", status);
+  if (before) add("feedback_id < ?", before);
+
+  values.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE));
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS} FROM answer_feedback
+     ${conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : ""}
+     ORDER BY feedback_id DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+async function getFeedback(id) {
+  const { rows } = await pool.query(`SELECT ${COLUMNS} FROM answer_feedback WHERE feedback_id = $1`, [id]);
+  if (!rows[0]) throw new FeedbackError("Feedback not found", 404);
+  return rows[0];
+}
+
+/**
+ * Runs the SQL a reviewer is checking: the one given, else the correction, else the generated SQL.
+ * It runs read-only over the reviewer's data scope.
+ * @returns {Promise<{sql: string, data: Array}>}
+ */
+async function runFeedbackSql(id, { sql, scope = null } = {}) {
+  const feedback = await getFeedback(id);
+  const checked = checkSql(sql || feedback.corrected_sql || feedback.generated_sql || "");
+  try {
+    const { rows } = await executeReadOnlyQuery(checked, [], { scope });
+    return { sql: checked, data: rows };
+  } catch (e) {
+    throw new FeedbackError(`The SQL failed: ${e.message}`);
+  }
+}
+
+/**
+ * Adds a reviewed question -> SQL pair to the example library, once the SQL has run
+ * without errors, and marks the feedback promoted.
+ * @param {number} id The feedback.
+ * @param {Object} review { question, sql (default: the correction, else the generated SQL), reviewer, scope }
+ * @returns {Promise<{feedback: Object, example: Object}>}
+ */
+async function promoteFeedback(id, { question, sql, reviewer, scope = null }) {
+  const feedback = await getFeedback(id);
+  if (feedback.status === "promoted") throw new FeedbackError("This feedback was already promoted", 409);
+
+  const verified = await runFeedbackSql(id, { sql, scope });
+  const example = await addExample({
+    question: question || feedback.question, sql: verified.sql, source: "feedback", logId: feedback.log_id, addedBy: reviewer
+  });
+  return { feedback: await closeFeedback(id, { status: "promoted", exampleId: example.id, reviewer }), example };
+}
+
+async function dismissFeedback(id, reviewer) {
+  await getFeedback(id);
+  return closeFeedback(id, { status: "dismissed", exampleId: null, reviewer });
+}
+
+async function closeFeedback(id, { status, exampleId, reviewer }) {
+  const { rows } = await pool.query(
+    `UPDATE answer_feedback SET status = $2, example_id = $3, reviewed_by = $4, reviewed_at = now()
+     WHERE feedback_id = $1 RETURNING ${COLUMNS}`,
+    [id, status, exampleId, reviewer]
+  );
+  console.log(`[Feedback] #${id} ${status} by ${reviewer}.`);
+  return rows[0];
+}
+
+module.exports = {
+  submitFeedback, listFeedback, getFeedback, runFeedbackSql, promoteFeedback, dismissFeedback,
+  FeedbackError, RATINGS, STATUSES
+};
@@ -0,0 +1,122 @@
+// imports.js
+// Spreadsheet uploads: loads an uploaded file with the ETL's mapping, validation and upsert
+// logic (etl/import_batches.mjs), lists past imports and rolls a bad import back.
+
+const { pool } = require("./db");
+
+const SUMMARY_COLUMNS = `batch_id::int AS batch_id, file_name, uploaded_by, status, total_rows, inserted, updated,
+  unchanged, rejected, error, created_at, rolled_back_at`;
+
+/**
+ * Raised for import requests that can't be applied (unknown batch, batch already
+ * rolled back, or changed by a later import). Carries the HTTP status for the API response.
+ */
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImportError";
+    this.status = status;
+  }
+}
+
+// The loader is shared with the ETL scripts, which are ES modules
+const loadEtl = () => import("./etl/import_batches.mjs");
+
+async function withClient(fn) {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Imports an uploaded file as a new batch.
+ * @param {Object} upload { fileName, data (Buffer), uploadedBy, dryRun }
+ * @returns {Promise<Object>} The batch, with status "loaded", "failed" or "dry_run".
+ */
+async function importUpload({ fileName, data, uploadedBy = null, dryRun = false }) {
+  const { importSessionFile } = await loadEtl();
+  return withClient(db => importSessionFile(db, { file: fileName, data, uploadedBy, dryRun }));
+}
+
+/**
+ * Lists imports, newest first, without the error reports.
+ * @param {Object} options { before (batch id, for paging), limit }
+ */
+async function listImports({ before, limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS} FROM import_batches
+     WHERE $1::bigint IS NULL OR batch_id < $1
+     ORDER BY batch_id DESC
+     LIMIT $2`,
+    [before || null, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+  );
+  return rows;
+}
+
+async function getImport(id) {
+  const { rows } = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS}, rejected_rows, sheets, new_dimensions FROM import_batches WHERE batch_id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Undoes a loaded import: facts it inserted are deleted and facts it changed get their
+ * previous values back. Only possible while no later import has changed the same facts
+ * (roll those back first). New dimension values are kept; they are harmless without facts.
+ * @param {number} id The batch id.
+ * @returns {Promise<Object>} The batch, with the number of facts deleted and restored.
+ * @throws {ImportError} 404 for an unknown batch, 409 if it can't be rolled back.
+ */
+async function rollbackImport(id) {
+  return withClient(async (db) => {
+    try {
+      await db.query("BEGIN");
+      const { rows: [batch] } = await db.query("SELECT status FROM import_batches WHERE batch_id = $1 FOR UPDATE", [id]);
+      if (!batch) throw new ImportError("Import not found", 404);
+      if (batch.status !== "loaded") throw new ImportError(`Only loaded imports can be rolled back (this one is ${batch.status})`, 409);
+
+      const { rows: later } = await db.query(
+        `SELECT DISTINCT f.import_batch_id::int AS batch_id
+         FROM import_batch_rows r JOIN fact_sessions f USING (session_id)
+         WHERE r.batch_id = $1 AND f.import_batch_id IS DISTINCT FROM r.batch_id`,
+        [id]
+      );
+      if (later.length > 0) {
+        const others = later.map(l => l.batch_id ? `#${l.batch_id}` : "a load outside an import").join(", ");
+        throw new ImportError(`Sessions from this import were changed later by ${others}. Roll that back first.`, 409);
+      }
+
+      const deleted = await db.query(
+        `DELETE FROM fact_sessions f USING import_batch_rows r
+         WHERE r.batch_id = $1 AND r.session_id = f.session_id AND r.previous IS NULL`,
+        [id]
+      );
+      const restored = await db.query(
+        `UPDATE fact_sessions f SET
+           domain_id = (r.previous->>'domain_id')::uuid,
+           average_rating = (r.previous->>'average_rating')::numeric,
+           responses = (r.previous->>'responses')::int,
+           attended = (r.previous->>'attended')::int,
+           rated_pct = (r.previous->>'rated_pct')::numeric,
+           import_batch_id = (r.previous->>'import_batch_id')::bigint
+         FROM import_batch_rows r
+         WHERE r.batch_id = $1 AND r.session_id = f.session_id AND r.previous IS NOT NULL`,
+        [id]
+      );
+      await db.query("UPDATE import_batches SET status = 'rolled_back', rolled_back_at = now() WHERE batch_id = $1", [id]);
+      await db.query("COMMIT");
+
+      return { ...(await getImport(id)), deleted: deleted.rowCount, restored: restored.rowCount };
+    } catch (e) {
+      await db.query("ROLLBACK");
+      throw e;
+    }
+  });
+}
+
+module.exports = { importUpload, listImports, getImport, rollbackImport, ImportError };
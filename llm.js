@@ -0,0 +1,222 @@
+// llm.js
+// Provider layer for every LLM call (entity extraction, SQL generation, summaries).
+// The provider and model are chosen per stage through environment variables:
+//
+//   LLM_PROVIDER=groq|openai|mock        default for all stages (defaults to groq)
+//   LLM_MODEL=...                        default model for all stages
+//   LLM_BASE_URL=...                     base URL for OpenAI-compatible endpoints
+//   LLM_API_KEY=...                      API key for OpenAI-compatible endpoints
+//   LLM_<STAGE>_PROVIDER / _MODEL / _BASE_URL / _API_KEY
+//                                        per-stage overrides (STAGE = EXTRACTION, SQL, SUMMARY)
+//   LLM_MOCK_FIXTURES=path/to/file.json  fixtures for the mock provider
+
+const fs = require("fs");
+const path = require("path");
+const Groq = require("groq-sdk");
+const OpenAI = require("openai");
+require("dotenv").config();
+
+const STAGES = ["extraction", "sql", "summary"];
+
+const DEFAULT_MODELS = {
+  groq: "llama-3.3-70b-versatile",
+  openai: "gpt-4o-mini",
+  mock: "mock",
+};
+
+const DEFAULT_MOCK_FIXTURES = path.join(__dirname, "fixtures", "mock-llm.json");
+
+// Clients are created lazily and reused, keyed by provider + endpoint
+const clients = new Map();
+
+/**
+ * Raised when the provider itself fails (network error, bad API key, rate limit, outage),
+ * as opposed to returning an answer we can't use. Carries the HTTP status.
+ */
+class LlmError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "LlmError";
+    this.status = status;
+  }
+}
+
+/**
+ * Resolves the provider settings for one pipeline stage.
+ * @param {string} stage One of "extraction", "sql", "summary".
+ * @returns {{provider: string, model: string, baseURL: string, apiKey: string}}
+ */
+function getStageConfig(stage) {
+  if (!STAGES.includes(stage)) throw new Error(`Unknown LLM stage: ${stage}`);
+
+  const env = (name) => process.env[`LLM_${stage.toUpperCase()}_${name}`] || process.env[`LLM_${name}`];
+  const provider = (env("PROVIDER") || "groq").toLowerCase();
+
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for stage "${stage}". Use groq, openai or mock.`);
+  }
+
+  return {
+    provider,
+    model: env("MODEL") || DEFAULT_MODELS[provider],
+    baseURL: env("BASE_URL"),
+    apiKey: env("API_KEY"),
+  };
+}
+
+// =========================================================
+// PROVIDERS
+// Each provider exposes createCompletion({ model, messages, temperature, responseFormat, onToken })
+// and resolves to { content, usage }. With onToken, the content is streamed to it piece by piece.
+// =========================================================
+
+// Groq and OpenAI-compatible endpoints share the same chat completions shape
+function createChatProvider(client) {
+  return {
+    async createCompletion({ model, messages, temperature, responseFormat, onToken }) {
+      const request = { model, messages, temperature };
+      if (responseFormat) request.response_format = responseFormat;
+
+      if (onToken) {
+        const stream = await client.chat.completions.create({ ...request, stream: true });
+        let content = "";
+        let usage = null;
+        for await (const chunk of stream) {
+          const token = chunk.choices[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token);
+          }
+          // Groq reports usage on the last chunk under x_groq, OpenAI-compatible servers may send it top-level
+          usage = chunk.usage || chunk.x_groq?.usage || usage;
+        }
+        return { content, usage };
+      }
+
+      const completion = await client.chat.completions.create(request);
+      return {
+        content: completion.choices[0]?.message?.content,
+        usage: completion.usage || null,
+      };
+    },
+  };
+}
+
+function createGroqProvider({ apiKey, baseURL }) {
+  const options = { apiKey: apiKey || process.env.GROQ_API_KEY };
+  if (baseURL) options.baseURL = baseURL;
+  return createChatProvider(new Groq(options));
+}
+
+function createOpenAiProvider({ apiKey, baseURL }) {
+  // Local OpenAI-compatible servers (Ollama, vLLM, LM Studio) usually ignore the key
+  const options = { apiKey: apiKey || process.env.OPENAI_API_KEY || "not-needed" };
+  if (baseURL) options.baseURL = baseURL;
+  return createChatProvider(new OpenAI(options));
+}
+
+/**
+ * Deterministic provider driven by a fixture file, for tests and offline demos.
+ * Fixtures map each stage to an ordered list of rules; the first rule whose
+ * `match` (a case-insensitive regular expression) is found in the latest user
+ * message wins. A rule without `match` is a catch-all. Object responses are returned as JSON.
+ * When streaming, the response is sent to onToken one word at a time.
+ *
+ *   { "sql": [ { "match": "highest rated", "response": "SELECT ..." } ] }
+ *
+ * @param {Object} fixtures The parsed fixture object.
+ */
+function createMockProvider(fixtures) {
+  return {
+    async createCompletion({ stage, messages, onToken }) {
+      const rules = fixtures[stage] || [];
+      const userMessages = messages.filter(m => m.role === "user");
+      const userText = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : "";
+
+      const rule = rules.find(r => !r.match || new RegExp(r.match, "i").test(userText));
+      if (!rule) throw new Error(`[Mock LLM] No fixture for stage "${stage}" matches the request.`);
+
+      const content = typeof rule.response === "string" ? rule.response : JSON.stringify(rule.response);
+      if (onToken) content.split(/(?<=\s)/).forEach(token => onToken(token));
+      // No usage: complete() estimates it, as for any provider that doesn't report it
+      return { content, usage: null };
+    },
+  };
+}
+
+function loadMockFixtures() {
+  const file = process.env.LLM_MOCK_FIXTURES || DEFAULT_MOCK_FIXTURES;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function getProvider(config) {
+  const key = `${config.provider}|${config.baseURL || ""}|${config.apiKey || ""}`;
+  if (!clients.has(key)) {
+    if (config.provider === "groq") clients.set(key, createGroqProvider(config));
+    else if (config.provider === "openai") clients.set(key, createOpenAiProvider(config));
+    else clients.set(key, createMockProvider(loadMockFixtures()));
+  }
+  return clients.get(key);
+}
+
+// Rough token count (about 4 characters per token) for providers that report no usage
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+// Token counts in one shape, whatever the provider sent
+function normalizeUsage(usage, messages, content) {
+  if (usage && Number.isFinite(usage.prompt_tokens)) {
+    const completionTokens = usage.completion_tokens || 0;
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || usage.prompt_tokens + completionTokens,
+      estimated: false,
+    };
+  }
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  const completionTokens = estimateTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+/**
+ * Runs a chat completion for a pipeline stage using the configured provider.
+ * @param {string} stage One of "extraction", "sql", "summary".
+ * @param {Object} request { messages, temperature, responseFormat, onToken, onUsage }.
+ *   onToken(token) is optional; when given, the completion is streamed through it as it is generated.
+ *   onUsage(call) is optional; it receives { stage, provider, model, promptTokens, completionTokens,
+ *   totalTokens, estimated } once the completion is done (estimated when the provider reports no usage).
+ * @returns {Promise<{content: string, usage: Object, model: string, provider: string}>}
+ * @throws {LlmError} If the provider call fails.
+ */
+async function complete(stage, { messages, temperature = 0, responseFormat, onToken, onUsage } = {}) {
+  const config = getStageConfig(stage);
+  const provider = getProvider(config);
+
+  let result;
+  try {
+    result = await provider.createCompletion({
+      stage,
+      model: config.model,
+      messages,
+      temperature,
+      responseFormat,
+      onToken,
+    });
+  } catch (error) {
+    console.error(`[LLM] ${config.provider} (${config.model}) failed for "${stage}":`, error.message);
+    throw new LlmError(`The language model is unavailable (${config.provider}: ${error.message}). Please try again later.`);
+  }
+  if (onUsage) {
+    onUsage({ stage, provider: config.provider, model: config.model, ...normalizeUsage(result.usage, messages, result.content) });
+  }
+  return { ...result, model: config.model, provider: config.provider };
+}
+
+/**
+ * Drops cached clients so configuration changes (or new fixtures) take effect.
+ */
+function resetProviders() {
+  clients.clear();
+}
+
+module.exports = { complete, getStageConfig, createMockProvider, resetProviders, LlmError, STAGES };
@@ -0,0 +1,19 @@
+// oidcStub.js
+// Stand-in OIDC provider for local development and tests: accepts ID tokens of the form
+// "stub:<username>" or "stub:<username>:<role>" without calling an identity provider.
+// A real provider module exports the same verifyIdToken() (e.g. checking the token's
+// signature against the issuer's JWKS) and is selected with AUTH_OIDC_PROVIDER.
+
+/**
+ * @param {string} idToken The token sent to POST /api/auth/oidc.
+ * @returns {Promise<{sub: string, username: string, name: string, role: string|undefined}>}
+ */
+async function verifyIdToken(idToken) {
+  if (process.env.NODE_ENV === "production") throw new Error("the stub provider is disabled in production");
+
+  const [scheme, username, role] = String(idToken || "").split(":");
+  if (scheme !== "stub" || !username) throw new Error('expected "stub:<username>[:<role>]"');
+  return { sub: `stub|${username}`, username, name: username, role };
+}
+
+module.exports = { verifyIdToken };
@@ -0,0 +1,61 @@
+// Shared by every page except /login: checks the session, shows who is signed in and hides
+// what the user's role can't use. Elements marked data-min-role="analyst" (or "admin") are
+// removed for lower roles; pages wait for `auth.ready` before loading role-specific data.
+window.auth = (() => {
+  const ROLES = ["viewer", "analyst", "admin"];
+  let user = null;
+
+  const hasRole = (role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+  function toLogin() {
+    window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+  }
+
+  function showUser() {
+    // Templates too, so cloned parts of the page come out right
+    const roots = [document, ...[...document.querySelectorAll("template")].map(t => t.content)];
+    roots.forEach(root => root.querySelectorAll("[data-min-role]").forEach(el => {
+      if (!hasRole(el.dataset.minRole)) el.remove();
+    }));
+
+    const nav = document.querySelector("header nav");
+    if (!nav) return;
+    const badge = document.createElement("span");
+    badge.className = "flex items-center gap-2 text-sm text-gray-500 border-l border-gray-200 pl-4";
+    badge.innerHTML = '<span class="user-name"></span><button type="button" class="text-blue-600 hover:text-blue-800 font-medium">Log out</button>';
+    badge.querySelector(".user-name").textContent = `${user.display_name || user.username} (${user.role})`;
+    if (user.scope) badge.prepend(scopeLabel(user.scope));
+    badge.querySelector("button").addEventListener("click", async () => {
+      await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+      window.location.href = "/login";
+    });
+    nav.appendChild(badge);
+  }
+
+  // Users with a data scope only ever see the sessions in it, so say so on every page
+  function scopeLabel({ regions, domains }) {
+    const parts = [regions && regions.join(" / "), domains && domains.join(" / ")].filter(Boolean);
+    const label = document.createElement("span");
+    label.className = "px-2 py-0.5 rounded bg-amber-100 text-amber-800 text-xs font-medium";
+    label.textContent = `Scope: ${parts.join(" · ")}`;
+    label.title = [
+      regions && `Only sessions whose class or instructor is in ${regions.join(", ")}`,
+      domains && `Only sessions in ${domains.join(", ")}`,
+    ].filter(Boolean).join("; ");
+    return label;
+  }
+
+  const ready = fetch("/api/auth/me")
+    .then(async response => {
+      if (response.status === 401) {
+        toLogin();
+        return new Promise(() => {}); // The page is going away; don't let it load anything else
+      }
+      user = (await response.json()).user;
+      if (document.readyState === "loading") await new Promise(resolve => document.addEventListener("DOMContentLoaded", resolve));
+      showUser();
+      return user;
+    });
+
+  return { ready, hasRole, toLogin };
+})();
@@ -0,0 +1,205 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const { renderChart, generateTable } = window.ResultsView;
+
+  const pinnedGrid = document.getElementById("pinned-grid");
+  const pinnedEmpty = document.getElementById("pinned-empty");
+  const savedList = document.getElementById("saved-list");
+  const savedEmpty = document.getElementById("saved-empty");
+  const refreshAllBtn = document.getElementById("refresh-all-btn");
+  const cardTemplate = document.getElementById("card-template");
+
+  let cards = [];
+
+  // Small fetch wrapper: parses JSON and turns API errors into exceptions
+  async function api(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+      body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+    if (response.status === 204) return null;
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "An unknown error occurred.");
+    return result;
+  }
+
+  // =========================================================
+  // 1. PINNED CARDS
+  // =========================================================
+  // Re-runs one pinned query (stored SQL only, no LLM call) and draws its chart and table
+  async function runCard(saved, view) {
+    view.errorContainer.style.display = "none";
+    view.chartSection.style.display = "none";
+    view.tableSection.style.display = "none";
+    view.resultsTable.innerHTML = "";
+    view.status.textContent = "Running...";
+
+    try {
+      const result = await api(`/api/saved-queries/${saved.id}/run`, { method: "POST" });
+      view.status.textContent = `${result.data.length} rows · updated ${new Date(result.ranAt).toLocaleTimeString()}`;
+
+      if (view.chart) view.chart.destroy();
+      view.chart = null;
+      if (result.data.length === 0) return;
+
+      try {
+        view.chart = renderChart(result.data, view);
+      } catch (e) {
+        console.error("Chart failed to render:", e);
+        view.chartSection.style.display = "none";
+      }
+      view.tableSection.style.display = "block";
+      generateTable(result.data, view);
+    } catch (error) {
+      view.status.textContent = "";
+      view.errorMessage.textContent = error.message;
+      view.errorContainer.style.display = "block";
+    }
+  }
+
+  function createCard(saved) {
+    const root = cardTemplate.content.firstElementChild.cloneNode(true);
+    root.querySelector(".card-name").textContent = saved.name;
+    root.querySelector(".card-question").textContent = saved.question || "";
+    root.querySelector(".card-export").href = `/api/saved-queries/${saved.id}/export?format=csv`;
+    pinnedGrid.appendChild(root);
+
+    const view = {
+      status: root.querySelector(".card-status"),
+      errorContainer: root.querySelector(".error-container"),
+      errorMessage: root.querySelector(".error-message"),
+      chartSection: root.querySelector(".chart-section"),
+      chartCanvas: root.querySelector(".results-chart"),
+      tableSection: root.querySelector(".table-section"),
+      resultsTable: root.querySelector(".results-table"),
+      chart: null,
+    };
+    root.querySelector(".card-refresh").addEventListener("click", () => runCard(saved, view));
+    return view;
+  }
+
+  // =========================================================
+  // 2. SAVED QUESTIONS LIST
+  // =========================================================
+  function renderSavedRow(saved) {
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td class="px-4 py-3 font-medium text-gray-900 align-top"></td>
+      <td class="px-4 py-3 text-gray-600 align-top"></td>
+      <td class="px-4 py-3 text-right whitespace-nowrap align-top space-x-2">
+        <button type="button" data-action="pin" class="text-blue-600 hover:text-blue-800"></button>
+        <button type="button" data-action="edit" class="text-gray-600 hover:text-gray-900">Edit SQL</button>
+        <button type="button" data-action="delete" class="text-red-600 hover:text-red-800">Delete</button>
+      </td>`;
+    row.children[0].textContent = saved.name;
+    row.children[1].textContent = saved.question || "-";
+    row.querySelector('[data-action="pin"]').textContent = saved.pinned ? "Unpin" : "Pin";
+
+    // Viewers can run saved questions but not change them
+    if (!window.auth.hasRole("analyst")) {
+      row.children[2].replaceChildren();
+      savedList.appendChild(row);
+      return;
+    }
+
+    row.querySelector('[data-action="pin"]').addEventListener("click", () =>
+      updateAndReload(saved.id, { pinned: !saved.pinned }));
+    row.querySelector('[data-action="edit"]').addEventListener("click", () => toggleSqlEditor(saved, row));
+    row.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+      if (!window.confirm(`Delete "${saved.name}"?`)) return;
+      try {
+        await api(`/api/saved-queries/${saved.id}`, { method: "DELETE" });
+        await loadDashboard();
+      } catch (error) {
+        window.alert(error.message);
+      }
+    });
+
+    savedList.appendChild(row);
+  }
+
+  // Inline editor for the stored SQL. The server re-validates it before saving.
+  function toggleSqlEditor(saved, row) {
+    const existing = row.nextElementSibling;
+    if (existing && existing.classList.contains("sql-editor-row")) {
+      existing.remove();
+      return;
+    }
+
+    const editorRow = document.createElement("tr");
+    editorRow.className = "sql-editor-row bg-gray-50";
+    editorRow.innerHTML = `
+      <td colspan="3" class="px-4 py-3 space-y-2">
+        <textarea rows="8" class="w-full font-mono text-xs p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"></textarea>
+        <p class="text-xs text-gray-500"></p>
+        <p class="editor-error hidden text-xs text-red-700"></p>
+        <div class="flex gap-2 justify-end text-sm">
+          <button type="button" data-action="cancel" class="px-3 py-1 rounded border border-gray-300 hover:bg-gray-100">Cancel</button>
+          <button type="button" data-action="save" class="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">Save SQL</button>
+        </div>
+      </td>`;
+
+    const textarea = editorRow.querySelector("textarea");
+    const errorText = editorRow.querySelector(".editor-error");
+    textarea.value = saved.sql;
+    editorRow.querySelector("p").textContent = saved.params.length > 0
+      ? "Bound values: " + saved.params.map((v, i) => `$${i + 1} = ${JSON.stringify(v)}`).join(", ")
+      : "No bound values.";
+
+    editorRow.querySelector('[data-action="cancel"]').addEventListener("click", () => editorRow.remove());
+    editorRow.querySelector('[data-action="save"]').addEventListener("click", async () => {
+      try {
+        await api(`/api/saved-queries/${saved.id}`, { method: "PATCH", body: { sql: textarea.value } });
+        await loadDashboard();
+      } catch (error) {
+        errorText.textContent = error.message;
+        errorText.style.display = "block";
+      }
+    });
+
+    row.after(editorRow);
+  }
+
+  async function updateAndReload(id, changes) {
+    try {
+      await api(`/api/saved-queries/${id}`, { method: "PATCH", body: changes });
+      await loadDashboard();
+    } catch (error) {
+      window.alert(error.message);
+    }
+  }
+
+  // =========================================================
+  // 3. MAIN LOGIC
+  // =========================================================
+  async function loadDashboard() {
+    cards.forEach(({ view }) => view.chart && view.chart.destroy());
+    cards = [];
+    pinnedGrid.innerHTML = "";
+    savedList.innerHTML = "";
+
+    let saved;
+    try {
+      saved = await api("/api/saved-queries");
+    } catch (error) {
+      pinnedEmpty.textContent = `Could not load saved questions: ${error.message}`;
+      pinnedEmpty.style.display = "block";
+      return;
+    }
+
+    const pinned = saved.filter(s => s.pinned);
+    pinnedEmpty.style.display = pinned.length === 0 ? "block" : "none";
+    savedEmpty.style.display = saved.length === 0 ? "block" : "none";
+
+    saved.forEach(renderSavedRow);
+    cards = pinned.map(s => ({ saved: s, view: createCard(s) }));
+    await refreshAll();
+  }
+
+  function refreshAll() {
+    return Promise.all(cards.map(({ saved, view }) => runCard(saved, view)));
+  }
+
+  refreshAllBtn.addEventListener("click", refreshAll);
+  window.auth.ready.then(loadDashboard);
+});
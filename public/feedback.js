@@ -0,0 +1,155 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const filterForm = document.getElementById("filter-form");
+  const feedbackList = document.getElementById("feedback-list");
+  const feedbackEmpty = document.getElementById("feedback-empty");
+  const template = document.getElementById("feedback-template");
+
+  const STATUS_STYLES = {
+    open: "bg-amber-100 text-amber-800",
+    promoted: "bg-green-100 text-green-800",
+    dismissed: "bg-gray-200 text-gray-700",
+  };
+  const PREVIEW_ROWS = 20;
+
+  async function api(url, options = {}) {
+    const response = await fetch(url, options);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "An unknown error occurred.");
+    return result;
+  }
+
+  const post = (url, body = {}) => api(url, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body),
+  });
+
+  const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[c]);
+
+  // =========================================================
+  // 1. REVIEW CARDS
+  // =========================================================
+  function renderFeedback(feedback) {
+    const card = template.content.firstElementChild.cloneNode(true);
+    const sqlInput = card.querySelector('[name="sql"]');
+    const questionInput = card.querySelector('[name="question"]');
+    const result = card.querySelector(".feedback-result");
+
+    card.querySelector(".feedback-question").textContent = `${feedback.rating === "up" ? "👍" : "👎"} ${feedback.question}`;
+    card.querySelector(".feedback-meta").textContent = [
+      `#${feedback.id}`, `by ${feedback.username}`, new Date(feedback.created_at).toLocaleString(), `log #${feedback.log_id}`,
+      feedback.reviewed_by && `${feedback.status} by ${feedback.reviewed_by}`,
+      feedback.example_id && `example #${feedback.example_id}`,
+    ].filter(Boolean).join(" · ");
+    showStatus(card, feedback.status);
+
+    if (feedback.comment) {
+      const comment = card.querySelector(".feedback-comment");
+      comment.textContent = feedback.comment;
+      comment.style.display = "block";
+    }
+    card.querySelector(".feedback-generated").textContent = feedback.generated_sql || "(no SQL was generated)";
+    card.querySelector(".feedback-sql-label").textContent = feedback.corrected_sql
+      ? "SQL to verify (the user's correction)"
+      : "SQL to verify (the generated SQL; no correction given)";
+    sqlInput.value = feedback.corrected_sql || feedback.generated_sql || "";
+    questionInput.value = feedback.question;
+
+    const buttons = card.querySelectorAll("button[data-action]");
+    const busy = (on) => buttons.forEach(b => { b.disabled = on || (feedback.status !== "open" && b.dataset.action !== "run"); });
+    busy(false);
+
+    card.querySelector('[data-action="run"]').addEventListener("click", async () => {
+      busy(true);
+      try {
+        showRows(result, await post(`/api/feedback/${feedback.id}/run`, { sql: sqlInput.value }));
+      } catch (error) {
+        showMessage(result, error.message, true);
+      } finally {
+        busy(false);
+      }
+    });
+
+    card.querySelector('[data-action="promote"]').addEventListener("click", async () => {
+      busy(true);
+      try {
+        const promoted = await post(`/api/feedback/${feedback.id}/promote`, { question: questionInput.value, sql: sqlInput.value });
+        feedback.status = promoted.feedback.status;
+        showStatus(card, feedback.status);
+        showMessage(result, `Added to the example library as #${promoted.example.id}.`);
+      } catch (error) {
+        showMessage(result, error.message, true);
+      } finally {
+        busy(false);
+      }
+    });
+
+    card.querySelector('[data-action="dismiss"]').addEventListener("click", async () => {
+      busy(true);
+      try {
+        feedback.status = (await post(`/api/feedback/${feedback.id}/dismiss`)).status;
+        showStatus(card, feedback.status);
+        showMessage(result, "Dismissed.");
+      } catch (error) {
+        showMessage(result, error.message, true);
+      } finally {
+        busy(false);
+      }
+    });
+
+    feedbackList.appendChild(card);
+  }
+
+  function showStatus(card, status) {
+    const badge = card.querySelector(".feedback-status-badge");
+    badge.className = `feedback-status-badge px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status] || ""}`;
+    badge.textContent = status;
+  }
+
+  function showMessage(container, message, isError = false) {
+    container.className = `feedback-result text-sm p-3 rounded-lg ${isError ? "bg-red-100 text-red-700" : "bg-green-50 text-green-800"}`;
+    container.textContent = message;
+    container.style.display = "block";
+  }
+
+  // =========================================================
+  // 2. RESULTS OF A RUN
+  // =========================================================
+  function showRows(container, { rowCount, data }) {
+    container.className = "feedback-result text-sm space-y-2";
+    const columns = data.length > 0 ? Object.keys(data[0]) : [];
+    const shown = data.slice(0, PREVIEW_ROWS);
+    container.innerHTML = `
+      <p class="text-gray-600">${rowCount} row${rowCount === 1 ? "" : "s"}${rowCount > shown.length ? `, showing the first ${shown.length}` : ""}.</p>
+      ${columns.length === 0 ? "" : `
+      <div class="overflow-x-auto max-h-72 border border-gray-200 rounded-lg bg-white">
+        <table class="min-w-full divide-y divide-gray-200 text-xs">
+          <thead class="bg-gray-50"><tr>${columns.map(c => `<th class="px-3 py-2 text-left font-medium text-gray-500">${escapeHtml(c)}</th>`).join("")}</tr></thead>
+          <tbody class="divide-y divide-gray-100">${shown.map(row => `
+            <tr>${columns.map(c => `<td class="px-3 py-2">${escapeHtml(row[c])}</td>`).join("")}</tr>`).join("")}
+          </tbody>
+        </table>
+      </div>`}`;
+    container.style.display = "block";
+  }
+
+  // =========================================================
+  // 3. REVIEW QUEUE
+  // =========================================================
+  async function loadFeedback() {
+    feedbackList.innerHTML = "";
+    const filters = new URLSearchParams([...new FormData(filterForm)].filter(([, value]) => value));
+    try {
+      const entries = await api(`/api/feedback?${filters}`);
+      feedbackEmpty.textContent = "No feedback to review.";
+      feedbackEmpty.style.display = entries.length === 0 ? "block" : "none";
+      entries.forEach(renderFeedback);
+    } catch (error) {
+      feedbackEmpty.textContent = `Could not load feedback: ${error.message}`;
+      feedbackEmpty.style.display = "block";
+    }
+  }
+
+  filterForm.addEventListener("change", loadFeedback);
+  window.auth.ready.then(loadFeedback);
+});
@@ -0,0 +1,198 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const uploadForm = document.getElementById("upload-form");
+  const fileInput = document.getElementById("file-input");
+  const dryRunBtn = document.getElementById("dry-run-btn");
+  const uploadBtn = document.getElementById("upload-btn");
+  const uploadError = document.getElementById("upload-error");
+  const uploadResult = document.getElementById("upload-result");
+  const importList = document.getElementById("import-list");
+  const importEmpty = document.getElementById("import-empty");
+
+  const STATUS_STYLES = {
+    loaded: "bg-green-100 text-green-800",
+    failed: "bg-red-100 text-red-800",
+    rolled_back: "bg-gray-200 text-gray-700",
+    dry_run: "bg-blue-100 text-blue-800",
+  };
+
+  async function api(url, options = {}) {
+    const response = await fetch(url, options);
+    const result = await response.json();
+    // A failed import (422) still returns its batch, so the report can be shown
+    if (!response.ok && response.status !== 422) throw new Error(result.error || "An unknown error occurred.");
+    return result;
+  }
+
+  const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[c]);
+
+  // =========================================================
+  // 1. UPLOAD
+  // =========================================================
+  async function upload(dryRun) {
+    const file = fileInput.files[0];
+    uploadError.style.display = "none";
+    uploadResult.style.display = "none";
+    if (!file) {
+      fileInput.reportValidity();
+      return;
+    }
+
+    dryRunBtn.disabled = uploadBtn.disabled = true;
+    try {
+      const batch = await api(`/api/imports${dryRun ? "?dryRun=true" : ""}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream", "X-File-Name": encodeURIComponent(file.name) },
+        body: file,
+      });
+      showResult(batch);
+      if (!dryRun) await loadImports();
+    } catch (error) {
+      uploadError.textContent = error.message;
+      uploadError.style.display = "block";
+    } finally {
+      dryRunBtn.disabled = uploadBtn.disabled = false;
+    }
+  }
+
+  function showResult(batch) {
+    const heading = {
+      dry_run: `Validated ${batch.file_name}, nothing was written. Importing it would:`,
+      loaded: `Imported ${batch.file_name} as #${batch.batch_id}:`,
+      failed: `Import of ${batch.file_name} failed, nothing was loaded: ${batch.error}`,
+    }[batch.status];
+
+    uploadResult.innerHTML = `<p class="font-medium"></p>${batch.status === "failed" ? "" : `
+      <p>insert ${batch.inserted}, update ${batch.updated}, leave ${batch.unchanged} unchanged, reject ${batch.rejected} of ${batch.total_rows} rows</p>`}`;
+    uploadResult.querySelector("p").textContent = heading;
+    uploadResult.appendChild(renderReport(batch));
+    uploadResult.style.display = "block";
+  }
+
+  // =========================================================
+  // 2. REPORTS (mapping notes & rejected rows)
+  // =========================================================
+  function renderReport(batch) {
+    const report = document.createElement("div");
+    report.className = "space-y-2";
+
+    const notes = [];
+    for (const sheet of batch.sheets || []) {
+      if (sheet.skipped) notes.push(`Sheet "${sheet.sheet}" skipped: ${sheet.missing.length > 0 ? `no column for ${sheet.missing.join(", ")}` : "empty"}`);
+      for (const field of sheet.autoDetected || []) notes.push(`Sheet "${sheet.sheet}": column "${sheet.columns[field]}" auto-detected as ${field}`);
+      if ((sheet.unmapped || []).length > 0) notes.push(`Sheet "${sheet.sheet}": ignored columns ${sheet.unmapped.join(", ")}`);
+    }
+    if (notes.length > 0) {
+      report.insertAdjacentHTML("beforeend", `<ul class="list-disc pl-5 text-gray-600">${notes.map(n => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`);
+    }
+
+    const rejected = batch.rejected_rows || [];
+    if (rejected.length > 0) {
+      const shown = rejected.slice(0, 50);
+      report.insertAdjacentHTML("beforeend", `
+        <div class="overflow-x-auto max-h-72 border border-gray-200 rounded-lg bg-white">
+          <table class="min-w-full divide-y divide-gray-200 text-xs">
+            <thead class="bg-gray-50"><tr>
+              <th class="px-3 py-2 text-left font-medium text-gray-500">Sheet</th>
+              <th class="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+              <th class="px-3 py-2 text-left font-medium text-gray-500">Errors</th>
+            </tr></thead>
+            <tbody class="divide-y divide-gray-100">${shown.map(r => `
+              <tr>
+                <td class="px-3 py-2">${escapeHtml(r.sheet)}</td>
+                <td class="px-3 py-2">${r.row}</td>
+                <td class="px-3 py-2 text-red-700">${escapeHtml(r.errors.join("; "))}</td>
+              </tr>`).join("")}
+            </tbody>
+          </table>
+        </div>
+        ${rejected.length > shown.length ? `<p class="text-gray-500">Showing ${shown.length} of ${rejected.length} rejected rows.</p>` : ""}`);
+    }
+    return report;
+  }
+
+  // =========================================================
+  // 3. IMPORT HISTORY
+  // =========================================================
+  function renderImportRow(batch) {
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td class="px-4 py-3 text-gray-500">${batch.batch_id}</td>
+      <td class="px-4 py-3 font-medium text-gray-900"></td>
+      <td class="px-4 py-3 text-gray-600 whitespace-nowrap">${new Date(batch.created_at).toLocaleString()}</td>
+      <td class="px-4 py-3"><span class="px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[batch.status] || ""}">${batch.status.replace("_", " ")}</span></td>
+      <td class="px-4 py-3 text-right">${batch.total_rows}</td>
+      <td class="px-4 py-3 text-right">${batch.inserted}</td>
+      <td class="px-4 py-3 text-right">${batch.updated}</td>
+      <td class="px-4 py-3 text-right">${batch.rejected}</td>
+      <td class="px-4 py-3 text-right whitespace-nowrap space-x-2">
+        <button type="button" data-action="details" class="text-gray-600 hover:text-gray-900">Details</button>
+        ${batch.rejected > 0 ? `<a href="/api/imports/${batch.batch_id}/rejects?format=csv" class="text-blue-600 hover:text-blue-800" download>Rejected CSV</a>` : ""}
+        ${batch.status === "loaded" && window.auth.hasRole("admin") ? '<button type="button" data-action="rollback" class="text-red-600 hover:text-red-800">Roll back</button>' : ""}
+      </td>`;
+    row.children[1].textContent = batch.file_name;
+    if (batch.error) row.children[1].title = batch.error;
+
+    row.querySelector('[data-action="details"]').addEventListener("click", () => toggleDetails(batch, row));
+    row.querySelector('[data-action="rollback"]')?.addEventListener("click", async () => {
+      if (!window.confirm(`Roll back import #${batch.batch_id} (${batch.file_name})? Its inserted sessions are deleted and updated ones restored.`)) return;
+      try {
+        const result = await api(`/api/imports/${batch.batch_id}/rollback`, { method: "POST" });
+        window.alert(`Rolled back: ${result.deleted} sessions deleted, ${result.restored} restored.`);
+        await loadImports();
+      } catch (error) {
+        window.alert(error.message);
+      }
+    });
+
+    importList.appendChild(row);
+  }
+
+  async function toggleDetails(summary, row) {
+    const existing = row.nextElementSibling;
+    if (existing && existing.classList.contains("details-row")) {
+      existing.remove();
+      return;
+    }
+
+    const detailsRow = document.createElement("tr");
+    detailsRow.className = "details-row bg-gray-50";
+    detailsRow.innerHTML = '<td colspan="9" class="px-4 py-3 text-sm"></td>';
+    const cell = detailsRow.firstElementChild;
+    row.after(detailsRow);
+
+    try {
+      const batch = await api(`/api/imports/${summary.batch_id}`);
+      const lines = [`Uploaded by ${batch.uploaded_by || "unknown"}`];
+      if (batch.error) lines.push(`Error: ${batch.error}`);
+      if (batch.rolled_back_at) lines.push(`Rolled back ${new Date(batch.rolled_back_at).toLocaleString()}`);
+      const dims = Object.entries(batch.new_dimensions || {}).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`);
+      if (dims.length > 0) lines.push(`New: ${dims.join(", ")}`);
+
+      cell.innerHTML = `<p class="text-gray-600 mb-2">${lines.map(escapeHtml).join(" · ")}</p>`;
+      cell.appendChild(renderReport(batch));
+    } catch (error) {
+      cell.textContent = error.message;
+    }
+  }
+
+  async function loadImports() {
+    importList.innerHTML = "";
+    try {
+      const imports = await api("/api/imports");
+      importEmpty.style.display = imports.length === 0 ? "block" : "none";
+      imports.forEach(renderImportRow);
+    } catch (error) {
+      importEmpty.textContent = `Could not load imports: ${error.message}`;
+      importEmpty.style.display = "block";
+    }
+  }
+
+  uploadForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    upload(false);
+  });
+  dryRunBtn.addEventListener("click", () => upload(true));
+  window.auth.ready.then(loadImports);
+});
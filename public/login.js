@@ -0,0 +1,43 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const loginForm = document.getElementById("login-form");
+  const oidcForm = document.getElementById("oidc-form");
+  const loginError = document.getElementById("login-error");
+
+  // Only same-site paths, so the link can't send people elsewhere after logging in
+  const next = new URLSearchParams(window.location.search).get("next");
+  const destination = next && next.startsWith("/") && !next.startsWith("//") ? next : "/";
+
+  async function signIn(url, body, form) {
+    loginError.style.display = "none";
+    const button = form.querySelector("button[type=submit]");
+    button.disabled = true;
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "An unknown error occurred.");
+      window.location.href = destination;
+    } catch (error) {
+      loginError.textContent = error.message;
+      loginError.style.display = "block";
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  loginForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    signIn("/api/auth/login", {
+      username: document.getElementById("username-input").value,
+      password: document.getElementById("password-input").value,
+    }, loginForm);
+  });
+
+  oidcForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    signIn("/api/auth/oidc", { idToken: document.getElementById("id-token-input").value }, oidcForm);
+  });
+});
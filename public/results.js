@@ -0,0 +1,162 @@
+// results.js
+// Chart and table rendering shared by the question page (script.js) and the dashboard (dashboard.js).
+
+// =========================================================
+// 1. CHART RENDERER
+// =========================================================
+// `view` holds the chartSection and chartCanvas elements to draw into.
+// Returns the Chart instance (or null) so the caller can destroy it later.
+function renderChart(data, view) {
+  const { chartSection, chartCanvas } = view;
+  if (!data || data.length === 0) {
+    chartSection.style.display = "none";
+    return null;
+  }
+
+  const ctx = chartCanvas.getContext("2d");
+  const headers = Object.keys(data[0]);
+
+  // Detect Columns
+  let labelKey = headers.find(k => /date|month|year|quarter|day/i.test(k));
+  if (!labelKey) labelKey = headers.find(k => /name|class|domain|instructor|topic|region/i.test(k));
+  if (!labelKey) labelKey = headers.find(k => typeof data[0][k] === "string");
+
+  let valueKey = headers.find(k => /rating|avg|score|percent|pct/i.test(k));
+  if (!valueKey) valueKey = headers.find(k => /count|sum|total|responses|attended/i.test(k));
+  if (!valueKey) valueKey = headers.find(k => typeof data[0][k] === "number");
+
+  if (!labelKey || !valueKey) {
+    chartSection.style.display = "none";
+    return null;
+  }
+
+  // Format Data
+  const labels = data.map(row => {
+    const val = row[labelKey];
+    if (typeof val === 'string' && val.match(/^\d{4}-\d{2}-\d{2}/)) {
+      const d = new Date(val);
+      const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+      return `${d.getDate()} ${months[d.getMonth()]}`; 
+    }
+    return val;
+  });
+
+  const values = data.map(row => row[valueKey]);
+  const isTrend = /date|month|year|quarter/i.test(labelKey);
+  const chartType = isTrend ? 'line' : 'bar';
+
+  // Show Chart
+  chartSection.style.display = "block";
+
+  const chartInstance = new Chart(ctx, {
+    type: chartType,
+    data: {
+      labels: labels,
+      datasets: [{
+        label: valueKey.toUpperCase().replace(/_/g, " "),
+        data: values,
+        backgroundColor: isTrend ? 'rgba(59, 130, 246, 0.1)' : 'rgba(59, 130, 246, 0.7)',
+        borderColor: '#2563eb',
+        borderWidth: 2,
+        tension: 0.3,
+        fill: isTrend,
+        borderRadius: 4
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => ` ${context.dataset.label}: ${context.raw}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: valueKey.includes("rating") ? false : true,
+          grid: { borderDash: [2, 4], color: '#f3f4f6' }
+        },
+        x: { grid: { display: false } }
+      }
+    }
+  });
+  return chartInstance;
+}
+
+// =========================================================
+// 2. DATE FORMATTER
+// =========================================================
+function formatFriendlyDate(dateStr) {
+  if (!dateStr) return "-";
+  if (typeof dateStr !== 'string') dateStr = String(dateStr);
+  
+  const cleanStr = dateStr.split('T')[0];
+  const parts = cleanStr.split('-');
+  
+  if (parts.length !== 3) return dateStr;
+
+  const year = parseInt(parts[0], 10);
+  const monthIndex = parseInt(parts[1], 10) - 1; 
+  const day = parseInt(parts[2], 10);
+
+  const date = new Date(year, monthIndex, day);
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const getOrdinal = (n) => {
+    const s = ["th", "st", "nd", "rd"];
+    const v = n % 100;
+    return n + (s[(v - 20) % 10] || s[v] || s[0]);
+  };
+
+  return `${getOrdinal(day)} ${months[monthIndex]} ${days[date.getDay()]} ${year}`;
+}
+
+
+// =========================================================
+// 3. TABLE RENDERER
+// =========================================================
+// `view` holds the resultsTable element to fill. Values come from uploaded spreadsheets, so they are
+// set as textContent and never read as HTML.
+function generateTable(data, view) {
+  const headers = Object.keys(data[0]);
+  const thead = document.createElement("thead");
+  thead.className = "bg-gray-50";
+  const headerRow = document.createElement("tr");
+  headers.forEach((header) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.className = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+    th.textContent = header.replace(/_/g, " ").toUpperCase();
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const tbody = document.createElement("tbody");
+  tbody.className = "bg-white divide-y divide-gray-200";
+  
+  data.forEach((row) => {
+    const tableRow = document.createElement("tr");
+    headers.forEach((header) => {
+      let value = row[header];
+
+      if (header.includes("date") || (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}/))) {
+           value = formatFriendlyDate(value);
+      } else if (typeof value === "number" && !Number.isInteger(value)) {
+           value = value.toFixed(2);
+      }
+
+      const td = document.createElement("td");
+      td.className = "px-6 py-4 whitespace-nowrap text-sm text-gray-700";
+      td.textContent = value !== null ? value : "-";
+      tableRow.appendChild(td);
+    });
+    tbody.appendChild(tableRow);
+  });
+
+  view.resultsTable.append(thead, tbody);
+}
+
+window.ResultsView = { renderChart, generateTable, formatFriendlyDate };
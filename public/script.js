@@ -1,263 +1,779 @@
 document.addEventListener("DOMContentLoaded", () => {
-  console.log("Script Loaded v5.0 - Final Fix");
+  console.log("Script Loaded v6.1 - Streaming");
 
   const form = document.getElementById("query-form");
   const input = document.getElementById("query-input");
   const submitBtn = document.getElementById("submit-btn");
+  const newConversationBtn = document.getElementById("new-conversation-btn");
 
   const loader = document.getElementById("loader-container");
-  const errorContainer = document.getElementById("error-container");
-  const errorMessage = document.getElementById("error-message");
-  
-  const summarySection = document.getElementById("summary-section");
-  const summaryText = document.getElementById("summary-text");
-  
-  const chartSection = document.getElementById("chart-section");
-  const chartCanvas = document.getElementById("results-chart");
-  
-  const tableSection = document.getElementById("table-section");
-  const resultsTable = document.getElementById("results-table");
-  
-  const sqlSection = document.getElementById("sql-section");
-  const sqlCode = sqlSection.querySelector("code");
-
-  let chartInstance = null;
+  const thread = document.getElementById("thread");
+  const turnTemplate = document.getElementById("turn-template");
+
+  const historyList = document.getElementById("history-list");
+  const historyEmpty = document.getElementById("history-empty");
+  const historySearch = document.getElementById("history-search");
+  const historyStatus = document.getElementById("history-status");
+
+  const { renderChart, generateTable } = window.ResultsView;
+
+  // The server keeps the history; we only need to send back the id it gave us
+  let conversationId = null;
+  let chartInstances = [];
+
+  // Clones the turn template and returns handles to its sections
+  function createTurn(question) {
+    const root = turnTemplate.content.firstElementChild.cloneNode(true);
+    root.querySelector(".turn-question").textContent = question;
+    thread.appendChild(root);
+
+    return {
+      root,
+      status: root.querySelector(".turn-status"),
+      rowsRendered: false,
+      errorContainer: root.querySelector(".error-container"),
+      errorMessage: root.querySelector(".error-message"),
+      clarificationSection: root.querySelector(".clarification-section"),
+      clarificationList: root.querySelector(".clarification-list"),
+      summarySection: root.querySelector(".summary-section"),
+      summaryText: root.querySelector(".summary-text"),
+      chartSection: root.querySelector(".chart-section"),
+      chartCanvas: root.querySelector(".results-chart"),
+      tableSection: root.querySelector(".table-section"),
+      resultsTable: root.querySelector(".results-table"),
+      resultActions: root.querySelector(".result-actions"),
+      sqlSection: root.querySelector(".sql-section"),
+      sqlCode: root.querySelector(".sql-section code"),
+      sqlEditor: root.querySelector(".sql-editor"),
+      sqlEditorActions: root.querySelector(".sql-editor-actions"),
+      sqlParams: root.querySelector(".sql-params"),
+      attemptsList: root.querySelector(".attempts-list"),
+      cacheNote: root.querySelector(".cache-note"),
+      feedbackSection: root.querySelector(".feedback-section"),
+      explainSection: root.querySelector(".explain-section"),
+      explanation: root.querySelector(".explanation"),
+    };
+  }
 
   // =========================================================
-  // 1. CHART RENDERER
+  // MAIN LOGIC
   // =========================================================
-  function renderChart(data) {
-    if (!data || data.length === 0) {
-      chartSection.style.display = "none";
-      return;
-    }
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const userQuery = input.value.trim();
+    if (!userQuery) return;
 
-    const ctx = chartCanvas.getContext("2d");
-    const headers = Object.keys(data[0]);
+    const turn = createTurn(userQuery);
+    input.value = "";
+    runQuery(userQuery, turn);
+  });
 
-    // Detect Columns
-    let labelKey = headers.find(k => /date|month|year|quarter|day/i.test(k));
-    if (!labelKey) labelKey = headers.find(k => /name|class|domain|instructor|topic|region/i.test(k));
-    if (!labelKey) labelKey = headers.find(k => typeof data[0][k] === "string");
+  // Sends a question (optionally with clarification selections) and renders each
+  // stage of the answer into its turn as the server streams it. useCache: false skips the answer cache.
+  async function runQuery(userQuery, turn, selections, useCache = true) {
+    turn.errorContainer.style.display = "none";
+    turn.clarificationSection.style.display = "none";
+    loader.style.display = "flex";
+    submitBtn.disabled = true;
+    loader.scrollIntoView({ behavior: "smooth", block: "end" });
 
-    let valueKey = headers.find(k => /rating|avg|score|percent|pct/i.test(k));
-    if (!valueKey) valueKey = headers.find(k => /count|sum|total|responses|attended/i.test(k));
-    if (!valueKey) valueKey = headers.find(k => typeof data[0][k] === "number");
+    // Toggle Icons
+    const arrowIcon = document.getElementById("arrow-icon");
+    const spinnerIcon = document.getElementById("spinner-icon");
+    if (arrowIcon) arrowIcon.classList.add("hidden");
+    if (spinnerIcon) spinnerIcon.classList.remove("hidden");
 
-    if (!labelKey || !valueKey) {
-      chartSection.style.display = "none";
-      return;
-    }
+    try {
+      const response = await fetch("/api/query/stream", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query: userQuery, conversationId, selections, cache: useCache }),
+      });
 
-    // Format Data
-    const labels = data.map(row => {
-      const val = row[labelKey];
-      if (typeof val === 'string' && val.match(/^\d{4}-\d{2}-\d{2}/)) {
-        const d = new Date(val);
-        const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-        return `${d.getDate()} ${months[d.getMonth()]}`; 
+      // Validation errors come back as plain JSON before the stream starts
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || "An unknown error occurred.");
       }
-      return val;
-    });
 
-    const values = data.map(row => row[valueKey]);
-    const isTrend = /date|month|year|quarter/i.test(labelKey);
-    const chartType = isTrend ? 'line' : 'bar';
+      loader.style.display = "none";
+      setStatus("Reading your question...", turn);
+      await readStream(response, (message) => handleStreamEvent(message, userQuery, turn, selections));
 
-    // Show Chart
-    chartSection.style.display = "block";
+    } catch (error) {
+      displayError(error.message, turn);
+    } finally {
+      setStatus(null, turn);
+      loadHistory();
+      loader.style.display = "none";
+      submitBtn.disabled = false;
+      if (arrowIcon) arrowIcon.classList.remove("hidden");
+      if (spinnerIcon) spinnerIcon.classList.add("hidden");
+      turn.root.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+  }
+
+  // Calls onMessage for every line of a newline-delimited JSON response as it arrives
+  async function readStream(response, onMessage) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => onMessage(JSON.parse(line)));
 
-    if (chartInstance) {
-      chartInstance.destroy();
+      if (done) break;
     }
+    if (buffer.trim()) onMessage(JSON.parse(buffer));
+  }
+
+  // One stage of the pipeline: see /api/query/stream in server.js for the event list
+  function handleStreamEvent(message, userQuery, turn, selections) {
+    switch (message.event) {
+      case "entities":
+        setStatus(message.entities.length > 0
+          ? `Looking up ${message.entities.map(e => `"${e}"`).join(", ")}...`
+          : "Writing the SQL query...", turn);
+        break;
+
+      case "resolved": {
+        const matches = message.resolutions
+          .filter(r => r.candidates.length === 1)
+          .map(r => `${r.term} → ${r.candidates[0].value}`);
+        if (matches.length > 0) setStatus(`Matched ${matches.join(", ")}. Writing the SQL query...`, turn);
+        break;
+      }
 
-    chartInstance = new Chart(ctx, {
-      type: chartType,
-      data: {
-        labels: labels,
-        datasets: [{
-          label: valueKey.toUpperCase().replace(/_/g, " "),
-          data: values,
-          backgroundColor: isTrend ? 'rgba(59, 130, 246, 0.1)' : 'rgba(59, 130, 246, 0.7)',
-          borderColor: '#2563eb',
-          borderWidth: 2,
-          tension: 0.3,
-          fill: isTrend,
-          borderRadius: 4
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: { display: false },
-          tooltip: {
-            callbacks: {
-              label: (context) => ` ${context.dataset.label}: ${context.raw}`
-            }
-          }
-        },
-        scales: {
-          y: {
-            beginAtZero: valueKey.includes("rating") ? false : true,
-            grid: { borderDash: [2, 4], color: '#f3f4f6' }
-          },
-          x: { grid: { display: false } }
+      case "sql":
+        displaySql(message, turn);
+        setStatus("Running the query...", turn);
+        break;
+
+      case "attempt_failed":
+        setStatus(`Attempt ${message.attempt} failed, asking the model to correct it...`, turn);
+        break;
+
+      case "rows":
+        displayRows(message.data, turn);
+        setStatus(message.data.length > 0 ? "Writing the summary..." : null, turn);
+        break;
+
+      case "summary_token":
+        setStatus(null, turn);
+        turn.summaryBuffer = (turn.summaryBuffer || "") + message.token;
+        displaySummary(turn.summaryBuffer, turn);
+        break;
+
+      case "result":
+        if (message.conversationId) startedConversation(message.conversationId);
+        if (message.status === "needs_clarification") {
+          displayClarifications(userQuery, message.clarifications, turn, selections);
+        } else {
+          displayResults(message, turn);
+          showCacheNote(message.cache, userQuery, turn, selections);
         }
+        break;
+
+      case "error":
+        if (message.conversationId) startedConversation(message.conversationId);
+        throw new Error(message.error || "An unknown error occurred.");
+    }
+  }
+
+  // Progress line under the question; null hides it
+  function setStatus(text, turn) {
+    turn.status.textContent = text || "";
+    turn.status.style.display = text ? "block" : "none";
+  }
+
+  // Renders one row of chips per ambiguous term. Once every term has a choice,
+  // the same question is re-sent with the choices pinned.
+  function displayClarifications(userQuery, clarifications, turn, previousSelections = {}) {
+    const selections = { ...previousSelections };
+    const { clarificationList, clarificationSection } = turn;
+    clarificationList.innerHTML = "";
+
+    const chipClass = "px-3 py-1 rounded-full border text-sm transition";
+    const idleClass = "border-amber-300 bg-white text-gray-700 hover:bg-amber-100";
+    const activeClass = "border-blue-600 bg-blue-600 text-white";
+
+    const choose = (term, selection, chip, row) => {
+      selections[term] = selection;
+      row.querySelectorAll("button").forEach(b => { b.className = `${chipClass} ${idleClass}`; });
+      chip.className = `${chipClass} ${activeClass}`;
+
+      if (clarifications.every(c => selections[c.term])) {
+        runQuery(userQuery, turn, selections);
       }
+    };
+
+    clarifications.forEach(({ term, candidates }) => {
+      const group = document.createElement("div");
+
+      const label = document.createElement("p");
+      label.className = "text-gray-700 mb-2";
+      label.textContent = `"${term}" matches several entries:`;
+
+      const row = document.createElement("div");
+      row.className = "flex flex-wrap gap-2";
+
+      candidates.forEach((candidate) => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = `${chipClass} ${idleClass}`;
+        const match = Math.round((1 - candidate.score) * 100);
+        chip.textContent = `${candidate.value} · ${candidate.category} · ${match}%`;
+        chip.addEventListener("click", () => choose(term, { category: candidate.category, value: candidate.value }, chip, row));
+        row.appendChild(chip);
+      });
+
+      const anyChip = document.createElement("button");
+      anyChip.type = "button";
+      anyChip.className = `${chipClass} ${idleClass}`;
+      anyChip.textContent = "Any of these";
+      anyChip.addEventListener("click", () => choose(term, { any: true }, anyChip, row));
+      row.appendChild(anyChip);
+
+      group.append(label, row);
+      clarificationList.appendChild(group);
     });
+
+    clarificationSection.style.display = "block";
   }
 
   // =========================================================
-  // 2. DATE FORMATTER
+  // HISTORY SIDEBAR
   // =========================================================
-  function formatFriendlyDate(dateStr) {
-    if (!dateStr) return "-";
-    if (typeof dateStr !== 'string') dateStr = String(dateStr);
-    
-    const cleanStr = dateStr.split('T')[0];
-    const parts = cleanStr.split('-');
-    
-    if (parts.length !== 3) return dateStr;
-
-    const year = parseInt(parts[0], 10);
-    const monthIndex = parseInt(parts[1], 10) - 1; 
-    const day = parseInt(parts[2], 10);
-
-    const date = new Date(year, monthIndex, day);
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const getOrdinal = (n) => {
-      const s = ["th", "st", "nd", "rd"];
-      const v = n % 100;
-      return n + (s[(v - 20) % 10] || s[v] || s[0]);
-    };
+  // Recent questions from the query log. Each can be asked again or its exact SQL re-run.
+  // Only analysts and admins have the sidebar (the log shows SQL).
+  async function loadHistory() {
+    if (!historyList.isConnected) return;
+    const params = new URLSearchParams({ limit: "30" });
+    if (historySearch.value.trim()) params.set("q", historySearch.value.trim());
+    if (historyStatus.value) params.set("status", historyStatus.value);
 
-    return `${getOrdinal(day)} ${months[monthIndex]} ${days[date.getDay()]} ${year}`;
+    try {
+      const response = await fetch(`/api/query-log?${params}`);
+      const entries = await response.json();
+      if (!response.ok) throw new Error(entries.error);
+      renderHistory(entries);
+    } catch (error) {
+      console.error("History failed to load:", error);
+    }
   }
 
-  // =========================================================
-  // 3. MAIN LOGIC
-  // =========================================================
-  form.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const userQuery = input.value.trim();
-    if (!userQuery) return;
+  function renderHistory(entries) {
+    historyList.innerHTML = "";
+    historyEmpty.style.display = entries.length === 0 ? "block" : "none";
+
+    const statusColors = { answered: "bg-green-500", needs_clarification: "bg-amber-400", error: "bg-red-500" };
+
+    entries.forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = "border border-gray-100 rounded-lg p-2 hover:bg-gray-50";
+      item.innerHTML = `
+        <p class="history-question text-gray-800 line-clamp-2"></p>
+        <div class="flex items-center gap-2 mt-1 text-xs text-gray-500">
+          <span class="inline-block w-2 h-2 rounded-full ${statusColors[entry.status] || "bg-gray-400"}"></span>
+          <span class="history-meta"></span>
+        </div>
+        <div class="flex gap-3 mt-1 text-xs">
+          <button type="button" data-mode="question" class="text-blue-600 hover:text-blue-800">Ask again</button>
+          <button type="button" data-mode="sql" class="text-gray-600 hover:text-gray-900">Re-run SQL</button>
+        </div>`;
+
+      item.querySelector(".history-question").textContent = entry.question;
+      item.querySelector(".history-question").title = entry.error || entry.question;
+      const when = new Date(entry.created_at).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+      const rows = entry.row_count !== null ? ` · ${entry.row_count} rows` : "";
+      item.querySelector(".history-meta").textContent = `${when} · ${(entry.total_ms / 1000).toFixed(1)}s${rows}`;
+
+      const sqlButton = item.querySelector('[data-mode="sql"]');
+      if (entry.status !== "answered") sqlButton.remove();
+      else sqlButton.addEventListener("click", () => replay(entry, "sql"));
+      item.querySelector('[data-mode="question"]').addEventListener("click", () => replay(entry, "question"));
+
+      historyList.appendChild(item);
+    });
+  }
 
-    resetUI();
+  // Replays a logged question into a new turn of the thread
+  async function replay(entry, mode) {
+    const turn = createTurn(entry.question);
     loader.style.display = "flex";
-    submitBtn.disabled = true;
-
-    // Toggle Icons
-    const arrowIcon = document.getElementById("arrow-icon");
-    const spinnerIcon = document.getElementById("spinner-icon");
-    if (arrowIcon) arrowIcon.classList.add("hidden");
-    if (spinnerIcon) spinnerIcon.classList.remove("hidden");
+    turn.root.scrollIntoView({ behavior: "smooth", block: "start" });
+    setStatus(mode === "sql" ? "Re-running the logged SQL..." : "Asking again...", turn);
 
     try {
-      const response = await fetch("/api/query", {
+      const response = await fetch(`/api/query-log/${entry.log_id}/replay`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query: userQuery }),
+        body: JSON.stringify({ mode }),
       });
-
-      if (!response.ok) {
-        const errData = await response.json();
-        throw new Error(errData.error || "An unknown error occurred.");
-      }
-
       const result = await response.json();
-      displayResults(result);
+      if (!response.ok) throw new Error(result.error || "An unknown error occurred.");
 
+      if (result.status === "needs_clarification") {
+        displayClarifications(entry.question, result.clarifications, turn);
+      } else {
+        displayResults(result, turn);
+      }
     } catch (error) {
-      displayError(error.message);
+      displayError(error.message, turn);
     } finally {
+      setStatus(null, turn);
       loader.style.display = "none";
-      submitBtn.disabled = false;
-      if (arrowIcon) arrowIcon.classList.remove("hidden");
-      if (spinnerIcon) spinnerIcon.classList.add("hidden");
+      loadHistory();
     }
+  }
+
+  let historySearchTimer = null;
+  historySearch.addEventListener("input", () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(loadHistory, 300);
   });
+  historyStatus.addEventListener("change", loadHistory);
+  window.auth.ready.then(loadHistory);
+
+  newConversationBtn.addEventListener("click", resetConversation);
 
-  function resetUI() {
-    errorContainer.style.display = "none";
-    summarySection.style.display = "none";
-    chartSection.style.display = "none"; 
-    tableSection.style.display = "none";
-    sqlSection.style.display = "none";
-    resultsTable.innerHTML = "";
-    
-    if (chartInstance) {
-      chartInstance.destroy();
-      chartInstance = null;
+  function startedConversation(id) {
+    conversationId = id;
+    newConversationBtn.style.display = "block";
+  }
+
+  // Clears the thread; the next question starts a fresh conversation
+  function resetConversation() {
+    conversationId = null;
+    chartInstances.forEach(chart => chart.destroy());
+    chartInstances = [];
+    thread.innerHTML = "";
+    newConversationBtn.style.display = "none";
+    input.focus();
+  }
+
+  function displayError(message, turn) {
+    turn.errorMessage.textContent = message;
+    turn.errorContainer.style.display = "block";
+  }
+
+  // Final answer: fills in anything the stream did not already render
+  function displayResults({ data, summary, sql, params, attempts, conversationId, turnId, logId }, turn) {
+    if (summary) displaySummary(summary, turn);
+    if (sql) {
+      displaySql({ sql, params }, turn);
+      setUpSqlEditor(turn, { sql, params, conversationId });
+    }
+
+    if (attempts && attempts.length > 1) {
+        renderAttempts(attempts, turn);
     }
+
+    displayRows(data, turn);
+
+    // Exports re-run the stored query, so they need the saved turn
+    if (turnId && data && data.length > 0) {
+      showExportLinks(`/api/conversations/${conversationId}/turns/${turnId}/export`, turn);
+      turn.resultActions.querySelectorAll(".save-btn").forEach((button) => {
+        button.onclick = () => saveQuestion(turn, { sql, params }, button.dataset.pin === "true", button);
+      });
+      const exampleButton = turn.resultActions.querySelector(".example-btn");
+      if (exampleButton) exampleButton.onclick = () => addExample(logId, exampleButton);
+    }
+
+    if (turnId) showExplainToggle(`/api/conversations/${conversationId}/turns/${turnId}/explain`, turn);
+    if (logId) showFeedback(logId, { sql, params }, turn);
   }
 
-  function displayError(message) {
-    errorMessage.textContent = message;
-    errorContainer.style.display = "block";
+  // Answers reused from the cache say so, with a way to ask again from scratch in a new turn
+  function showCacheNote(cache, userQuery, turn, selections) {
+    if (!cache || !["hit", "sql"].includes(cache.status)) return;
+    const cachedAt = new Date(cache.cachedAt).toLocaleString();
+    turn.cacheNote.querySelector(".cache-note-text").textContent = cache.status === "hit"
+      ? `Answer from the cache (first answered ${cachedAt}).`
+      : `Query from the cache (first written ${cachedAt}), run on the latest data.`;
+    turn.cacheNote.querySelector(".cache-refresh-btn").onclick = () => {
+      runQuery(userQuery, createTurn(userQuery), selections, false);
+    };
+    turn.cacheNote.style.display = "block";
+  }
+
+  function showExportLinks(exportUrl, turn) {
+    turn.resultActions.querySelectorAll("a").forEach((link) => {
+      link.href = `${exportUrl}?format=${link.dataset.format}`;
+    });
+    turn.resultActions.style.display = "flex";
   }
 
-  function displayResults({ data, summary, sql }) {
-    if (summary) {
-        summaryText.innerHTML = summary.replace(/\n/g, "<br>");
-        summarySection.style.display = "block";
+  // Stores the question and its SQL under a name; pinned ones show up on /dashboard
+  async function saveQuestion(turn, { sql, params }, pinned, button) {
+    const question = turn.root.querySelector(".turn-question").textContent;
+    const name = window.prompt("Save this question as:", question);
+    if (!name) return;
+
+    try {
+      const response = await fetch("/api/saved-queries", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, question, sql, params, pinned }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Could not save the question.");
+
+      button.textContent = pinned ? "Pinned ✓" : "Saved ✓";
+      button.disabled = true;
+    } catch (error) {
+      window.alert(error.message);
     }
+  }
 
-    if (sql) {
-        sqlCode.textContent = sql;
-        sqlSection.style.display = "block";
+  // Puts a good answer (its question and SQL, from the query log) into the example library
+  async function addExample(logId, button) {
+    try {
+      const response = await fetch("/api/examples", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ logId }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Could not add the example.");
+
+      button.textContent = "Added to examples ✓";
+      button.disabled = true;
+    } catch (error) {
+      window.alert(error.message);
     }
+  }
 
-    if (data && data.length > 0) {
-      // 1. Try to Render Chart
+  // Thumbs up is sent right away; thumbs down opens a form for a comment and (analysts) corrected SQL.
+  // Reviewers see it on /feedback.
+  function showFeedback(logId, { sql, params }, turn) {
+    const section = turn.feedbackSection;
+    const form = section.querySelector(".feedback-form");
+    const status = section.querySelector(".feedback-status");
+    const correctedSql = form.elements.correctedSql;
+    status.textContent = "";
+    form.style.display = "none";
+    section.querySelectorAll(".feedback-btn").forEach(b => b.classList.remove("ring-2"));
+    if (correctedSql && sql) correctedSql.value = inlineValues(sql, params);
+
+    async function send(rating) {
+      status.textContent = "Sending...";
       try {
-        renderChart(data);
-      } catch (e) {
-        console.error("Chart failed to render:", e);
-        chartSection.style.display = "none";
+        const response = await fetch("/api/feedback", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            logId, rating,
+            comment: rating === "down" ? form.elements.comment.value : null,
+            // Only send the SQL if it was changed
+            correctedSql: rating === "down" && correctedSql && correctedSql.value.trim() !== inlineValues(sql, params).trim()
+              ? correctedSql.value : null,
+          }),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || "Could not send the feedback.");
+
+        status.textContent = "Thanks for the feedback ✓";
+        form.style.display = "none";
+      } catch (error) {
+        status.textContent = error.message;
       }
+    }
+
+    section.querySelectorAll(".feedback-btn").forEach((button) => {
+      button.onclick = () => {
+        section.querySelectorAll(".feedback-btn").forEach(b => b.classList.toggle("ring-2", b === button));
+        if (button.dataset.rating === "up") send("up");
+        else {
+          status.textContent = "";
+          form.style.display = "block";
+        }
+      };
+    });
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      send("down");
+    };
+    section.style.display = "block";
+  }
+
+  // The SQL with its bound values written in, as a starting point for a correction
+  function inlineValues(sql, params = []) {
+    const literal = (v) => Array.isArray(v) ? `ARRAY[${v.map(literal).join(", ")}]`
+      : typeof v === "number" ? String(v) : `'${String(v).replace(/'/g, "''")}'`;
+    return (sql || "").replace(/\$(\d+)/g, (token, n) => (params && n <= params.length ? literal(params[n - 1]) : token));
+  }
+
+  // The summary quotes names from the data, so it is shown as text (line breaks kept by whitespace-pre-line)
+  function displaySummary(summary, turn) {
+    turn.summaryText.textContent = summary;
+    turn.summarySection.style.display = "block";
+  }
 
-      // 2. Render Table (ALWAYS)
-      tableSection.style.display = "block";
-      generateTable(data);
+  function displaySql({ sql, params }, turn) {
+    turn.sqlCode.innerHTML = highlightSql(sql);
+    turn.sqlSection.style.display = "block";
+
+    // Resolved names are sent as bind parameters, not written into the SQL
+    if (params && params.length > 0) {
+        const formatParam = (v) => Array.isArray(v) ? `[${v.map(x => `'${x}'`).join(", ")}]` : `'${v}'`;
+        turn.sqlParams.textContent = "Bound values: " + params.map((v, i) => `$${i + 1} = ${formatParam(v)}`).join(", ");
+        turn.sqlParams.style.display = "block";
+    } else {
+        turn.sqlParams.style.display = "none";
     }
   }
 
-  function generateTable(data) {
-    const headers = Object.keys(data[0]);
-    const thead = document.createElement("thead");
-    thead.className = "bg-gray-50";
-    let headerRow = "<tr>";
-    headers.forEach((header) => {
-      const cleanHeader = header.replace(/_/g, " ").toUpperCase();
-      headerRow += `<th scope="col" class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${cleanHeader}</th>`;
-    });
-    headerRow += "</tr>";
-    thead.innerHTML = headerRow;
-
-    const tbody = document.createElement("tbody");
-    tbody.className = "bg-white divide-y divide-gray-200";
-    
-    data.forEach((row) => {
-      let tableRow = "<tr>";
-      headers.forEach((header) => {
-        let value = row[header];
-
-        if (header.includes("date") || (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}/))) {
-             value = formatFriendlyDate(value);
-        } else if (typeof value === "number" && !Number.isInteger(value)) {
-             value = value.toFixed(2);
+  function displayRows(data, turn) {
+    if (turn.rowsRendered || !data || data.length === 0) return;
+    turn.rowsRendered = true;
+
+    // 1. Try to Render Chart
+    try {
+      const chart = renderChart(data, turn);
+      if (chart) chartInstances.push(chart);
+      turn.chart = chart;
+    } catch (e) {
+      console.error("Chart failed to render:", e);
+      turn.chartSection.style.display = "none";
+    }
+
+    // 2. Render Table (ALWAYS)
+    turn.tableSection.style.display = "block";
+    generateTable(data, turn);
+  }
+
+  // =========================================================
+  // SQL EDITOR (analysts)
+  // =========================================================
+  // "Edit SQL" swaps the SQL view for a highlighted editor. Run sends the edited SQL (with the
+  // answer's bound values) through the read-only path and redraws the turn with the new rows.
+  function setUpSqlEditor(turn, { sql, params, conversationId }) {
+    const actions = turn.sqlEditorActions;
+    if (!actions) return; // Removed for viewers
+    turn.editedQuery = { sql, params, conversationId };
+    if (turn.sqlEditorReady) return;
+    turn.sqlEditorReady = true;
+
+    const question = turn.root.querySelector(".turn-question").textContent;
+    const controls = actions.querySelector(".sql-edit-controls");
+    const editButton = actions.querySelector(".sql-edit-btn");
+    const runButton = actions.querySelector(".sql-run-btn");
+    const exampleButton = actions.querySelector(".sql-example-btn");
+    const status = actions.querySelector(".sql-editor-status");
+    const sqlView = turn.sqlSection.querySelector(".sql-view");
+    let editor = null;
+
+    const showEditor = (show) => {
+      sqlView.style.display = show ? "none" : "block";
+      turn.sqlEditor.style.display = show ? "block" : "none";
+      controls.style.display = show ? "flex" : "none";
+      editButton.style.display = show ? "none" : "inline-block";
+    };
+
+    editButton.onclick = () => {
+      if (!editor) editor = createSqlEditor(turn.sqlEditor, turn.editedQuery.sql);
+      else editor.setValue(turn.editedQuery.sql);
+      showEditor(true);
+      editor.textarea.focus();
+    };
+    actions.querySelector(".sql-cancel-btn").onclick = () => {
+      showEditor(false);
+      status.textContent = "";
+    };
+
+    runButton.onclick = async () => {
+      const summarize = actions.querySelector(".sql-summarize").checked;
+      runButton.disabled = true;
+      status.className = "sql-editor-status text-gray-500";
+      status.textContent = summarize ? "Running and summarizing..." : "Running...";
+      exampleButton.style.display = "none";
+
+      try {
+        const response = await fetch("/api/query/sql", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            sql: editor.getValue(), params: turn.editedQuery.params, question,
+            conversationId: turn.editedQuery.conversationId, summarize,
+          }),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || "The query could not be run.");
+
+        showEditedResult(result, turn);
+        status.textContent = `${result.data.length} row${result.data.length === 1 ? "" : "s"}.` +
+          (result.summary ? "" : " The summary above still describes the earlier query.");
+
+        exampleButton.textContent = "Save as example";
+        exampleButton.disabled = false;
+        exampleButton.onclick = () => addExample(result.logId, exampleButton);
+        exampleButton.style.display = "inline-block";
+      } catch (error) {
+        status.className = "sql-editor-status text-red-700";
+        status.textContent = error.message;
+      } finally {
+        runButton.disabled = false;
+      }
+    };
+  }
+
+  // Redraws a turn's table, chart, SQL and actions with the result of edited SQL
+  function showEditedResult(result, turn) {
+    if (turn.chart) {
+      turn.chart.destroy();
+      chartInstances = chartInstances.filter(chart => chart !== turn.chart);
+      turn.chart = null;
+    }
+    turn.rowsRendered = false;
+    turn.tableSection.style.display = "none";
+    turn.chartSection.style.display = "none";
+    turn.cacheNote.style.display = "none";
+    turn.attemptsList.style.display = "none";
+
+    displayResults({ ...result, attempts: [] }, turn);
+  }
+
+  // "Explain this query" fetches the plain-English breakdown the first time it is opened
+  function showExplainToggle(explainUrl, turn) {
+    const button = turn.explainSection.querySelector(".explain-btn");
+    const { explanation } = turn;
+    let loaded = false;
+    explanation.innerHTML = "";
+    explanation.style.display = "none";
+    button.textContent = "Explain this query";
+
+    button.onclick = async () => {
+      const open = explanation.style.display === "none";
+      explanation.style.display = open ? "block" : "none";
+      button.textContent = open ? "Hide explanation" : "Explain this query";
+      if (!open || loaded) return;
+
+      explanation.textContent = "Reading the query...";
+      try {
+        const response = await fetch(explainUrl);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || "Could not explain the query.");
+        renderExplanation(result, turn);
+        loaded = true;
+      } catch (error) {
+        explanation.textContent = error.message;
+      }
+    };
+    turn.explainSection.style.display = "block";
+  }
+
+  function renderExplanation(result, turn) {
+    const { explanation } = turn;
+    explanation.innerHTML = "";
+
+    // Interpretations come first: they are what the reader should check
+    if (result.interpretations.length > 0) {
+      const box = document.createElement("div");
+      box.className = "border border-amber-300 bg-amber-50 rounded-lg p-3 space-y-2";
+      const heading = document.createElement("p");
+      heading.className = "font-semibold text-amber-900";
+      heading.textContent = "Interpretations to check";
+      box.appendChild(heading);
+
+      result.interpretations.forEach(({ text, suggestion }) => {
+        const item = document.createElement("div");
+        item.className = "flex flex-wrap items-center justify-between gap-2 text-amber-900";
+        const label = document.createElement("span");
+        label.textContent = text;
+        item.appendChild(label);
+        if (suggestion) {
+          const ask = document.createElement("button");
+          ask.type = "button";
+          ask.className = "px-2 py-1 rounded border border-amber-400 bg-white text-xs text-amber-900 hover:bg-amber-100";
+          ask.textContent = `Ask: "${suggestion}"`;
+          ask.onclick = () => runQuery(suggestion, createTurn(suggestion));
+          item.appendChild(ask);
         }
+        box.appendChild(item);
+      });
+      explanation.appendChild(box);
+    }
 
-        tableRow += `<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-700">${
-          value !== null ? value : "-"
-        }</td>`;
+    explanation.appendChild(renderQueryParts(result));
+    result.steps.forEach((step) => {
+      const block = renderQueryParts(step);
+      block.classList.add("border-l-2", "border-gray-200", "pl-3");
+      block.prepend(explanationHeading(`Step "${step.name}"`));
+      explanation.appendChild(block);
+    });
+  }
+
+  // One query's tables, filters, metrics, grouping and sorting as labelled lists
+  function renderQueryParts(part) {
+    const container = document.createElement("div");
+    container.className = "space-y-2";
+    const sorting = [...part.ordering];
+    if (part.limit !== null) sorting.push({ text: `Keeps the first ${part.limit} row${part.limit === 1 ? "" : "s"}${part.offset ? ` after skipping ${part.offset}` : ""}` });
+
+    const sections = [
+      ["Data used", part.tables.map(t => ({ ...t, sql: t.on ? `ON ${t.on}` : undefined }))],
+      ["Filters", [...part.filters, ...part.having]],
+      ["Metrics", part.metrics],
+      ["Other columns", part.columns],
+      ["Grouping", part.grouping ? [{ text: part.grouping.text }] : []],
+      ["Sorting & limit", sorting],
+    ];
+    sections.forEach(([title, items]) => {
+      if (items.length === 0) return;
+      const list = document.createElement("ul");
+      list.className = "list-disc pl-5 space-y-0.5";
+      items.forEach(({ text, sql }) => {
+        const item = document.createElement("li");
+        item.textContent = text;
+        // Viewers get the explanation without the SQL fragments
+        if (sql) {
+          const code = document.createElement("code");
+          code.className = "ml-2 text-xs text-gray-400 font-mono";
+          code.textContent = sql;
+          item.appendChild(code);
+        }
+        list.appendChild(item);
       });
-      tableRow += "</tr>";
-      tbody.innerHTML += tableRow;
+      const section = document.createElement("div");
+      section.append(explanationHeading(title), list);
+      container.appendChild(section);
     });
+    return container;
+  }
+
+  function explanationHeading(text) {
+    const heading = document.createElement("p");
+    heading.className = "font-semibold text-gray-800";
+    heading.textContent = text;
+    return heading;
+  }
+
+  // Shows the failed SQL attempts the model corrected before the final query ran
+  function renderAttempts(attempts, turn) {
+    const { attemptsList } = turn;
+    attemptsList.innerHTML = `<p class="font-semibold text-gray-600">Corrected after ${attempts.length} attempts:</p>`;
+    attempts.filter(a => a.error).forEach((a) => {
+      const item = document.createElement("div");
+      item.className = "border border-red-200 bg-red-50 rounded p-2";
+
+      const label = document.createElement("p");
+      label.className = "text-red-700 mb-1";
+      label.textContent = `Attempt ${a.attempt}: ${a.error}`;
 
-    resultsTable.append(thead, tbody);
+      const code = document.createElement("pre");
+      code.className = "bg-gray-900 text-gray-300 p-2 rounded overflow-x-auto";
+      code.textContent = a.sql || "(no SQL returned)";
+
+      item.append(label, code);
+      attemptsList.appendChild(item);
+    });
+    attemptsList.style.display = "block";
   }
 });
\ No newline at end of file
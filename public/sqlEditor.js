@@ -0,0 +1,82 @@
+// sqlEditor.js
+// SQL syntax highlighting and an editable, highlighted SQL panel for the question page (script.js).
+// The editor is a transparent <textarea> over a highlighted <pre>, so it needs no editor library.
+
+const SQL_KEYWORDS = new Set([
+  "select", "from", "where", "join", "left", "right", "inner", "outer", "full", "cross", "on", "using", "and", "or",
+  "not", "in", "is", "null", "as", "group", "by", "order", "having", "limit", "offset", "with", "distinct", "case",
+  "when", "then", "else", "end", "asc", "desc", "nulls", "first", "last", "union", "all", "except", "intersect",
+  "between", "like", "ilike", "exists", "over", "partition", "filter", "interval", "true", "false", "any", "lateral",
+  "rows", "range", "preceding", "following", "current", "row", "unbounded", "cast",
+]);
+
+// Comments, strings, quoted identifiers, $n placeholders, numbers, words, or any other character
+const SQL_TOKEN = /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?)|(\$\d+)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_]*)|([\s\S])/g;
+
+const escapeSqlHtml = (text) => text.replace(/[&<>"']/g, c => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+})[c]);
+
+/**
+ * Highlights SQL as HTML: keywords, functions, strings, numbers, placeholders and comments
+ * get the sql-* classes styled in index.html.
+ * @param {string} sql
+ * @returns {string} Escaped HTML.
+ */
+function highlightSql(sql) {
+  return (sql || "").replace(SQL_TOKEN, (token, comment, string, identifier, param, number, word, other, offset, all) => {
+    const span = (cls) => `<span class="${cls}">${escapeSqlHtml(token)}</span>`;
+    if (comment) return span("sql-comment");
+    if (string) return span("sql-string");
+    if (param) return span("sql-param");
+    if (number) return span("sql-number");
+    if (word) {
+      if (SQL_KEYWORDS.has(word.toLowerCase())) return span("sql-keyword");
+      if (/^\s*\(/.test(all.slice(offset + word.length))) return span("sql-function");
+    }
+    return escapeSqlHtml(token);
+  });
+}
+
+/**
+ * Turns `container` into a highlighted SQL editor.
+ * @param {HTMLElement} container Empty element to fill.
+ * @param {string} sql Initial SQL.
+ * @returns {{textarea: HTMLTextAreaElement, getValue: Function, setValue: Function}}
+ */
+function createSqlEditor(container, sql) {
+  container.classList.add("relative", "bg-gray-900", "rounded", "overflow-hidden");
+  container.innerHTML = `
+    <pre aria-hidden="true" class="absolute inset-0 m-0 p-4 overflow-hidden pointer-events-none text-xs font-mono leading-5 whitespace-pre text-gray-200"></pre>
+    <textarea spellcheck="false" rows="10" aria-label="SQL"
+      class="relative block w-full p-4 bg-transparent text-transparent caret-white text-xs font-mono leading-5 whitespace-pre overflow-auto resize-y focus:outline-none"></textarea>`;
+  const pre = container.querySelector("pre");
+  const textarea = container.querySelector("textarea");
+
+  // A trailing newline needs something after it, or the last line of the overlay collapses
+  const render = () => { pre.innerHTML = highlightSql(textarea.value) + "\n "; };
+  const syncScroll = () => {
+    pre.scrollTop = textarea.scrollTop;
+    pre.scrollLeft = textarea.scrollLeft;
+  };
+
+  textarea.addEventListener("input", () => {
+    render();
+    syncScroll();
+  });
+  textarea.addEventListener("scroll", syncScroll);
+  // Tab indents instead of leaving the editor
+  textarea.addEventListener("keydown", (e) => {
+    if (e.key !== "Tab" || e.shiftKey) return;
+    e.preventDefault();
+    textarea.setRangeText("  ", textarea.selectionStart, textarea.selectionEnd, "end");
+    render();
+  });
+
+  const setValue = (value) => {
+    textarea.value = value || "";
+    render();
+  };
+  setValue(sql);
+  return { textarea, getValue: () => textarea.value, setValue };
+}
@@ -0,0 +1,122 @@
+// queryLog.js
+// Audit trail of every question: what was asked, how it was resolved, which SQL ran,
+// how long each stage took and how it ended. Entries can be browsed and replayed.
+
+const { performance } = require("perf_hooks");
+const { pool } = require("./db");
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Starts recording one question. Stages are timed with `time`, details are added
+ * with `record`, and `finish` writes the entry once the outcome is known.
+ * @param {Object} entry { question, conversationId, selections, source, replayOf, askedBy, scope }
+ */
+function createQueryLog({
+  question, conversationId = null, selections = {}, source = "query", replayOf = null, askedBy = null, scope = null
+}) {
+  const startedAt = performance.now();
+  const timings = {};
+  const fields = {};
+
+  return {
+    // Runs fn and adds its duration to the stage (stages that repeat, like SQL attempts, accumulate)
+    async time(stage, fn) {
+      const start = performance.now();
+      try {
+        return await fn();
+      } finally {
+        timings[stage] = (timings[stage] || 0) + Math.round(performance.now() - start);
+      }
+    },
+
+    record(details) {
+      Object.assign(fields, details);
+    },
+
+    /**
+     * Writes the entry. Logging never fails the request: errors are only reported.
+     * @param {string} status "answered", "needs_clarification" or "error".
+     * @param {Error} [error] The error that ended the request.
+     * @returns {Promise<number|null>} The log id, or null if it could not be written.
+     */
+    async finish(status, error = null) {
+      try {
+        const { rows } = await pool.query(
+          `INSERT INTO query_log (
+             conversation_id, source, replay_of, asked_by, question, selections, entities, resolutions,
+             final_prompt, sql_query, params, attempts, row_count, timings, total_ms, status, error, error_code, data_scope,
+             cache_status, prompt_version, examples
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+           RETURNING log_id::int AS log_id`,
+          [
+            conversationId, source, replayOf, askedBy, question, JSON.stringify(selections || {}),
+            JSON.stringify(fields.entities || []), JSON.stringify(fields.resolutions || []),
+            fields.finalPrompt || null, fields.sql || null, JSON.stringify(fields.params || []),
+            JSON.stringify(error?.attempts || fields.attempts || []), fields.rowCount ?? null,
+            JSON.stringify(timings), Math.round(performance.now() - startedAt), status,
+            error ? error.message : null, error?.code || null, scope ? JSON.stringify(scope) : null,
+            fields.cacheStatus || null, fields.promptVersion || null, JSON.stringify(fields.examples || [])
+          ]
+        );
+        return rows[0].log_id;
+      } catch (e) {
+        console.error("[QueryLog] Failed to write entry:", e.message);
+        return null;
+      }
+    },
+  };
+}
+
+/**
+ * Lists log entries, newest first, without the heavy columns.
+ * @param {Object} filters { status, q (text in the question or SQL), conversationId, source, askedBy (username),
+ *   since, until (ISO dates), before (log id, for paging), limit }
+ */
+async function listQueryLog({ status, q, conversationId, source, askedBy, since, until, before, limit = 50 } = {}) {
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace(/\?/g, `$${values.length}`));
+  };
+
+  if (status) add("status = ?", status);
+  if (source) add("source = ?", source);
+  if (conversationId) add("conversation_id = ?", conversationId);
+  if (askedBy) add("asked_by = ?", askedBy);
+  if (q) add("(question ILIKE ? OR sql_query ILIKE ?)", `%${q}%`);
+  if (since) add("created_at >= ?", since);
+  if (until) add("created_at < ?", until);
+  if (before) add("log_id < ?", before);
+
+  values.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE));
+  const { rows } = await pool.query(
+    `SELECT log_id::int AS log_id, conversation_id, source, replay_of::int AS replay_of, asked_by, question,
+       status, error, error_code, row_count, total_ms, cache_status, created_at
+     FROM query_log
+     ${conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : ""}
+     ORDER BY log_id DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+/**
+ * @param {number} id The log id.
+ * @param {string} [askedBy] Only return the entry if this user asked it.
+ * @returns {Promise<Object|null>}
+ */
+async function getQueryLogEntry(id, askedBy = null) {
+  const { rows } = await pool.query(
+    `SELECT log_id::int AS log_id, conversation_id, source, replay_of::int AS replay_of, asked_by, question,
+       selections, entities, resolutions, final_prompt, sql_query AS sql, params, attempts, row_count,
+       timings, total_ms, status, error, error_code, data_scope, cache_status, prompt_version, examples, created_at
+     FROM query_log WHERE log_id = $1 AND ($2::text IS NULL OR asked_by = $2)`,
+    [id, askedBy]
+  );
+  return rows[0] || null;
+}
+
+module.exports = { createQueryLog, listQueryLog, getQueryLogEntry };
@@ -0,0 +1,336 @@
+// resolver.js
+// In-memory Fuse.js indexes of the dimension tables, used to map the terms the
+// model extracts ("Konstatinos", "backend") onto canonical database values.
+// Exact hits in the dim_value_alias table ("ds" -> Data Science) win over fuzzy matches.
+
+const Fuse = require("fuse.js");
+const { pool } = require("./db");
+
+// ==========================================
+// 1. MULTI-ENTITY CACHING
+// ==========================================
+// Indexes older than this are rebuilt in the background on the next request
+const CACHE_TTL_MS = parseDuration(process.env.RESOLVER_CACHE_TTL_MS, 10 * 60 * 1000);
+// After a failed initial load, requests fail fast for this long instead of hitting the database again
+const CACHE_RETRY_MS = parseDuration(process.env.RESOLVER_CACHE_RETRY_MS, 30 * 1000);
+
+const caches = {
+  instructors: null,
+  domains: null,
+  classes: null,
+  topics: null,
+  aliases: new Map() // lowercase alias -> [{ category, value }]
+};
+
+const cacheState = {
+  loadedAt: null,
+  counts: null,
+  lastError: null, // { message, at }
+  refreshing: null // in-flight refresh promise, shared by concurrent callers
+};
+
+function parseDuration(value, fallback) {
+  const ms = parseInt(value, 10);
+  return Number.isNaN(ms) || ms < 0 ? fallback : ms;
+}
+
+/**
+ * Raised when the caches have never loaded, so no question can be resolved.
+ */
+class CacheUnavailableError extends Error {
+  constructor(reason) {
+    super(`Entity caches are unavailable: ${reason}`);
+    this.name = "CacheUnavailableError";
+    this.status = 503;
+  }
+}
+
+// Builds a complete set of indexes without touching the live ones
+async function buildCaches() {
+  // Instructors
+  const resInstr = await pool.query("SELECT first_name, last_name, full_name FROM dim_instructor");
+  const instructors = new Fuse(resInstr.rows, {
+    includeScore: true,
+    threshold: 0.4,
+    keys: [
+      { name: "first_name", weight: 2.0 },
+      { name: "last_name", weight: 2.0 },
+      { name: "full_name", weight: 1.0 }
+    ]
+  });
+
+  // Domains
+  const resDomain = await pool.query("SELECT domain_name FROM dim_domain");
+  const domains = new Fuse(resDomain.rows, { includeScore: true, threshold: 0.4, keys: ["domain_name"] });
+
+  // Classes
+  const resClass = await pool.query("SELECT class_name FROM dim_class");
+  const classes = new Fuse(resClass.rows, { includeScore: true, threshold: 0.4, keys: ["class_name"] });
+
+  // Topics
+  const resTopic = await pool.query("SELECT topic_code FROM dim_topic");
+  const topics = new Fuse(resTopic.rows, { includeScore: true, threshold: 0.4, keys: ["topic_code"] });
+
+  // Aliases (optional: older databases may not have the table yet)
+  const aliases = await loadAliases();
+
+  const counts = {
+    instructors: resInstr.rows.length,
+    domains: resDomain.rows.length,
+    classes: resClass.rows.length,
+    topics: resTopic.rows.length,
+    aliases: aliases.size
+  };
+  return { indexes: { instructors, domains, classes, topics, aliases }, counts };
+}
+
+async function loadAliases() {
+  const aliases = new Map();
+  try {
+    const { rows } = await pool.query("SELECT entity, alias, canonical FROM dim_value_alias");
+    for (const row of rows) {
+      const key = row.alias.trim().toLowerCase();
+      if (!aliases.has(key)) aliases.set(key, []);
+      aliases.get(key).push({ category: row.entity, value: row.canonical });
+    }
+  } catch (e) {
+    console.warn("[Cache] Aliases unavailable:", e.message);
+  }
+  return aliases;
+}
+
+/**
+ * Reloads every index from the database. The new indexes replace the old ones
+ * in a single synchronous step, so a request never sees a half-built cache.
+ * If the reload fails the previous indexes stay in place.
+ * Concurrent calls share one reload.
+ * @returns {Promise<Object>} The cache status after the refresh (see getCacheStatus).
+ */
+function refreshCaches() {
+  if (cacheState.refreshing) return cacheState.refreshing;
+
+  cacheState.refreshing = (async () => {
+    try {
+      console.log("[Cache] Loading dimension indexes...");
+      const { indexes, counts } = await buildCaches();
+
+      Object.assign(caches, indexes);
+      cacheState.loadedAt = Date.now();
+      cacheState.counts = counts;
+
+      console.log(`[Cache] Loaded ${counts.instructors} Instructors, ${counts.aliases} aliases.`);
+      return getCacheStatus();
+    } catch (e) {
+      cacheState.lastError = { message: e.message, at: Date.now() };
+      console.error("[Cache] Load Error:", e.message);
+      throw e;
+    } finally {
+      cacheState.refreshing = null;
+    }
+  })();
+
+  return cacheState.refreshing;
+}
+
+// Loads the caches on first use (serverless cold starts) and refreshes them once they pass the TTL
+async function ensureCachesLoaded() {
+  if (!cacheState.loadedAt) {
+    const { lastError } = cacheState;
+    if (!cacheState.refreshing && lastError && Date.now() - lastError.at < CACHE_RETRY_MS) {
+      throw new CacheUnavailableError(lastError.message);
+    }
+    try {
+      await refreshCaches();
+    } catch (e) {
+      throw new CacheUnavailableError(e.message);
+    }
+    return;
+  }
+
+  // Stale indexes keep serving while the new ones load
+  if (Date.now() - cacheState.loadedAt > CACHE_TTL_MS) {
+    refreshCaches().catch(() => {}); // Already recorded in cacheState.lastError
+  }
+}
+
+/**
+ * Snapshot of the caches for the health endpoint.
+ * `healthy` is false until the first load succeeds, and after a refresh fails.
+ */
+function getCacheStatus() {
+  const { loadedAt, counts, lastError } = cacheState;
+  return {
+    loaded: Boolean(loadedAt),
+    healthy: Boolean(loadedAt) && (!lastError || lastError.at < loadedAt),
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    ageMs: loadedAt ? Date.now() - loadedAt : null,
+    ttlMs: CACHE_TTL_MS,
+    refreshing: Boolean(cacheState.refreshing),
+    counts,
+    lastError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null
+  };
+}
+
+// ==========================================
+// 2. AMBIGUITY-AWARE RESOLVER
+// ==========================================
+function resolveTerm(term) {
+  // Exact alias hits score 0, so they rank ahead of every fuzzy match
+  let allMatches = (caches.aliases.get(term.trim().toLowerCase()) || [])
+    .map(hit => ({ category: hit.category, value: hit.value, score: 0, source: "alias" }));
+
+  // Helper to collect matches
+  const collect = (fuse, type, field) => {
+    if (!fuse) return;
+    const results = fuse.search(term);
+    results.forEach(r => {
+      allMatches.push({
+        category: type,
+        value: r.item[field],
+        score: r.score,
+        source: "fuzzy"
+      });
+    });
+  };
+
+  collect(caches.instructors, "instructor", "full_name");
+  collect(caches.domains, "domain", "domain_name");
+  collect(caches.classes, "class", "class_name");
+  collect(caches.topics, "topic", "topic_code");
+
+  allMatches = allMatches.filter(m => m.score < 0.4);
+  allMatches.sort((a, b) => a.score - b.score);
+
+  // The same value can come from an alias and from Fuse (or twice from Fuse: a class in two regions)
+  const seen = new Set();
+  allMatches = allMatches.filter(m => {
+    const key = `${m.category}|${m.value}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (allMatches.length === 0) return [];
+
+  const bestScore = allMatches[0].score;
+  const threshold = bestScore + 0.05; 
+  
+  const topCandidates = allMatches.filter(m => m.score <= threshold);
+  return topCandidates.slice(0, 5); 
+}
+
+// ==========================================
+// 3. ENTITY RESOLUTION & CONTEXT BUILDER
+// ==========================================
+
+/**
+ * Raised when the user picks a clarification option that is not one of the
+ * candidates for that term (e.g. a stale or hand-crafted request).
+ */
+class InvalidSelectionError extends Error {
+  constructor(term) {
+    super(`Invalid selection for '${term}'. Pick one of the suggested matches.`);
+    this.name = "InvalidSelectionError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Resolves every extracted term, applying the user's clarification choices.
+ * A selection is either { category, value } (pin one candidate) or { any: true }
+ * (keep all candidates and let the query match any of them).
+ * @param {Array<string>} entities Terms extracted from the question.
+ * @param {Object} selections Map of term -> selection from a clarification step.
+ * @returns {Array<{term: string, candidates: Array, pinned: boolean}>}
+ */
+function resolveEntities(entities, selections = {}) {
+  return entities.map((term) => {
+    const candidates = resolveTerm(term);
+    const selection = selections[term];
+
+    if (!selection) return { term, candidates, pinned: false };
+    if (selection.any) return { term, candidates, pinned: true };
+
+    const match = candidates.find(c => c.category === selection.category && c.value === selection.value);
+    if (!match) throw new InvalidSelectionError(term);
+    return { term, candidates: [match], pinned: true };
+  });
+}
+
+/**
+ * Terms that matched several entities and have not been clarified yet.
+ * @param {Array} resolutions Output of resolveEntities.
+ * @returns {Array<{term: string, candidates: Array}>}
+ */
+function getAmbiguities(resolutions) {
+  return resolutions
+    .filter(r => r.candidates.length > 1 && !r.pinned)
+    .map(({ term, candidates }) => ({ term, candidates }));
+}
+
+// Column each category filters on, using the table aliases from prompts/sql-prompt.json
+const CATEGORY_FILTERS = {
+  instructor: { label: "Instructor", column: "di.full_name" },
+  domain: { label: "Domain", column: "dd.domain_name" },
+  class: { label: "Class", column: "dc.class_name" },
+  topic: { label: "Topic", column: "dt.topic_code" },
+};
+
+// Turns the resolved candidates for each extracted term into the SYSTEM CONTEXT
+// lines that are appended to the SQL prompt. Canonical values never appear in the
+// prompt: each one becomes a bind parameter ($1, $2, ...) that the model must reference
+// and the server binds through pg, so names like "O'Brien" cannot break the SQL.
+function buildContextMessages(resolutions) {
+  const contextMessages = [];
+  const params = [];
+
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  for (const { term, candidates } of resolutions) {
+    if (candidates.length === 1) {
+      const match = candidates[0];
+      const filter = CATEGORY_FILTERS[match.category];
+      if (!filter) continue;
+      console.log(`[Match] "${term}" -> ${match.value} (${match.category})`);
+
+      const placeholder = bind(match.value);
+      contextMessages.push(`User means ${filter.label} ${placeholder}. Filter by ${filter.column} = ${placeholder}`);
+
+    } else if (candidates.length > 1) {
+      console.log(`[Ambiguity] "${term}" matched ${candidates.length} items.`);
+
+      // One text[] parameter per category, e.g. class names in $2 and domain names in $3
+      const conditions = [];
+      for (const [category, filter] of Object.entries(CATEGORY_FILTERS)) {
+        const values = candidates.filter(c => c.category === category).map(c => c.value);
+        if (values.length === 0) continue;
+        conditions.push({ filter, placeholder: bind(values) });
+      }
+
+      const kinds = conditions.map(c => `${c.filter.label} (one of ${c.placeholder})`).join(" or ");
+      const where = conditions.map(c => `${c.filter.column} = ANY(${c.placeholder})`).join(" OR ");
+      contextMessages.push(
+        `The term '${term}' is ambiguous and may mean a ${kinds}. ` +
+        `Filter by (${where}).`
+      );
+    }
+  }
+
+  return { contextMessages, params };
+}
+
+module.exports = {
+  caches,
+  ensureCachesLoaded,
+  refreshCaches,
+  getCacheStatus,
+  CacheUnavailableError,
+  resolveTerm,
+  resolveEntities,
+  getAmbiguities,
+  buildContextMessages,
+  InvalidSelectionError,
+};
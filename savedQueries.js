@@ -0,0 +1,131 @@
+// savedQueries.js
+// Named questions with their SQL, so recurring questions can be re-run (and pinned
+// to the dashboard) without asking the model again.
+
+const { pool } = require("./db");
+const { validateSql, bindParameters } = require("./sqlGuard");
+
+const COLUMNS = `saved_query_id::int AS id, name, question, sql_query AS sql, params, pinned,
+  dashboard_position, created_at, updated_at`;
+
+/**
+ * Raised for saved-query requests that can't be applied (bad input, duplicate name).
+ * Carries the HTTP status for the API response.
+ */
+class SavedQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SavedQueryError";
+    this.status = status;
+  }
+}
+
+// Hand-edited SQL goes through the same guard as generated SQL before it is stored
+function checkQuery(sql, params) {
+  if (!Array.isArray(params)) throw new SavedQueryError("params must be an array");
+  return bindParameters(validateSql(sql), params);
+}
+
+function checkName(name) {
+  if (typeof name !== "string" || !name.trim()) throw new SavedQueryError("name is required");
+  return name.trim();
+}
+
+// Maps the unique constraint on name to a readable conflict
+function rethrowDuplicate(error, name) {
+  if (error.code === "23505") throw new SavedQueryError(`A saved query named "${name}" already exists`, 409);
+  throw error;
+}
+
+/**
+ * Lists saved queries, pinned ones in dashboard order first.
+ * @param {Object} options { pinned: true } to only return the dashboard queries.
+ */
+async function listSavedQueries({ pinned } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS} FROM saved_queries
+     ${pinned ? "WHERE pinned" : ""}
+     ORDER BY pinned DESC, dashboard_position NULLS LAST, name`
+  );
+  return rows;
+}
+
+async function getSavedQuery(id) {
+  const { rows } = await pool.query(`SELECT ${COLUMNS} FROM saved_queries WHERE saved_query_id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Saves a question under a name.
+ * @param {Object} query { name, question, sql, params, pinned }
+ * @returns {Promise<Object>} The stored query.
+ * @throws {SavedQueryError|SqlSafetyError} If the input or the SQL is rejected.
+ */
+async function createSavedQuery({ name, question = null, sql, params = [], pinned = false }) {
+  const cleanName = checkName(name);
+  const bound = checkQuery(sql, params);
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO saved_queries (name, question, sql_query, params, pinned, dashboard_position)
+       VALUES ($1, $2, $3, $4, $5,
+         CASE WHEN $5 THEN (SELECT COALESCE(MAX(dashboard_position), 0) + 1 FROM saved_queries) END)
+       RETURNING ${COLUMNS}`,
+      [cleanName, question, bound.sql, JSON.stringify(bound.params), Boolean(pinned)]
+    );
+    return rows[0];
+  } catch (e) {
+    rethrowDuplicate(e, cleanName);
+  }
+}
+
+/**
+ * Renames, edits the SQL of, or pins/unpins a saved query. Omitted fields are kept.
+ * Newly pinned queries go to the end of the dashboard.
+ * @param {number} id The saved query id.
+ * @param {Object} changes { name, sql, params, pinned }
+ * @returns {Promise<Object|null>} The updated query, or null if it does not exist.
+ */
+async function updateSavedQuery(id, changes) {
+  const current = await getSavedQuery(id);
+  if (!current) return null;
+
+  const name = changes.name !== undefined ? checkName(changes.name) : current.name;
+  const { sql, params } = changes.sql !== undefined || changes.params !== undefined
+    ? checkQuery(changes.sql ?? current.sql, changes.params ?? current.params)
+    : current;
+  const pinned = changes.pinned !== undefined ? Boolean(changes.pinned) : current.pinned;
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE saved_queries SET
+         name = $2, sql_query = $3, params = $4, pinned = $5,
+         dashboard_position = CASE
+           WHEN NOT $5 THEN NULL
+           WHEN pinned THEN dashboard_position
+           ELSE (SELECT COALESCE(MAX(dashboard_position), 0) + 1 FROM saved_queries)
+         END,
+         updated_at = now()
+       WHERE saved_query_id = $1
+       RETURNING ${COLUMNS}`,
+      [id, name, sql, JSON.stringify(params), pinned]
+    );
+    return rows[0];
+  } catch (e) {
+    rethrowDuplicate(e, name);
+  }
+}
+
+async function deleteSavedQuery(id) {
+  const { rowCount } = await pool.query("DELETE FROM saved_queries WHERE saved_query_id = $1", [id]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  listSavedQueries,
+  getSavedQuery,
+  createSavedQuery,
+  updateSavedQuery,
+  deleteSavedQuery,
+  SavedQueryError,
+};
@@ -9,6 +9,19 @@ DROP TABLE IF EXISTS dim_instructor CASCADE;
 DROP TABLE IF EXISTS dim_class CASCADE;
 DROP TABLE IF EXISTS dim_domain CASCADE;
 DROP TABLE IF EXISTS dim_topic CASCADE;
+DROP TABLE IF EXISTS conversation_turns CASCADE;
+DROP TABLE IF EXISTS dim_value_alias CASCADE;
+DROP TABLE IF EXISTS saved_queries CASCADE;
+DROP TABLE IF EXISTS query_log CASCADE;
+DROP TABLE IF EXISTS import_batch_rows CASCADE;
+DROP TABLE IF EXISTS import_batches CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS app_users CASCADE;
+DROP TABLE IF EXISTS llm_usage CASCADE;
+DROP TABLE IF EXISTS answer_cache CASCADE;
+DROP TABLE IF EXISTS sql_examples CASCADE;
+DROP TABLE IF EXISTS answer_feedback CASCADE;
+DROP SEQUENCE IF EXISTS star_schema_version CASCADE;
 
 -- ==========================================
 -- 1. DIMENSION TABLES
@@ -49,6 +62,23 @@ CREATE TABLE dim_topic (
     topic_code TEXT UNIQUE NOT NULL    -- e.g. "Live Class", "Test Review Session"
 );
 
+-- ALIASES
+-- Alternative spellings that resolve to a canonical dimension value,
+-- e.g. "ds" -> Data Science, "kostas" -> Konstantinos Pappas.
+-- Filled by etl/generate_aliases.mjs (generated + curated manual aliases).
+CREATE TABLE dim_value_alias (
+    alias_id BIGSERIAL PRIMARY KEY,
+    entity TEXT NOT NULL CHECK (entity IN ('instructor', 'domain', 'class', 'topic')),
+    canonical TEXT NOT NULL,           -- e.g. "Data Science" (full_name / domain_name / class_name / topic_code)
+    alias TEXT NOT NULL,               -- Always lowercase, e.g. "ds"
+    source TEXT NOT NULL DEFAULT 'generated' CHECK (source IN ('generated', 'manual')),
+
+    -- The same alias may point at several values ("robert" -> Robert Smith, Robert Jones)
+    UNIQUE(entity, alias, canonical)
+);
+
+CREATE INDEX idx_dim_value_alias_alias ON dim_value_alias(alias);
+
 -- ==========================================
 -- 2. FACT TABLE (METRICS)
 -- ==========================================
@@ -73,6 +103,9 @@ CREATE TABLE fact_sessions (
     attended INTEGER DEFAULT 0,       -- Attendance count
     rated_pct NUMERIC(5, 2),          -- 0.00 to 100.00
 
+    -- The upload that last inserted or changed this row (see section 7); NULL for loads outside a batch
+    import_batch_id BIGINT,
+
     -- Constraint: Prevent duplicate session data imports
     UNIQUE(instructor_id, class_id, pst_date, topic_id)
 );
@@ -88,4 +121,345 @@ CREATE INDEX idx_fact_sessions_date ON fact_sessions(pst_date);
 CREATE INDEX idx_fact_sessions_instructor ON fact_sessions(instructor_id);
 
 -- Faster Search on Instructor Names (Optional but good for DB-side debugging)
-CREATE INDEX idx_dim_instructor_fullname ON dim_instructor(full_name);
\ No newline at end of file
+CREATE INDEX idx_dim_instructor_fullname ON dim_instructor(full_name);
+
+-- ==========================================
+-- 4. CONVERSATION MEMORY
+-- ==========================================
+
+-- One row per answered question, so follow-ups ("what about Backend?")
+-- can be answered with the earlier questions, entities and SQL as context.
+-- A conversation belongs to whoever asked in it: only they can read, continue or export it.
+CREATE TABLE conversation_turns (
+    turn_id BIGSERIAL PRIMARY KEY,
+    conversation_id UUID NOT NULL,
+    asked_by TEXT NOT NULL,            -- Username of whoever asked
+    question TEXT NOT NULL,
+    entities JSONB DEFAULT '[]',       -- Terms extracted from the question
+    resolved JSONB DEFAULT '[]',       -- Resolver context lines given to the model
+    sql_query TEXT,
+    params JSONB DEFAULT '[]',         -- Values bound to the $n placeholders in sql_query
+    summary TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_conversation_turns_conversation ON conversation_turns(conversation_id, turn_id);
+
+-- ==========================================
+-- 5. SAVED QUESTIONS & DASHBOARD
+-- ==========================================
+
+-- Named questions with their (possibly hand-edited) SQL, re-run without the LLM.
+-- Pinned queries are shown on the dashboard page, ordered by dashboard_position.
+CREATE TABLE saved_queries (
+    saved_query_id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    question TEXT,                     -- The question the SQL was generated from
+    sql_query TEXT NOT NULL,
+    params JSONB DEFAULT '[]',         -- Values bound to the $n placeholders in sql_query
+    pinned BOOLEAN NOT NULL DEFAULT false,
+    dashboard_position INT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- ==========================================
+-- 6. QUERY LOG (AUDIT & REPLAY)
+-- ==========================================
+
+-- One row per question asked (answered, sent back for clarification, or failed),
+-- with everything needed to audit or replay it.
+CREATE TABLE query_log (
+    log_id BIGSERIAL PRIMARY KEY,
+    conversation_id UUID,
+    source TEXT NOT NULL DEFAULT 'query',  -- query | stream | replay | replay_sql | sql_editor
+    replay_of BIGINT REFERENCES query_log(log_id) ON DELETE SET NULL,
+    asked_by TEXT,                         -- Username of whoever asked
+    question TEXT NOT NULL,
+    selections JSONB DEFAULT '{}',         -- Clarification choices sent with the question
+    entities JSONB DEFAULT '[]',           -- Terms extracted by the model
+    resolutions JSONB DEFAULT '[]',        -- Resolver candidates per term
+    final_prompt TEXT,                     -- Question plus SYSTEM CONTEXT, as sent for SQL generation
+    sql_query TEXT,
+    params JSONB DEFAULT '[]',
+    attempts JSONB DEFAULT '[]',           -- Every SQL attempt and its error
+    row_count INT,
+    timings JSONB DEFAULT '{}',            -- Milliseconds per stage
+    total_ms INT,
+    status TEXT NOT NULL CHECK (status IN ('answered', 'needs_clarification', 'error')),
+    error TEXT,
+    error_code TEXT,
+    data_scope JSONB,                      -- The asker's data scope (see section 9); NULL when unrestricted
+    cache_status TEXT,                     -- hit | sql | miss | bypassed | off (see section 11); NULL without SQL
+    prompt_version TEXT,                   -- "version" of prompts/sql-prompt.json when it was asked
+    examples JSONB DEFAULT '[]',           -- Few-shot examples sent with the question: { id, score } (see section 13)
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_query_log_created ON query_log(created_at DESC);
+CREATE INDEX idx_query_log_conversation ON query_log(conversation_id);
+
+-- ==========================================
+-- 7. IMPORT BATCHES
+-- ==========================================
+
+-- One row per spreadsheet load (upload or etl/load_excel.mjs), with its counts and error report.
+CREATE TABLE import_batches (
+    batch_id BIGSERIAL PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    uploaded_by TEXT,                      -- Username, or cli:<user> for the ETL script
+    status TEXT NOT NULL CHECK (status IN ('loaded', 'failed', 'rolled_back')),
+    total_rows INT NOT NULL DEFAULT 0,
+    inserted INT NOT NULL DEFAULT 0,
+    updated INT NOT NULL DEFAULT 0,
+    unchanged INT NOT NULL DEFAULT 0,
+    rejected INT NOT NULL DEFAULT 0,
+    rejected_rows JSONB DEFAULT '[]',      -- { sheet, row, errors, source } per rejected row
+    sheets JSONB DEFAULT '[]',             -- Column mapping per sheet (auto-detected, unmapped, skipped)
+    new_dimensions JSONB DEFAULT '{}',     -- New domains, topics, instructors and classes
+    error TEXT,                            -- Why a failed import was not loaded
+    created_at TIMESTAMPTZ DEFAULT now(),
+    rolled_back_at TIMESTAMPTZ
+);
+
+ALTER TABLE fact_sessions ADD CONSTRAINT fact_sessions_import_batch_fk
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(batch_id) ON DELETE SET NULL;
+
+-- Every fact a batch inserted (previous IS NULL) or changed (previous holds the old values),
+-- so the batch can be rolled back.
+CREATE TABLE import_batch_rows (
+    batch_id BIGINT NOT NULL REFERENCES import_batches(batch_id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES fact_sessions(session_id) ON DELETE CASCADE,
+    previous JSONB,
+    PRIMARY KEY (batch_id, session_id)
+);
+
+CREATE INDEX idx_import_batches_created ON import_batches(created_at DESC);
+
+-- ==========================================
+-- 8. USERS & SESSIONS
+-- ==========================================
+
+-- Roles are cumulative: a viewer asks questions, an analyst also sees and edits SQL,
+-- an admin also runs imports and manages aliases and users.
+CREATE TABLE app_users (
+    user_id BIGSERIAL PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,         -- Always lowercase
+    display_name TEXT,
+    password_hash TEXT,                    -- scrypt; NULL for users who sign in through OIDC
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'analyst', 'admin')),
+    auth_provider TEXT NOT NULL DEFAULT 'local' CHECK (auth_provider IN ('local', 'oidc')),
+    external_id TEXT UNIQUE,               -- The OIDC subject
+    disabled BOOLEAN NOT NULL DEFAULT false,
+    -- Data scope (see section 9): only sessions in these regions / domains. NULL means no restriction.
+    scope_regions TEXT[],
+    scope_domains TEXT[],
+    created_at TIMESTAMPTZ DEFAULT now(),
+    last_login_at TIMESTAMPTZ
+);
+
+-- Logged-in sessions. Only a hash of the token is stored.
+CREATE TABLE user_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES app_users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+
+-- ==========================================
+-- 9. DATA SCOPES (ROW-LEVEL SECURITY)
+-- ==========================================
+
+-- Generated and saved SQL runs as analytics_reader (see executeReadOnlyQuery in db.js), which
+-- can only read the star schema, and only the sessions inside the asking user's scope.
+-- db.js sets the scope for each transaction in app.data_scope: 'all', or
+-- {"regions": [...], "domains": [...]} where a null list means no restriction on that dimension.
+-- Loads and imports run as the table owner and are not affected.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'analytics_reader') THEN
+        CREATE ROLE analytics_reader NOLOGIN;
+    END IF;
+END
+$$;
+
+GRANT analytics_reader TO CURRENT_USER;
+GRANT USAGE ON SCHEMA public TO analytics_reader;
+GRANT SELECT ON fact_sessions, dim_instructor, dim_class, dim_domain, dim_topic TO analytics_reader;
+
+-- A session is in scope when its class or its instructor is in one of the regions, and its
+-- domain is one of the domains. Without app.data_scope set, nothing is.
+CREATE OR REPLACE FUNCTION session_in_scope(p_class_id UUID, p_instructor_id UUID, p_domain_id UUID)
+RETURNS BOOLEAN LANGUAGE plpgsql STABLE AS $$
+DECLARE
+    setting TEXT := current_setting('app.data_scope', true);
+    scope JSONB;
+BEGIN
+    IF setting = 'all' THEN RETURN true; END IF;
+    IF setting IS NULL OR setting = '' THEN RETURN false; END IF;
+    scope := setting::jsonb;
+
+    IF jsonb_typeof(scope->'regions') = 'array' AND NOT EXISTS (
+        SELECT 1 FROM dim_class c WHERE c.class_id = p_class_id AND scope->'regions' ? c.region
+        UNION ALL
+        SELECT 1 FROM dim_instructor i WHERE i.instructor_id = p_instructor_id AND scope->'regions' ? i.region
+    ) THEN
+        RETURN false;
+    END IF;
+
+    IF jsonb_typeof(scope->'domains') = 'array' AND NOT EXISTS (
+        SELECT 1 FROM dim_domain d WHERE d.domain_id = p_domain_id AND scope->'domains' ? d.domain_name
+    ) THEN
+        RETURN false;
+    END IF;
+
+    RETURN true;
+END
+$$;
+
+ALTER TABLE fact_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY fact_sessions_in_scope ON fact_sessions FOR SELECT TO analytics_reader
+    USING (session_in_scope(class_id, instructor_id, domain_id));
+
+-- ==========================================
+-- 10. LLM USAGE
+-- ==========================================
+
+-- One row per LLM call (extraction, SQL generation, summary), for daily quotas and cost reports.
+CREATE TABLE llm_usage (
+    usage_id BIGSERIAL PRIMARY KEY,
+    log_id BIGINT,                         -- The question (query_log) it was made for; no foreign key, so usage outlives pruned logs
+    username TEXT,
+    client_ip TEXT,
+    stage TEXT NOT NULL,                   -- extraction | sql | summary
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INT NOT NULL DEFAULT 0,
+    completion_tokens INT NOT NULL DEFAULT 0,
+    total_tokens INT NOT NULL DEFAULT 0,
+    estimated BOOLEAN NOT NULL DEFAULT false,  -- The provider reported no usage; counted from the text length
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,  -- From the model's price per million tokens (see usage.js)
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX idx_llm_usage_user_created ON llm_usage(username, created_at);
+CREATE INDEX idx_llm_usage_created ON llm_usage(created_at);
+
+-- ==========================================
+-- 11. ANSWER CACHE
+-- ==========================================
+
+-- Bumped by every statement that changes the star schema (loads, uploads, rollbacks, manual fixes),
+-- so cached rows and summaries from before the change are no longer served.
+CREATE SEQUENCE star_schema_version;
+
+CREATE OR REPLACE FUNCTION bump_star_schema_version() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+    PERFORM nextval('star_schema_version');
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER fact_sessions_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON fact_sessions
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_star_schema_version();
+CREATE TRIGGER dim_instructor_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON dim_instructor
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_star_schema_version();
+CREATE TRIGGER dim_class_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON dim_class
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_star_schema_version();
+CREATE TRIGGER dim_domain_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON dim_domain
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_star_schema_version();
+CREATE TRIGGER dim_topic_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON dim_topic
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_star_schema_version();
+
+-- One row per question (normalized question + resolved entities, see answerCache.js) and data scope.
+-- The SQL is reused for any scope; data and summary only for the same scope at the same data_version.
+CREATE TABLE answer_cache (
+    cache_key TEXT NOT NULL,               -- SHA-256 of the normalized question, entities and earlier turns
+    scope_key TEXT NOT NULL,               -- 'all', or the asker's data scope as JSON
+    question TEXT NOT NULL,                -- As first asked, for reading the table
+    sql_query TEXT NOT NULL,
+    params JSONB DEFAULT '[]',
+    data JSONB,                            -- The rows; NULL when the result was too large to cache
+    summary TEXT,
+    data_version BIGINT NOT NULL,          -- star_schema_version when the SQL ran
+    created_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (cache_key, scope_key)
+);
+
+CREATE INDEX idx_answer_cache_created ON answer_cache(created_at);
+
+-- ==========================================
+-- 12. SCHEMA DESCRIPTIONS (SQL PROMPT)
+-- ==========================================
+
+-- The SQL prompt describes the star schema from the catalog (see schemaPrompt.js): tables, columns,
+-- types and joins, plus these comments. Business rules live in prompts/sql-prompt.json.
+COMMENT ON TABLE fact_sessions IS 'One row per class session, with its ratings and attendance.';
+COMMENT ON COLUMN fact_sessions.session_id IS 'Unique ID for every single class session.';
+COMMENT ON COLUMN fact_sessions.pst_date IS 'The master date, recorded in Pacific Time. ALWAYS use it for when / year / month / quarter filters.';
+COMMENT ON COLUMN fact_sessions.average_rating IS 'The score (1.00 to 5.00) given by students. Use it for performance, CSAT or quality.';
+COMMENT ON COLUMN fact_sessions.responses IS 'Students who submitted a rating. The weight for weighted averages (few responses = low confidence).';
+COMMENT ON COLUMN fact_sessions.attended IS 'Total headcount of students in the class. Use it for popularity, traffic or attendance.';
+COMMENT ON COLUMN fact_sessions.rated_pct IS 'responses / attended * 100. Use it for engagement or response rate.';
+
+COMMENT ON TABLE dim_instructor IS 'Instructors.';
+COMMENT ON COLUMN dim_instructor.full_name IS 'The instructor''s complete name (e.g. ''Konstantinos Pappas'').';
+COMMENT ON COLUMN dim_instructor.region IS 'INSTRUCTOR REGION: where the teacher lives. Not the class timing or audience.';
+
+COMMENT ON TABLE dim_class IS 'Classes (the specific subject taught).';
+COMMENT ON COLUMN dim_class.class_name IS 'The specific subject title (e.g. ''System Design - Scalability'').';
+COMMENT ON COLUMN dim_class.region IS 'CLASS REGION: the audience the class was scheduled for (''US'' means US students).';
+
+COMMENT ON TABLE dim_domain IS 'High-level categories of classes.';
+COMMENT ON COLUMN dim_domain.domain_name IS 'The category (e.g. ''Data Science'', ''Backend'', ''Full Stack'').';
+
+COMMENT ON TABLE dim_topic IS 'Types of session.';
+COMMENT ON COLUMN dim_topic.topic_code IS '''Live Class'' = standard teaching, ''Test Review'' = reviewing exam questions, ''Career Skills'' = non-technical soft skills.';
+
+-- ==========================================
+-- 13. SQL EXAMPLE LIBRARY
+-- ==========================================
+
+-- Verified question -> SQL pairs added after the curated seeds in prompts/sql-examples.json,
+-- from a thumbs up on an answer (feedback) or typed in (manual). The most similar ones are
+-- sent to the model with each question (see examples.js).
+CREATE TABLE sql_examples (
+    example_id BIGSERIAL PRIMARY KEY,
+    question TEXT NOT NULL,
+    sql_query TEXT NOT NULL,               -- Literal values, no bind parameters
+    source TEXT NOT NULL CHECK (source IN ('feedback', 'manual')),
+    log_id BIGINT,                         -- The answer it was promoted from; no foreign key, so examples outlive pruned logs
+    added_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX idx_sql_examples_question ON sql_examples(lower(question));
+
+-- ==========================================
+-- 14. ANSWER FEEDBACK
+-- ==========================================
+
+-- Thumbs up/down on an answer, one per user and answer. The question and the SQL it ran
+-- (bound values written in) are copied from the query log; reviewers promote verified
+-- corrections into sql_examples (see feedback.js).
+CREATE TABLE answer_feedback (
+    feedback_id BIGSERIAL PRIMARY KEY,
+    log_id BIGINT NOT NULL,                -- The answer rated; no foreign key, so feedback outlives pruned logs
+    username TEXT NOT NULL,
+    rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+    comment TEXT,
+    question TEXT NOT NULL,
+    generated_sql TEXT,
+    corrected_sql TEXT,                    -- The user's fix, if they gave one
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'promoted', 'dismissed')),
+    example_id BIGINT,                     -- The example it was promoted to
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    UNIQUE (log_id, username)
+);
+
+CREATE INDEX idx_answer_feedback_review ON answer_feedback(rating, status, feedback_id DESC);
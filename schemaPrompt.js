@@ -0,0 +1,192 @@
+// schemaPrompt.js
+// Builds the SQL system prompt: the star schema is read from the database catalog, and the
+// business rules come from a versioned prompt-config file (prompts/sql-prompt.json).
+// Worked examples are picked per question from the example library (see examples.js).
+
+const fs = require("fs");
+const path = require("path");
+const { escapeIdentifier } = require("pg");
+const { pool } = require("./db");
+const { ALLOWED_TABLES } = require("./sqlGuard");
+
+const CONFIG_PATH = process.env.SQL_PROMPT_CONFIG || path.join(__dirname, "prompts", "sql-prompt.json");
+
+// Text columns with at most this many distinct values have them listed in the prompt
+const DEFAULT_MAX_SAMPLES = 12;
+
+// Current prompt; replaced in one step when a refresh succeeds
+const promptState = { prompt: null, version: null, loadedAt: null, refreshing: null };
+
+/**
+ * Reads and checks the prompt-config file.
+ * @param {string} file Path to the JSON file.
+ * @returns {Object} { version, role, tables, hiddenColumns, samples, rules, output }
+ */
+function loadPromptConfig(file = CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!config.version) throw new Error(`${file}: "version" is required.`);
+  if (!Array.isArray(config.rules)) throw new Error(`${file}: "rules" must be a list.`);
+  return {
+    tables: {},
+    hiddenColumns: [],
+    samples: {},
+    ...config,
+    version: String(config.version),
+  };
+}
+
+/**
+ * Describes the analytics tables from information_schema and pg_catalog: columns, types,
+ * comments, foreign-key joins between them, and the values of low-cardinality text columns.
+ * @param {Object} config From loadPromptConfig (hidden columns and sample settings).
+ * @returns {Promise<Array<{name, comment, columns: Array<{name, type, comment, samples, references}>}>>}
+ */
+async function introspectSchema(config) {
+  const tables = [...ALLOWED_TABLES];
+  const hidden = new Set(config.hiddenColumns);
+  const noSamples = new Set(config.samples.exclude || []);
+  const maxSamples = config.samples.maxDistinct ?? DEFAULT_MAX_SAMPLES;
+
+  const { rows: tableRows } = await pool.query(
+    `SELECT c.relname AS name, obj_description(c.oid, 'pg_class') AS comment
+     FROM pg_class c
+     WHERE c.relnamespace = 'public'::regnamespace AND c.relname = ANY($1)`,
+    [tables]
+  );
+  const { rows: columnRows } = await pool.query(
+    `SELECT c.table_name, c.column_name, c.data_type,
+       col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position) AS comment
+     FROM information_schema.columns c
+     WHERE c.table_schema = 'public' AND c.table_name = ANY($1)
+     ORDER BY c.ordinal_position`,
+    [tables]
+  );
+  const { rows: keyRows } = await pool.query(
+    `SELECT src.relname AS table_name, a.attname AS column_name, dst.relname AS ref_table, b.attname AS ref_column
+     FROM pg_constraint con
+     JOIN pg_class src ON src.oid = con.conrelid
+     JOIN pg_class dst ON dst.oid = con.confrelid
+     JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+     JOIN pg_attribute b ON b.attrelid = con.confrelid AND b.attnum = con.confkey[1]
+     WHERE con.contype = 'f' AND src.relnamespace = 'public'::regnamespace AND src.relname = ANY($1)`,
+    [tables]
+  );
+
+  const schema = [];
+  // Keep the sqlGuard order: the fact table first, then the dimensions
+  for (const name of tables) {
+    const table = tableRows.find(t => t.name === name);
+    if (!table) continue;
+
+    const columns = [];
+    for (const column of columnRows.filter(c => c.table_name === name)) {
+      const id = `${name}.${column.column_name}`;
+      if (hidden.has(id)) continue;
+
+      const key = keyRows.find(k => k.table_name === name && k.column_name === column.column_name);
+      const samples = column.data_type === "text" && !noSamples.has(id) && maxSamples > 0
+        ? await sampleValues(name, column.column_name, maxSamples)
+        : null;
+      columns.push({
+        name: column.column_name,
+        type: column.data_type,
+        comment: column.comment,
+        samples,
+        references: key && ALLOWED_TABLES.has(key.ref_table) ? { table: key.ref_table, column: key.ref_column } : null,
+      });
+    }
+    schema.push({ name, comment: table.comment, columns });
+  }
+  return schema;
+}
+
+// The distinct values of a column, or null when it has more than `max` of them
+async function sampleValues(table, column, max) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ${escapeIdentifier(column)} AS value FROM ${escapeIdentifier(table)}
+     WHERE ${escapeIdentifier(column)} IS NOT NULL ORDER BY 1 LIMIT $1`,
+    [max + 1]
+  );
+  return rows.length > 0 && rows.length <= max ? rows.map(r => r.value) : null;
+}
+
+const aliasOf = (config, table) => (config.tables[table] && config.tables[table].alias) || table;
+const lines = (value) => (Array.isArray(value) ? value.join("\n") : value);
+
+/**
+ * Writes the system prompt for SQL generation from the introspected schema and the config.
+ * @param {Array} schema From introspectSchema.
+ * @param {Object} config From loadPromptConfig.
+ * @returns {string}
+ */
+function buildSqlPrompt(schema, config) {
+  const tableSections = schema.map((table) => {
+    const columns = table.columns.map((column) => {
+      const notes = [];
+      if (column.references) notes.push(`References ${column.references.table}.${column.references.column}.`);
+      if (column.comment) notes.push(column.comment);
+      if (column.samples) notes.push(`Values: ${column.samples.map(v => `'${v}'`).join(", ")}.`);
+      return `- ${column.name} (${column.type})${notes.length > 0 ? ": " + notes.join(" ") : ""}`;
+    });
+    const heading = `**${table.name} (alias: ${aliasOf(config, table.name)})**${table.comment ? " " + table.comment : ""}`;
+    return [heading, ...columns].join("\n");
+  });
+
+  const joins = schema.flatMap(table => table.columns.filter(c => c.references).map((column) => {
+    const from = aliasOf(config, table.name);
+    const to = aliasOf(config, column.references.table);
+    return `- \`JOIN ${column.references.table} ${to} ON ${from}.${column.name} = ${to}.${column.references.column}\``;
+  }));
+
+  const rules = config.rules.map((rule, i) => `${i + 1}. ${lines(rule).replace(/\n/g, "\n    ")}`);
+
+  return [
+    config.role,
+    "### **1. DATABASE SCHEMA (Star Schema)**",
+    ...tableSections,
+    `**Joins:**\n${joins.join("\n")}`,
+    "### **2. CRITICAL RULES**",
+    rules.join("\n\n"),
+    config.output ? `**OUTPUT:** ${config.output}` : null,
+  ].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Re-reads the config and the catalog and swaps in the new prompt. If either fails the
+ * previous prompt stays in place. Concurrent calls share one refresh.
+ * @returns {Promise<{prompt: string, version: string, loadedAt: string}>}
+ */
+function refreshSqlPrompt() {
+  if (promptState.refreshing) return promptState.refreshing;
+
+  promptState.refreshing = (async () => {
+    try {
+      const config = loadPromptConfig();
+      const schema = await introspectSchema(config);
+      Object.assign(promptState, {
+        prompt: buildSqlPrompt(schema, config), version: config.version, loadedAt: new Date().toISOString()
+      });
+      console.log(`[Prompt] Built the SQL prompt (version ${config.version}) from ${schema.length} tables.`);
+      return getSqlPrompt();
+    } catch (e) {
+      console.error("[Prompt] Failed to build the SQL prompt:", e.message);
+      throw e;
+    } finally {
+      promptState.refreshing = null;
+    }
+  })();
+
+  return promptState.refreshing;
+}
+
+// Builds the prompt on first use (startup or a serverless cold start)
+async function loadSqlPrompt() {
+  return promptState.prompt ? getSqlPrompt() : refreshSqlPrompt();
+}
+
+function getSqlPrompt() {
+  const { prompt, version, loadedAt } = promptState;
+  return { prompt, version, loadedAt };
+}
+
+module.exports = { loadPromptConfig, introspectSchema, buildSqlPrompt, refreshSqlPrompt, loadSqlPrompt };
@@ -1,18 +1,55 @@
 // server.js
 const express = require("express");
 const cors = require("cors");
-const Fuse = require("fuse.js"); 
-const { Pool } = require("pg");
 const path = require("path"); 
+const crypto = require("crypto");
 require("dotenv").config();
 
 const { getAiSql, getAiSummary, extractEntities } = require("./ai");
+const { LlmError } = require("./llm");
+const { pool, executeReadOnlyQuery } = require("./db");
+const {
+  ensureCachesLoaded, refreshCaches, getCacheStatus, resolveEntities, getAmbiguities, buildContextMessages,
+  InvalidSelectionError, CacheUnavailableError
+} = require("./resolver");
+const { validateSql, bindParameters, inlineParameters, SqlSafetyError } = require("./sqlGuard");
+const {
+  getHistory, getTurn, appendTurn, checkConversationOwner, newConversationId, isValidConversationId, ConversationError
+} = require("./conversations");
+const { buildExport, EXPORT_FORMATS } = require("./exporter");
+const {
+  listSavedQueries, getSavedQuery, createSavedQuery, updateSavedQuery, deleteSavedQuery, SavedQueryError
+} = require("./savedQueries");
+const { createQueryLog, listQueryLog, getQueryLogEntry } = require("./queryLog");
+const { importUpload, listImports, getImport, rollbackImport, ImportError } = require("./imports");
+const {
+  hasRole, login, loginWithOidc, getSessionUser, endSession, listUsers, createUser, updateUser, AuthError
+} = require("./auth");
+const { listAliases, createAlias, deleteAlias, AliasError } = require("./aliases");
+const { recordUsage, checkUsageLimits, getUsageReport, UsageLimitError } = require("./usage");
+const { loadSqlPrompt, refreshSqlPrompt } = require("./schemaPrompt");
+const {
+  findSimilarExamples, listExamples, addExample, addExampleFromLog, deleteExample, ExampleError
+} = require("./examples");
+const {
+  submitFeedback, listFeedback, runFeedbackSql, promoteFeedback, dismissFeedback, FeedbackError, RATINGS, STATUSES
+} = require("./feedback");
+const { explainSql, ExplainError } = require("./explainer");
+const { isAnswerCacheEnabled, answerCacheKey, lookupAnswer, storeAnswer, forgetAnswer } = require("./answerCache");
 
 const app = express();
 const PORT = process.env.PORT || 3001; 
-const pool = new Pool({ connectionString: process.env.NEON_DATABASE_URL });
+const MAX_SQL_ATTEMPTS = Math.max(1, parseInt(process.env.SQL_MAX_ATTEMPTS, 10) || 3);
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || "20mb";
+// Origins allowed to call the API from another site (comma-separated); none by default
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
 
-app.use(cors());
+// Behind a proxy (e.g. Vercel), TRUST_PROXY makes req.ip the client's address for the per-IP rate limit:
+// "true", a hop count, or a list of proxy addresses
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY === "true" ? true : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json());
 
 // 0. STATIC FILE SERVING
@@ -26,159 +63,985 @@ app.get("/instructions", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "instructions.html"));
 });
 
+app.get("/dashboard", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "dashboard.html"));
+});
+
+app.get("/imports", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "imports.html"));
+});
+
+app.get("/feedback", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "feedback.html"));
+});
+
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "login.html"));
+});
+
 // ==========================================
-// 1. MULTI-ENTITY CACHING
+// 1. AUTHENTICATION
 // ==========================================
-const caches = {
-  instructors: null,
-  domains: null,
-  classes: null,
-  topics: null
-};
+const SESSION_COOKIE = "session";
+// AUTH_DISABLED=true (local development only) treats every request as this admin
+const DEV_USER = { id: null, username: "dev", display_name: "Local development", role: "admin", scope: null };
+// Scripts that send ADMIN_TOKEN as a bearer token (e.g. etl/refresh_cache.mjs)
+const SERVICE_USER = { id: null, username: "admin-token", display_name: "Admin token", role: "admin", scope: null };
 
-// CRITICAL FIX: Make this robust for Serverless
-async function ensureCachesLoaded() {
-  // If we already have data, skip reloading
-  if (caches.instructors) return;
+// The session token from "Authorization: Bearer ..." or the session cookie
+function readSessionToken(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  const cookie = (req.get("Cookie") || "").split(";").map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
 
+// Compares SHA-256 digests so the check takes as long whatever the token and however much of it matches
+function matchesAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || !token) return false;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
+
+// Sets req.user (or leaves it null) for every API request
+async function authenticate(req, res, next) {
+  if (process.env.AUTH_DISABLED === "true") {
+    req.user = DEV_USER;
+    return next();
+  }
   try {
-    console.log("[Cache] Starting Lazy Load...");
+    const token = readSessionToken(req);
+    req.user = matchesAdminToken(token) ? SERVICE_USER : await getSessionUser(token);
+    next();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+}
 
-    // Instructors
-    const resInstr = await pool.query("SELECT first_name, last_name, full_name FROM dim_instructor");
-    caches.instructors = new Fuse(resInstr.rows, {
-      includeScore: true,
-      threshold: 0.4,
-      keys: [
-        { name: "first_name", weight: 2.0 },
-        { name: "last_name", weight: 2.0 },
-        { name: "full_name", weight: 1.0 }
-      ]
-    });
+// 401 without a session, 403 when the user's role is below `role` (viewer < analyst < admin)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Please log in" });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `This requires the ${role} role` });
+    next();
+  };
+}
 
-    // Domains
-    const resDomain = await pool.query("SELECT domain_name FROM dim_domain");
-    caches.domains = new Fuse(resDomain.rows, { includeScore: true, threshold: 0.4, keys: ["domain_name"] });
+const requireAnalyst = requireRole("analyst");
+const requireAdmin = requireRole("admin");
 
-    // Classes
-    const resClass = await pool.query("SELECT class_name FROM dim_class");
-    caches.classes = new Fuse(resClass.rows, { includeScore: true, threshold: 0.4, keys: ["class_name"] });
+// Everything under /api needs a logged-in user, except logging in and the health check
+const PUBLIC_API_PATHS = new Set(["/auth/login", "/auth/oidc", "/health"]);
+app.use("/api", authenticate, (req, res, next) => {
+  if (PUBLIC_API_PATHS.has(req.path)) return next();
+  requireRole("viewer")(req, res, next);
+});
 
-    // Topics
-    const resTopic = await pool.query("SELECT topic_code FROM dim_topic");
-    caches.topics = new Fuse(resTopic.rows, { includeScore: true, threshold: 0.4, keys: ["topic_code"] });
+// Viewers get answers without the SQL behind them; analysts and admins see everything
+function hideSqlFrom(req, body) {
+  if (hasRole(req.user, "analyst")) return body;
+  const { sql, params, attempts, ...visible } = body;
+  return visible;
+}
 
-    console.log(`[Cache] Loaded ${resInstr.rows.length} Instructors.`);
+// Rate limits and the daily token quota, for routes that call the LLM. 429 with the reset time.
+async function limitLlmUsage(req, res, next) {
+  try {
+    await checkUsageLimits({ username: req.user.username, ip: req.ip });
+    next();
   } catch (e) {
-    console.error("[Cache] Load Error:", e);
+    setRetryAfter(res, e);
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+}
+
+function setRetryAfter(res, error) {
+  if (error instanceof UsageLimitError) {
+    res.set("Retry-After", String(Math.max(1, Math.ceil((error.resetAt - Date.now()) / 1000))));
   }
 }
 
+// Sets the session cookie and also returns the token, for API clients that send it as a bearer token
+function startSession(res, { user, token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true, sameSite: "lax", secure: process.env.NODE_ENV === "production", expires: expiresAt, path: "/",
+  });
+  res.json({ user, token, expiresAt });
+}
+
+// Body: { username, password }
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    startSession(res, await login(username, password));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Body: { idToken } from the identity provider configured with AUTH_OIDC_PROVIDER
+app.post("/api/auth/oidc", async (req, res) => {
+  try {
+    startSession(res, await loginWithOidc((req.body || {}).idToken));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await endSession(readSessionToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: "/" }).status(204).end();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
 // ==========================================
-// 2. AMBIGUITY-AWARE RESOLVER
+// 2. MAIN API
 // ==========================================
-function resolveTerm(term) {
-  let allMatches = [];
+app.post("/api/query", limitLlmUsage, async (req, res) => {
+  const request = parseQueryRequest(req.body);
+  if (request.error) return res.status(400).json({ error: request.error });
 
-  // Helper to collect matches
-  const collect = (fuse, type, field) => {
-    if (!fuse) return;
-    const results = fuse.search(term);
-    results.forEach(r => {
-      allMatches.push({
-        category: type,
-        value: r.item[field],
-        score: r.score
-      });
-    });
+  const { status, body } = await runLoggedQuery(request, { source: "query", user: req.user, clientIp: req.ip });
+  res.status(status).json(hideSqlFrom(req, body));
+});
+
+// Same pipeline as /api/query, streamed as newline-delimited JSON. Each line is one stage:
+//   { "event": "entities" }, { "event": "resolved" }, { "event": "sql" }, { "event": "attempt_failed" },
+//   { "event": "rows" }, { "event": "summary_token" } (repeated), then { "event": "result" } with the
+//   same body /api/query returns, or { "event": "error" } with the error body and HTTP status.
+// Answers served from the cache send { "event": "sql", "cache": "hit" | "sql" } and the whole summary as one token.
+// Viewers don't get the sql and attempt_failed events.
+app.post("/api/query/stream", limitLlmUsage, async (req, res) => {
+  const request = parseQueryRequest(req.body);
+  if (request.error) return res.status(400).json({ error: request.error });
+
+  res.set({
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "X-Accel-Buffering": "no" // Stop proxies (nginx) from buffering the stream
+  });
+  res.flushHeaders();
+
+  const showSql = hasRole(req.user, "analyst");
+  const emit = (event, payload) => {
+    if (!showSql && (event === "sql" || event === "attempt_failed")) return;
+    if (!res.writableEnded) res.write(JSON.stringify({ event, ...payload }) + "\n");
+  };
+
+  const { status, body } = await runLoggedQuery(request, { emit, source: "stream", user: req.user, clientIp: req.ip });
+  if (status === 200) emit("result", hideSqlFrom(req, body));
+  else emit("error", { status, ...hideSqlFrom(req, body) });
+  res.end();
+});
+
+// SQL edited by an analyst. Body: { sql, params, question, conversationId, summarize }.
+// The SQL goes through the same guard and read-only path as generated SQL; `params` are the
+// answer's bound values ($1, $2, ...). summarize: true writes a new summary (an LLM call, so it
+// counts against the rate limits). With a conversationId the result becomes the conversation's
+// latest turn, so follow-ups and exports use the edited SQL; other users' conversations are a 404.
+app.post("/api/query/sql", requireAnalyst, async (req, res) => {
+  const { sql, params = [], question, conversationId = null, summarize = false } = req.body || {};
+  if (!sql || typeof sql !== "string") return res.status(400).json({ error: "sql is required" });
+  if (!Array.isArray(params)) return res.status(400).json({ error: "params must be an array" });
+  if (!question || typeof question !== "string") return res.status(400).json({ error: "question is required" });
+  if (conversationId && !isValidConversationId(conversationId)) return res.status(400).json({ error: "Invalid conversationId" });
+
+  try {
+    if (summarize) await checkUsageLimits({ username: req.user.username, ip: req.ip });
+    res.json(await runEditedSql({ sql, params, question, conversationId, summarize: Boolean(summarize) }, req.user, req.ip));
+  } catch (e) {
+    setRetryAfter(res, e);
+    const { status, body } = toErrorResponse(e, conversationId);
+    res.status(status).json({ ...body, logId: e.logId });
+  }
+});
+
+// Validates the body shared by /api/query and /api/query/stream
+// selections: the user's answers to a previous needs_clarification response
+// clarify: false skips the clarification step and lets the model match any candidate
+// cache: false skips the answer cache (the fresh answer still replaces the cached one)
+function parseQueryRequest(body = {}) {
+  const { query: userQuery, selections = {}, clarify = true } = body;
+  if (!userQuery) return { error: "Query required" };
+  if (!selections || typeof selections !== "object" || Array.isArray(selections)) {
+    return { error: "selections must be an object of term -> { category, value }" };
+  }
+  if (body.conversationId && !isValidConversationId(body.conversationId)) {
+    return { error: "Invalid conversationId" };
+  }
+
+  return {
+    userQuery,
+    selections,
+    clarify,
+    useCache: body.cache !== false,
+    isFollowUp: Boolean(body.conversationId),
+    conversationId: body.conversationId || newConversationId()
   };
+}
+
+// Answers a question for `user` (only over the sessions in their data scope) and writes its
+// query-log entry and LLM usage, whatever the outcome. Returns the HTTP status and body; both include the `logId` of the entry.
+async function runLoggedQuery(request, { emit = () => {}, source, replayOf = null, user, clientIp = null }) {
+  const log = createQueryLog({
+    question: request.userQuery, conversationId: request.conversationId, selections: request.selections,
+    source, replayOf, askedBy: user.username, scope: user.scope
+  });
+  const calls = [];
+  const onUsage = (call) => calls.push(call);
+
+  let result;
+  try {
+    const body = await answerQuery(request, { emit, log, scope: user.scope, owner: user.username, onUsage });
+    const logId = await log.finish(body.status);
+    result = { logId, status: 200, body: { ...body, logId } };
+  } catch (error) {
+    const logId = await log.finish("error", error);
+    const { status, body } = toErrorResponse(error, request.conversationId);
+    result = { logId, status, body: { ...body, logId } };
+  }
+  await recordUsage({ logId: result.logId, username: user.username, clientIp, calls });
+  return { status: result.status, body: result.body };
+}
 
-  collect(caches.instructors, "instructor", "full_name");
-  collect(caches.domains, "domain", "domain_name");
-  collect(caches.classes, "class", "class_name");
-  collect(caches.topics, "topic", "topic_code");
+// Runs the whole question -> answer pipeline. `emit(event, payload)` is told about each
+// stage as it completes; the JSON endpoint ignores it, the streaming endpoint forwards it.
+// `log` times each stage and collects what the query log records. `scope` limits the sessions the SQL can see.
+// `onUsage` is told the token usage of every LLM call. Repeated questions are served from the answer cache.
+// `owner` is the asker's username; follow-ups only continue their own conversations.
+async function answerQuery(
+  { userQuery, selections, clarify, useCache = true, isFollowUp, conversationId }, { emit, log, scope, owner, onUsage }
+) {
+  // --- CRITICAL FIX START ---
+  // Ensure caches are loaded before we try to resolve anything
+  await log.time("cache", () => ensureCachesLoaded());
+  // --- CRITICAL FIX END ---
 
-  allMatches = allMatches.filter(m => m.score < 0.4);
-  allMatches.sort((a, b) => a.score - b.score);
+  // The SQL prompt is built from the database catalog on first use
+  const { version: promptVersion } = await log.time("prompt", () => loadSqlPrompt());
+  log.record({ promptVersion });
 
-  if (allMatches.length === 0) return [];
+  // Earlier turns of this conversation (empty for a new one)
+  if (isFollowUp) await checkConversationOwner(conversationId, owner);
+  const history = isFollowUp ? await log.time("history", () => getHistory(conversationId, owner)) : [];
 
-  const bestScore = allMatches[0].score;
-  const threshold = bestScore + 0.05; 
+  // Step 1: Extract entities
+  const entities = await log.time("extraction", () => extractEntities(userQuery, { onUsage }));
+  log.record({ entities });
+  emit("entities", { entities });
+
+  // Step 2: Resolve each term against the dimension caches
+  const resolutions = await log.time("resolution", async () => resolveEntities(entities, selections));
+  log.record({ resolutions });
+  emit("resolved", { resolutions: resolutions.map(({ term, candidates }) => ({ term, candidates })) });
+
+  // Ambiguous terms stop here: the user picks the entity they meant and resends with `selections`
+  const ambiguities = getAmbiguities(resolutions);
+  if (clarify && ambiguities.length > 0) {
+    console.log(`[Clarify] ${ambiguities.map(a => `"${a.term}"`).join(", ")} need clarification.`);
+    return { status: "needs_clarification", clarifications: ambiguities, conversationId };
+  }
+
+  const { contextMessages, params } = buildContextMessages(resolutions);
+
+  const contextString = contextMessages.length > 0 
+    ? "\n\n(SYSTEM CONTEXT:\n" + contextMessages.join("\n") + "\n)" 
+    : "";
   
-  const topCandidates = allMatches.filter(m => m.score <= threshold);
-  return topCandidates.slice(0, 5); 
-}
-
-// ==========================================
-// 3. MAIN API
-// ==========================================
-app.post("/api/query", async (req, res) => {
-  const { query: userQuery } = req.body;
-  if (!userQuery) return res.status(400).json({ error: "Query required" });
-
-  try {
-    // --- CRITICAL FIX START ---
-    // Ensure caches are loaded before we try to resolve anything
-    await ensureCachesLoaded();
-    // --- CRITICAL FIX END ---
-
-    // Step 1: Extract entities
-    const entities = await extractEntities(userQuery);
-    
-    let contextMessages = [];
-
-    // Step 2: Resolve each term
-    for (const term of entities) {
-      const candidates = resolveTerm(term);
-      
-      if (candidates.length === 1) {
-        const match = candidates[0];
-        console.log(`[Match] "${term}" -> ${match.value} (${match.category})`);
-        
-        if (match.category === 'instructor') 
-          contextMessages.push(`User means Instructor '${match.value}'. Filter by di.full_name = '${match.value}'`);
-        else if (match.category === 'domain') 
-          contextMessages.push(`User means Domain '${match.value}'. Filter by dd.domain_name = '${match.value}'`);
-        else if (match.category === 'class') 
-          contextMessages.push(`User means Class '${match.value}'. Filter by dc.class_name = '${match.value}'`);
-        else if (match.category === 'topic') 
-          contextMessages.push(`User means Topic '${match.value}'. Filter by dt.topic_code = '${match.value}'`);
-
-      } else if (candidates.length > 1) {
-        console.log(`[Ambiguity] "${term}" matched ${candidates.length} items.`);
-        const names = candidates.map(c => `'${c.value}'`).join(", ");
-        contextMessages.push(
-          `The term '${term}' is ambiguous and matches multiple entities: ${names}. ` +
-          `Filter by checking if the name/title is IN (${names}) OR matches the partial term.`
-        );
+  const finalPrompt = userQuery + contextString;
+  log.record({ finalPrompt });
+
+  // Step 3: Reuse the answer (or at least the SQL) of the same question with the same entities
+  const cacheKey = isAnswerCacheEnabled() ? answerCacheKey({ question: userQuery, contextMessages, params, history, promptVersion }) : null;
+  const cached = cacheKey
+    ? await log.time("answer_cache", () => lookupAnswer(cacheKey, scope, { bypass: !useCache }))
+    : null;
+  const cache = { status: !cacheKey ? "off" : useCache ? "miss" : "bypassed", cachedAt: null };
+
+  let sqlQuery, sqlParams, rows, attempts, summary;
+  if (cached && cached.answer) {
+    ({ sql: sqlQuery, params: sqlParams } = cached);
+    ({ data: rows, summary } = cached.answer);
+    attempts = [];
+    Object.assign(cache, { status: "hit", cachedAt: cached.createdAt });
+    emit("sql", { sql: sqlQuery, params: sqlParams, cache: cache.status });
+  } else if (cached && cached.sql) {
+    rows = await log.time("sql_execution", () => runStoredQuery(cached.sql, cached.params, scope)).catch(async (error) => {
+      console.warn(`[AnswerCache] Cached SQL failed, generating it again: ${error.message}`);
+      await forgetAnswer(cacheKey);
+      return null;
+    });
+    if (rows) {
+      ({ sql: sqlQuery, params: sqlParams } = cached);
+      attempts = [];
+      Object.assign(cache, { status: "sql", cachedAt: cached.createdAt });
+      emit("sql", { sql: sqlQuery, params: sqlParams, cache: cache.status });
+    }
+  }
+
+  // Step 4: Otherwise generate, validate and run the SQL, letting the model fix its own mistakes.
+  // The verified examples most similar to the question go with it.
+  if (!rows) {
+    const examples = await log.time("examples", () => findSimilarExamples(userQuery));
+    log.record({ examples: examples.map(({ id, score }) => ({ id, score })) });
+    ({ sql: sqlQuery, params: sqlParams, rows, attempts } = await generateAndRunSql(finalPrompt, history, params, { emit, log, scope, onUsage, examples }));
+  }
+  log.record({ sql: sqlQuery, params: sqlParams, attempts, rowCount: rows.length, cacheStatus: cache.status });
+  emit("rows", { data: rows });
+
+  if (cache.status === "hit") {
+    emit("summary_token", { token: summary });
+  } else {
+    summary = await log.time("summary", () => getAiSummary(userQuery, inlineParameters(sqlQuery, sqlParams), rows, history, {
+      onToken: (token) => emit("summary_token", { token }),
+      onUsage
+    }));
+    if (cacheKey) {
+      await storeAnswer(cacheKey, scope, cached.dataVersion, { question: userQuery, sql: sqlQuery, params: sqlParams, data: rows, summary });
+    }
+  }
+
+  // Step 5: Remember this turn for follow-up questions and exports (never fails the request)
+  const turnId = await appendTurn(conversationId, {
+    askedBy: owner, question: userQuery, entities, resolved: contextMessages, sql: sqlQuery, params: sqlParams, summary
+  }).catch(e => {
+    console.error("[Conversation] Failed to save turn:", e.message);
+    return null;
+  });
+
+  return { status: "answered", data: rows, summary, sql: sqlQuery, params: sqlParams, attempts, cache, conversationId, turnId };
+}
+
+// Maps a pipeline error to the HTTP status and body both query endpoints return
+function toErrorResponse(error, conversationId) {
+  if (error instanceof InvalidSelectionError || error instanceof CacheUnavailableError || error instanceof SavedQueryError
+    || error instanceof ImportError || error instanceof AuthError || error instanceof AliasError || error instanceof ExampleError
+    || error instanceof FeedbackError || error instanceof ExplainError || error instanceof ConversationError || error instanceof LlmError) {
+    return { status: error.status, body: { error: error.message, conversationId } };
+  }
+  if (error instanceof UsageLimitError) {
+    return { status: error.status, body: { error: error.message, code: error.code, resetAt: error.resetAt, conversationId } };
+  }
+  if (error instanceof SqlSafetyError) {
+    console.warn(`[Guard] ${error.message}`);
+    return {
+      status: error.status,
+      body: { error: error.message, code: error.code, reason: error.reason, attempts: error.attempts, conversationId }
+    };
+  }
+  console.error(error);
+  return { status: 500, body: { error: error.message, attempts: error.attempts, conversationId } };
+}
+
+// Runs the generate -> validate -> execute cycle up to MAX_SQL_ATTEMPTS times.
+// Each failure (bad SQL or a database error) is fed back to the model as context.
+// Unsafe queries (writes, multiple statements) are never retried, and neither is a failing
+// LLM provider: there is no SQL to correct, so the request fails right away.
+// `params` are the resolver's bind values; the model only ever sees their placeholders.
+async function generateAndRunSql(prompt, history, params, { emit, log, scope, onUsage, examples = [] }) {
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= MAX_SQL_ATTEMPTS; attempt++) {
+    const failedAttempts = attempts.filter(a => a.error);
+    let sql = null;
+
+    try {
+      sql = await log.time("sql_generation", () => getAiSql(prompt, { history, failedAttempts, examples, onUsage }));
+      const bound = bindParameters(validateSql(sql), params);
+      emit("sql", { attempt, sql: bound.sql, params: bound.params });
+
+      const { rows } = await log.time("sql_execution", () => executeReadOnlyQuery(bound.sql, bound.params, { scope }));
+
+      attempts.push({ attempt, sql: bound.sql, params: bound.params, error: null });
+      return { sql: bound.sql, params: bound.params, rows, attempts };
+    } catch (error) {
+      if (error instanceof LlmError) {
+        error.attempts = attempts;
+        throw error;
+      }
+      attempts.push({ attempt, sql, error: error.message });
+      emit("attempt_failed", { attempt, sql, error: error.message });
+      console.warn(`[Retry] Attempt ${attempt}/${MAX_SQL_ATTEMPTS} failed: ${error.message}`);
+
+      const canRetry = !(error instanceof SqlSafetyError) || error.retryable;
+      if (!canRetry || attempt === MAX_SQL_ATTEMPTS) {
+        error.attempts = attempts;
+        throw error;
       }
     }
+  }
+}
+
+// Re-runs a stored query through the same guard as generated SQL, over the sessions in `scope`
+// (the data scope of whoever runs it, not of whoever saved it)
+async function runStoredQuery(sql, params = [], scope = null) {
+  const bound = bindParameters(validateSql(sql), params);
+  const { rows } = await executeReadOnlyQuery(bound.sql, bound.params, { scope });
+  return rows;
+}
 
-    const contextString = contextMessages.length > 0 
-      ? "\n\n(SYSTEM CONTEXT:\n" + contextMessages.join("\n") + "\n)" 
-      : "";
-    
-    const finalPrompt = userQuery + contextString;
+// Runs an analyst's edited SQL for `user`, optionally summarizes the rows, and logs it (source "sql_editor")
+async function runEditedSql({ sql, params, question, conversationId, summarize }, user, clientIp) {
+  const log = createQueryLog({ question, conversationId, source: "sql_editor", askedBy: user.username, scope: user.scope });
+  const calls = [];
 
-    const sqlQuery = await getAiSql(finalPrompt);
-    
-    const client = await pool.connect();
-    const { rows } = await client.query(sqlQuery);
-    client.release();
+  try {
+    // Edits only go into the caller's own conversations
+    if (conversationId) await checkConversationOwner(conversationId, user.username);
+    const bound = bindParameters(validateSql(sql), params);
+    log.record({ sql: bound.sql, params: bound.params });
+    const { rows } = await log.time("sql_execution", () => executeReadOnlyQuery(bound.sql, bound.params, { scope: user.scope }));
+    log.record({ rowCount: rows.length });
 
-    const summary = await getAiSummary(userQuery, sqlQuery, rows);
+    const history = conversationId ? await log.time("history", () => getHistory(conversationId, user.username)) : [];
+    const summary = summarize
+      ? await log.time("summary", () => getAiSummary(question, inlineParameters(bound.sql, bound.params), rows, history, {
+        onUsage: (call) => calls.push(call)
+      }))
+      : null;
 
-    res.json({ data: rows, summary, sql: sqlQuery });
+    const turnId = conversationId
+      ? await appendTurn(conversationId, {
+        askedBy: user.username, question, entities: [], resolved: [], sql: bound.sql, params: bound.params, summary
+      }).catch(e => {
+        console.error("[Conversation] Failed to save turn:", e.message);
+        return null;
+      })
+      : null;
 
+    const logId = await log.finish("answered");
+    await recordUsage({ logId, username: user.username, clientIp, calls });
+    return { status: "answered", data: rows, summary, sql: bound.sql, params: bound.params, conversationId, turnId, logId };
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: error.message });
+    error.logId = await log.finish("error", error);
+    await recordUsage({ logId: error.logId, username: user.username, clientIp, calls });
+    throw error;
+  }
+}
+
+// Full thread of a conversation, e.g. to restore the chat after a reload.
+// Conversations are private: other users' come back as 404, here and on the turn endpoints below.
+app.get("/api/conversations/:id", async (req, res) => {
+  if (!isValidConversationId(req.params.id)) return res.status(400).json({ error: "Invalid conversationId" });
+  try {
+    const turns = await getHistory(req.params.id, req.user.username, 100);
+    if (turns.length === 0) return res.status(404).json({ error: "Conversation not found" });
+    res.json({ conversationId: req.params.id, turns: turns.map(turn => hideSqlFrom(req, turn)) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Downloads the results of an answered turn as CSV, XLSX or JSON (?format=csv|xlsx|json).
+// The query is re-run, so the file reflects the current data.
+app.get("/api/conversations/:id/turns/:turnId/export", async (req, res) => {
+  const format = (req.query.format || "csv").toLowerCase();
+  const turnId = parseId(req.params.turnId);
+  if (!isValidConversationId(req.params.id)) return res.status(400).json({ error: "Invalid conversationId" });
+  if (!turnId) return res.status(400).json({ error: "Invalid turnId" });
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: unknownFormatMessage(format) });
+
+  try {
+    const turn = await getTurn(req.params.id, turnId, req.user.username);
+    if (!turn) return res.status(404).json({ error: "Turn not found" });
+
+    const rows = await runStoredQuery(turn.sql, turn.params, req.user.scope);
+    sendExport(res, format, rows, hideSqlFrom(req, turn), turn.question);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e, req.params.id);
+    res.status(status).json(body);
+  }
+});
+
+// Plain-English breakdown of the SQL a turn ran: tables, filters, metric definitions, grouping and limits,
+// with the interpretations the model made flagged. Viewers get the explanation without the SQL fragments.
+app.get("/api/conversations/:id/turns/:turnId/explain", async (req, res) => {
+  const turnId = parseId(req.params.turnId);
+  if (!isValidConversationId(req.params.id)) return res.status(400).json({ error: "Invalid conversationId" });
+  if (!turnId) return res.status(400).json({ error: "Invalid turnId" });
+
+  try {
+    const turn = await getTurn(req.params.id, turnId, req.user.username);
+    if (!turn) return res.status(404).json({ error: "Turn not found" });
+    if (!turn.sql) return res.status(400).json({ error: "This turn has no SQL to explain" });
+
+    res.json(explainSql(turn.sql, turn.params, { includeSql: hasRole(req.user, "analyst") }));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e, req.params.id);
+    res.status(status).json(body);
+  }
+});
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function unknownFormatMessage(format) {
+  return `Unknown format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(", ")}.`;
+}
+
+function sendExport(res, format, rows, meta, title) {
+  const { body, contentType, extension } = buildExport(format, rows, meta);
+  const slug = (title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "results";
+  res.attachment(`${slug}.${extension}`).type(contentType).send(body);
+}
+
+// ==========================================
+// 3. SAVED QUESTIONS & DASHBOARD
+// ==========================================
+// Anyone can view and run saved questions; creating and editing them (and their SQL) needs the analyst role.
+// ?pinned=true returns only the dashboard queries, in dashboard order
+app.get("/api/saved-queries", async (req, res) => {
+  try {
+    const saved = await listSavedQueries({ pinned: req.query.pinned === "true" });
+    res.json(saved.map(query => hideSqlFrom(req, query)));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { name, question, sql, params, pinned }. The SQL may be hand-edited; it must pass the guard.
+app.post("/api/saved-queries", requireAnalyst, async (req, res) => {
+  try {
+    res.status(201).json(await createSavedQuery(req.body || {}));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Body: any of { name, sql, params, pinned }
+app.patch("/api/saved-queries/:id", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid saved query id" });
+  try {
+    const saved = await updateSavedQuery(id, req.body || {});
+    if (!saved) return res.status(404).json({ error: "Saved query not found" });
+    res.json(saved);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.delete("/api/saved-queries/:id", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid saved query id" });
+  try {
+    if (!(await deleteSavedQuery(id))) return res.status(404).json({ error: "Saved query not found" });
+    res.status(204).end();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Re-runs the stored SQL as-is; the LLM is not called
+app.post("/api/saved-queries/:id/run", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid saved query id" });
+  try {
+    const saved = await getSavedQuery(id);
+    if (!saved) return res.status(404).json({ error: "Saved query not found" });
+
+    const data = await runStoredQuery(saved.sql, saved.params, req.user.scope);
+    res.json(hideSqlFrom(req, { ...saved, data, ranAt: new Date().toISOString() }));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.get("/api/saved-queries/:id/export", async (req, res) => {
+  const id = parseId(req.params.id);
+  const format = (req.query.format || "csv").toLowerCase();
+  if (!id) return res.status(400).json({ error: "Invalid saved query id" });
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: unknownFormatMessage(format) });
+  try {
+    const saved = await getSavedQuery(id);
+    if (!saved) return res.status(404).json({ error: "Saved query not found" });
+
+    const rows = await runStoredQuery(saved.sql, saved.params, req.user.scope);
+    sendExport(res, format, rows, hideSqlFrom(req, saved), saved.name);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// ==========================================
+// 4. QUERY LOG (AUDIT & REPLAY)
+// ==========================================
+// The log shows every question's SQL, so it is for analysts and admins.
+// Admins audit everyone's questions; analysts only see their own, which were asked within their data scope.
+const LOG_STATUSES = ["answered", "needs_clarification", "error"];
+
+const logOwner = (user) => (hasRole(user, "admin") ? null : user.username);
+
+// Newest first. Filters: status, q (text in the question or SQL), conversationId, source,
+// since/until (ISO dates), before (log id, for paging) and limit.
+app.get("/api/query-log", requireAnalyst, async (req, res) => {
+  const { status, q, conversationId, source, since, until, before, limit } = req.query;
+  if (status && !LOG_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${LOG_STATUSES.join(", ")}` });
+  }
+  if (conversationId && !isValidConversationId(conversationId)) return res.status(400).json({ error: "Invalid conversationId" });
+  if (before && !parseId(before)) return res.status(400).json({ error: "Invalid before" });
+  if ([since, until].some(d => d && Number.isNaN(Date.parse(d)))) return res.status(400).json({ error: "Invalid date" });
+
+  try {
+    res.json(await listQueryLog({ status, q, conversationId, source, askedBy: logOwner(req.user), since, until, before, limit }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// The full entry: entities, resolver candidates, final prompt, SQL attempts and stage timings
+app.get("/api/query-log/:id", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid log id" });
+  try {
+    const entry = await getQueryLogEntry(id, logOwner(req.user));
+    if (!entry) return res.status(404).json({ error: "Log entry not found" });
+    res.json(entry);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { mode: "question" | "sql" }.
+// "question" asks the same question again (with the same clarification choices) in a new conversation,
+// bypassing the answer cache.
+// "sql" re-runs the exact SQL and bound values that were logged, without calling the LLM.
+// Either way the replay is logged with replay_of pointing at the original entry.
+app.post("/api/query-log/:id/replay", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  const mode = (req.body && req.body.mode) || "question";
+  if (!id) return res.status(400).json({ error: "Invalid log id" });
+  if (!["question", "sql"].includes(mode)) return res.status(400).json({ error: 'mode must be "question" or "sql"' });
+
+  try {
+    const entry = await getQueryLogEntry(id, logOwner(req.user));
+    if (!entry) return res.status(404).json({ error: "Log entry not found" });
+
+    if (mode === "question") {
+      await checkUsageLimits({ username: req.user.username, ip: req.ip });
+      const request = {
+        userQuery: entry.question, selections: entry.selections || {}, clarify: true, useCache: false,
+        isFollowUp: false, conversationId: newConversationId()
+      };
+      const { status, body } = await runLoggedQuery(request, { source: "replay", replayOf: id, user: req.user, clientIp: req.ip });
+      return res.status(status).json(body);
+    }
+
+    if (!entry.sql) return res.status(400).json({ error: "This entry has no SQL to replay" });
+    res.json(await replaySql(entry, req.user));
+  } catch (e) {
+    setRetryAfter(res, e);
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json({ ...body, logId: e.logId });
+  }
+});
+
+// Re-runs a logged query's exact SQL for `user` and logs the replay
+async function replaySql(entry, user) {
+  const log = createQueryLog({
+    question: entry.question, source: "replay_sql", replayOf: entry.log_id, askedBy: user.username, scope: user.scope
+  });
+  log.record({ sql: entry.sql, params: entry.params });
+
+  try {
+    const data = await log.time("sql_execution", () => runStoredQuery(entry.sql, entry.params, user.scope));
+    log.record({ rowCount: data.length });
+    const logId = await log.finish("answered");
+    return { status: "answered", data, summary: null, sql: entry.sql, params: entry.params, logId };
+  } catch (error) {
+    error.logId = await log.finish("error", error);
+    throw error;
+  }
+}
+
+// ==========================================
+// 5. HEALTH & ADMIN
+// ==========================================
+// Cache age, entry counts and the last load error. 503 until the caches have loaded once.
+app.get("/api/health", async (req, res) => {
+  await ensureCachesLoaded().catch(() => {}); // A failure shows up in the status below
+  const cache = getCacheStatus();
+  const status = cache.healthy ? "ok" : cache.loaded ? "degraded" : "unavailable";
+  res.status(cache.loaded ? 200 : 503).json({ status, cache });
+});
+
+// Reloads the entity caches and rebuilds the SQL prompt from the catalog, e.g. right after an ETL run
+// or a schema change (see etl/refresh_cache.mjs)
+app.post("/api/admin/cache/refresh", requireAdmin, async (req, res) => {
+  try {
+    const cache = await refreshCaches();
+    const { version, loadedAt } = await refreshSqlPrompt();
+    res.json({ status: "refreshed", cache, prompt: { version, loadedAt } });
+  } catch (e) {
+    res.status(500).json({ error: `Cache refresh failed: ${e.message}`, cache: getCacheStatus() });
+  }
+});
+
+// The SQL system prompt as the model currently gets it, with the prompt-config version
+app.get("/api/admin/prompt", requireAdmin, async (req, res) => {
+  try {
+    res.json(await loadSqlPrompt());
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// LLM tokens and estimated cost by user, by day and by stage. ?since / ?until are
+// YYYY-MM-DD (UTC, inclusive); the default is the last 30 days.
+app.get("/api/admin/usage", requireAdmin, async (req, res) => {
+  const day = (offset) => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+  const { since = day(-29), until = day(0) } = req.query;
+  if ([since, until].some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d) || Number.isNaN(Date.parse(d)))) {
+    return res.status(400).json({ error: "since and until must be dates (YYYY-MM-DD)" });
+  }
+  try {
+    res.json(await getUsageReport({ since, until }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ==========================================
+// 6. IMPORTS (UPLOAD & ROLLBACK)
+// ==========================================
+// Running and rolling back imports needs the admin role; analysts can browse them.
+// The request body is the file itself; its name comes from the X-File-Name header (URI-encoded).
+// ?dryRun=true validates and counts without writing. A failed import is still recorded (422).
+app.post("/api/imports", requireAdmin, express.raw({ type: () => true, limit: IMPORT_MAX_SIZE }), async (req, res) => {
+  const fileName = decodeURIComponent(req.get("X-File-Name") || "").trim();
+  if (!fileName) return res.status(400).json({ error: "Send the file name in the X-File-Name header" });
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: "The uploaded file is empty" });
+
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const batch = await importUpload({ fileName, data: req.body, uploadedBy: req.user.username, dryRun });
+    console.log(`[Import] ${fileName}: ${batch.status}, ${batch.inserted} inserted, ${batch.updated} updated, ${batch.rejected} rejected`);
+
+    // New instructors and classes become resolvable right away
+    if (batch.status === "loaded") refreshCaches().catch(() => {});
+    res.status(batch.status === "failed" ? 422 : dryRun ? 200 : 201).json(batch);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.get("/api/imports", requireAnalyst, async (req, res) => {
+  try {
+    res.json(await listImports({ before: parseId(req.query.before), limit: req.query.limit }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get("/api/imports/:id", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid import id" });
+  try {
+    const batch = await getImport(id);
+    if (!batch) return res.status(404).json({ error: "Import not found" });
+    res.json(batch);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// The rejected rows with their reasons and original values, as CSV, Excel or JSON
+app.get("/api/imports/:id/rejects", requireAnalyst, async (req, res) => {
+  const id = parseId(req.params.id);
+  const format = (req.query.format || "csv").toLowerCase();
+  if (!id) return res.status(400).json({ error: "Invalid import id" });
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: unknownFormatMessage(format) });
+  try {
+    const batch = await getImport(id);
+    if (!batch) return res.status(404).json({ error: "Import not found" });
+
+    const rows = batch.rejected_rows.map(({ sheet, row, errors, source }) => ({
+      sheet, row, errors: errors.join("; "), ...source,
+    }));
+    sendExport(res, format, rows, { question: `Rejected rows of ${batch.file_name}` }, `${batch.file_name} rejected`);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post("/api/imports/:id/rollback", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid import id" });
+  try {
+    const batch = await rollbackImport(id);
+    console.log(`[Import] Rolled back #${id}: ${batch.deleted} deleted, ${batch.restored} restored`);
+    refreshCaches().catch(() => {});
+    res.json(batch);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// ==========================================
+// 7. USERS & ALIASES (ADMIN)
+// ==========================================
+app.get("/api/users", requireAdmin, async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { username, password, displayName, role }
+app.post("/api/users", requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await createUser(req.body || {}));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Body: any of { role, displayName, password, disabled }
+app.patch("/api/users/:id", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid user id" });
+  if (id === req.user.id && (req.body || {}).disabled) return res.status(400).json({ error: "You can't disable your own account" });
+  try {
+    const user = await updateUser(id, req.body || {});
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Filters: entity, source ("generated" or "manual"), q
+app.get("/api/aliases", requireAdmin, async (req, res) => {
+  try {
+    res.json(await listAliases(req.query));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { entity, alias, canonical }. The resolver picks it up once the caches reload.
+app.post("/api/aliases", requireAdmin, async (req, res) => {
+  try {
+    const alias = await createAlias(req.body || {});
+    refreshCaches().catch(() => {});
+    res.status(201).json(alias);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.delete("/api/aliases/:id", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid alias id" });
+  try {
+    if (!(await deleteAlias(id))) return res.status(404).json({ error: "Alias not found" });
+    refreshCaches().catch(() => {});
+    res.status(204).end();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ==========================================
+// 8. SQL EXAMPLE LIBRARY
+// ==========================================
+// Seeds (prompts/sql-examples.json) and added examples, with where each came from
+app.get("/api/examples", requireAnalyst, async (req, res) => {
+  try {
+    res.json(await listExamples());
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { logId } to promote an answered question (a thumbs up), or { question, sql } to add one by hand
+app.post("/api/examples", requireAnalyst, async (req, res) => {
+  const { logId, question, sql } = req.body || {};
+  if (logId !== undefined && !parseId(logId)) return res.status(400).json({ error: "Invalid log id" });
+  try {
+    const example = logId !== undefined
+      ? await addExampleFromLog(parseId(logId), req.user.username, logOwner(req.user))
+      : await addExample({ question, sql, source: "manual", addedBy: req.user.username });
+    res.status(201).json(example);
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.delete("/api/examples/:id", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Seed examples are edited in prompts/sql-examples.json" });
+  try {
+    if (!(await deleteExample(id))) return res.status(404).json({ error: "Example not found" });
+    res.status(204).end();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ==========================================
+// 9. ANSWER FEEDBACK & REVIEW
+// ==========================================
+// Rows a reviewer sees when running a correction
+const FEEDBACK_PREVIEW_ROWS = 100;
+
+// Body: { logId, rating: "up" | "down", comment, correctedSql }. Anyone can rate their own answers;
+// corrected SQL needs the analyst role (viewers never see the SQL).
+app.post("/api/feedback", async (req, res) => {
+  const { logId, rating, comment, correctedSql } = req.body || {};
+  if (!parseId(logId)) return res.status(400).json({ error: "Invalid log id" });
+  if (correctedSql && !hasRole(req.user, "analyst")) return res.status(403).json({ error: "Corrected SQL requires the analyst role" });
+  try {
+    res.status(201).json(await submitFeedback({ logId: parseId(logId), user: req.user, rating, comment, correctedSql }));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Review queue, newest first. Filters: rating, status, before (feedback id, for paging) and limit.
+app.get("/api/feedback", requireAdmin, async (req, res) => {
+  const { rating, status, before, limit } = req.query;
+  if (rating && !RATINGS.includes(rating)) return res.status(400).json({ error: `rating must be one of ${RATINGS.join(", ")}` });
+  if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${STATUSES.join(", ")}` });
+  if (before && !parseId(before)) return res.status(400).json({ error: "Invalid before" });
+  try {
+    res.json(await listFeedback({ rating, status, before, limit }));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { sql } (optional). Runs it, or the user's correction, or the generated SQL, read-only
+// over the reviewer's data scope.
+app.post("/api/feedback/:id/run", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid feedback id" });
+  try {
+    const { sql, data } = await runFeedbackSql(id, { sql: req.body && req.body.sql, scope: req.user.scope });
+    res.json({ sql, rowCount: data.length, data: data.slice(0, FEEDBACK_PREVIEW_ROWS) });
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Body: { question, sql } (both optional, default to the feedback's). The SQL has to run before
+// the pair goes into the example library.
+app.post("/api/feedback/:id/promote", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid feedback id" });
+  const { question, sql } = req.body || {};
+  try {
+    res.status(201).json(await promoteFeedback(id, { question, sql, reviewer: req.user.username, scope: req.user.scope }));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+app.post("/api/feedback/:id/dismiss", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid feedback id" });
+  try {
+    res.json(await dismissFeedback(id, req.user.username));
+  } catch (e) {
+    const { status, body } = toErrorResponse(e);
+    res.status(status).json(body);
   }
 });
 
 // ==========================================
-// 4. METADATA API ENDPOINTS
+// 10. METADATA API ENDPOINTS
 // ==========================================
 app.get("/api/instructors", async (req, res) => {
   try {
@@ -209,7 +1072,7 @@ app.get("/api/topics", async (req, res) => {
 });
 
 // ==========================================
-// 5. START SERVER (Still kept for local dev)
+// 11. START SERVER (Still kept for local dev)
 // ==========================================
 // Note: We don't rely on initAllCaches here anymore for production, 
 // but it doesn't hurt to keep it for local testing.
@@ -217,7 +1080,7 @@ if (require.main === module) {
     app.listen(PORT, async () => {
       console.log(`Server running on http://localhost:${PORT}`);
       // Pre-load locally, but rely on lazy-load in production
-      await ensureCachesLoaded(); 
+      await ensureCachesLoaded().catch(() => {}); // Logged by the resolver, retried on the next request
     });
 }
 
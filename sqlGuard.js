@@ -0,0 +1,188 @@
+// sqlGuard.js
+// Validates AI-generated SQL before it is allowed anywhere near the database.
+
+const { parse, astVisitor } = require("pgsql-ast-parser");
+const { escapeLiteral } = require("pg");
+
+// The only tables the analyst is allowed to read (the star schema)
+const ALLOWED_TABLES = new Set([
+  "fact_sessions",
+  "dim_instructor",
+  "dim_class",
+  "dim_domain",
+  "dim_topic",
+]);
+
+// Statement types that only read data
+const READ_STATEMENTS = new Set(["select", "union", "union all", "with", "with recursive", "values"]);
+
+// Functions that can touch the server, the file system or session settings
+const BLOCKED_FUNCTION = /^(pg_|lo_|dblink|set_config|current_setting|query_to_xml|table_to_xml|txid_)/i;
+
+// Rejections that are likely model mistakes rather than unsafe intent
+const RETRYABLE_CODES = new Set(["SQL_EMPTY", "SQL_PARSE_ERROR", "SQL_TABLE_NOT_ALLOWED", "SQL_UNKNOWN_PARAMETER"]);
+
+/**
+ * Raised when a generated query is rejected by the guard.
+ * Carries an HTTP status and a machine-readable code for the API response.
+ */
+class SqlSafetyError extends Error {
+  constructor(reason, code = "SQL_BLOCKED") {
+    super(`Query blocked: ${reason}`);
+    this.name = "SqlSafetyError";
+    this.code = code;
+    this.reason = reason;
+    this.status = 422;
+    // Malformed SQL is worth sending back to the model; a write or multi-statement attempt is not
+    this.retryable = RETRYABLE_CODES.has(code);
+  }
+}
+
+/**
+ * Parses a SQL string and ensures it is a single read-only statement
+ * over the known star-schema tables.
+ * @param {string} sql The SQL produced by the model.
+ * @returns {string} The trimmed SQL, without a trailing semicolon.
+ * @throws {SqlSafetyError} If the query is not allowed to run.
+ */
+function validateSql(sql) {
+  if (!sql || typeof sql !== "string" || !sql.trim()) {
+    throw new SqlSafetyError("the model did not return a SQL query.", "SQL_EMPTY");
+  }
+
+  let statements;
+  try {
+    statements = parse(sql);
+  } catch (error) {
+    const detail = error.message.split("\n")[0];
+    throw new SqlSafetyError(`the SQL could not be parsed (${detail}).`, "SQL_PARSE_ERROR");
+  }
+
+  if (statements.length === 0) {
+    throw new SqlSafetyError("the model did not return a SQL query.", "SQL_EMPTY");
+  }
+  if (statements.length > 1) {
+    throw new SqlSafetyError(`only one statement is allowed, found ${statements.length}.`, "SQL_MULTIPLE_STATEMENTS");
+  }
+
+  const [statement] = statements;
+  if (!READ_STATEMENTS.has(statement.type)) {
+    throw new SqlSafetyError(`only SELECT/WITH queries are allowed, found ${statement.type.toUpperCase()}.`, "SQL_NOT_READ_ONLY");
+  }
+
+  // CTE names in scope while walking: a name only stands for a CTE inside its own WITH
+  // (in the later CTEs of the list and the main query), never for a real table elsewhere
+  const cteScopes = [];
+  const isCteName = (name) => cteScopes.some(scope => scope.has(name));
+  const tables = [];
+  const violations = [];
+
+  const visitor = astVisitor((map) => ({
+    with: (stmt) => {
+      const scope = new Set();
+      cteScopes.push(scope);
+      for (const bind of stmt.bind) {
+        visitor.statement(bind.statement);
+        scope.add(bind.alias.name.toLowerCase());
+      }
+      visitor.statement(stmt.in);
+      cteScopes.pop();
+    },
+    withRecursive: (stmt) => {
+      cteScopes.push(new Set([stmt.alias.name.toLowerCase()]));
+      map.super().withRecursive(stmt);
+      cteScopes.pop();
+    },
+    insert: () => violations.push("INSERT"),
+    update: () => violations.push("UPDATE"),
+    delete: () => violations.push("DELETE"),
+    tableRef: (ref) => {
+      const name = ref.name.toLowerCase();
+      if (!ref.schema && isCteName(name)) return;
+      tables.push({ schema: ref.schema, name });
+    },
+    call: (expr) => {
+      if (BLOCKED_FUNCTION.test(expr.function.name)) violations.push(`function ${expr.function.name}()`);
+      map.super().call(expr);
+    },
+    selection: (stmt) => {
+      if (stmt.for) violations.push(`FOR ${stmt.for.type.toUpperCase()}`);
+      map.super().selection(stmt);
+    },
+  }));
+  visitor.statement(statement);
+
+  if (violations.length > 0) {
+    throw new SqlSafetyError(`the query contains a disallowed operation (${violations[0]}).`, "SQL_NOT_READ_ONLY");
+  }
+
+  for (const table of tables) {
+    const isAllowed = (!table.schema || table.schema === "public") && ALLOWED_TABLES.has(table.name);
+    if (!isAllowed) {
+      const fullName = table.schema ? `${table.schema}.${table.name}` : table.name;
+      throw new SqlSafetyError(`table "${fullName}" is not part of the analytics schema.`, "SQL_TABLE_NOT_ALLOWED");
+    }
+  }
+
+  return sql.trim().replace(/;\s*$/, "");
+}
+
+// Matches string literals, quoted identifiers, comments and dollar-quoted strings ($$...$$, $tag$...$tag$),
+// which are kept as-is, or a $n placeholder
+const PLACEHOLDER_SCAN = /('(?:[^']|'')*')|("(?:[^"]|"")*")|(--[^\n]*)|(\/\*[\s\S]*?\*\/)|(\$([A-Za-z_][A-Za-z0-9_]*)?\$[\s\S]*?\$\6\$)|\$(\d+)/g;
+
+/**
+ * Matches the $n placeholders in a validated query with the values the resolver bound.
+ * Postgres rejects unused or skipped parameters, so only the referenced values are
+ * kept and the placeholders are renumbered to $1..$k in order of first use.
+ * @param {string} sql A query that passed validateSql.
+ * @param {Array} params Values bound by the resolver, where params[0] is $1.
+ * @returns {{sql: string, params: Array}}
+ * @throws {SqlSafetyError} If the query references a placeholder that was never bound.
+ */
+function bindParameters(sql, params = []) {
+  const renumbered = new Map();
+
+  const boundSql = sql.replace(PLACEHOLDER_SCAN, (token, single, double, line, block, dollar, tag, index) => {
+    if (index === undefined) return token;
+
+    const original = parseInt(index, 10);
+    if (original < 1 || original > params.length) {
+      throw new SqlSafetyError(
+        `the query uses $${original} but only ${params.length} value(s) were bound. Only use the placeholders listed in the SYSTEM CONTEXT.`,
+        "SQL_UNKNOWN_PARAMETER"
+      );
+    }
+    if (!renumbered.has(original)) renumbered.set(original, renumbered.size + 1);
+    return `$${renumbered.get(original)}`;
+  });
+
+  const boundParams = [...renumbered.keys()].map(original => params[original - 1]);
+  return { sql: boundSql, params: boundParams };
+}
+
+// Renders a bound value as a SQL literal (arrays become ARRAY[...])
+function toLiteral(value) {
+  if (Array.isArray(value)) return `ARRAY[${value.map(toLiteral).join(", ")}]`;
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number") return String(value);
+  return escapeLiteral(String(value));
+}
+
+/**
+ * Replaces $n placeholders with escaped literals. Only used for display and for
+ * showing past turns to the model; execution always goes through bind parameters.
+ * @param {string} text SQL or prompt text containing placeholders.
+ * @param {Array} params Values where params[0] is $1.
+ * @returns {string}
+ */
+function inlineParameters(text, params = []) {
+  if (!text || params.length === 0) return text;
+  return text.replace(PLACEHOLDER_SCAN, (token, single, double, line, block, dollar, tag, index) => {
+    if (index === undefined) return token;
+    const i = parseInt(index, 10) - 1;
+    return i >= 0 && i < params.length ? toLiteral(params[i]) : token;
+  });
+}
+
+module.exports = { validateSql, bindParameters, inlineParameters, SqlSafetyError, ALLOWED_TABLES };
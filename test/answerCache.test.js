@@ -0,0 +1,97 @@
+// The cache is off for the rest of the suite (test/run.js); it reads its TTL when first required
+process.env.ANSWER_CACHE_TTL_MS = "60000";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { answerCacheKey, lookupAnswer } = require("../answerCache");
+const { startServer, postJson, postStream } = require("./helpers/server");
+
+const QUESTION = "Who is the highest rated instructor?";
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(async () => {
+  await pool.query("TRUNCATE answer_cache");
+  await server.close();
+  await pool.end();
+});
+
+const stagesOf = async (logId) =>
+  (await pool.query("SELECT stage FROM llm_usage WHERE log_id = $1 ORDER BY usage_id", [logId])).rows.map(r => r.stage);
+
+test("keys questions on their normalized text, resolved entities, earlier turns and prompt version", () => {
+  const key = answerCacheKey({ question: QUESTION });
+  assert.equal(answerCacheKey({ question: "  WHO is the highest-rated instructor " }), key);
+  assert.notEqual(answerCacheKey({ question: QUESTION, contextMessages: ["- instructor: Robert Smith"], params: ["Robert Smith"] }), key);
+  assert.notEqual(answerCacheKey({ question: QUESTION, history: [{ question: "How many sessions?", sql: "SELECT 1", params: [] }] }), key);
+  assert.notEqual(answerCacheKey({ question: QUESTION, promptVersion: "2" }), key);
+});
+
+test("serves a repeated question from the cache without generating SQL or a summary", async () => {
+  const first = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+  assert.equal(first.body.cache.status, "miss");
+
+  const second = await postJson(`${server.baseUrl}/api/query`, { query: "who is the highest-rated instructor" });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.cache.status, "hit");
+  assert.ok(second.body.cache.cachedAt);
+  assert.deepEqual(
+    { data: second.body.data, sql: second.body.sql, summary: second.body.summary },
+    { data: first.body.data, sql: first.body.sql, summary: first.body.summary }
+  );
+  assert.deepEqual(await stagesOf(second.body.logId), ["extraction"]);
+
+  const { rows } = await pool.query("SELECT cache_status FROM query_log WHERE log_id = $1", [second.body.logId]);
+  assert.equal(rows[0].cache_status, "hit");
+});
+
+test("streams cached answers like fresh ones", async () => {
+  const { events } = await postStream(`${server.baseUrl}/api/query/stream`, { query: QUESTION });
+  assert.deepEqual(events.map(e => e.event), ["entities", "resolved", "sql", "rows", "summary_token", "result"]);
+  assert.equal(events[2].cache, "hit");
+  assert.equal(events.at(-1).cache.status, "hit");
+});
+
+test("reuses only the SQL once the data changes", async () => {
+  // Any write to the star schema (an ETL load, an upload, a rollback) bumps the data version
+  await pool.query("UPDATE fact_sessions SET average_rating = average_rating");
+
+  const { body } = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+  assert.equal(body.cache.status, "sql");
+  assert.deepEqual(body.data, [{ full_name: "Robert Jones", avg_rating: "4.90" }]);
+  assert.deepEqual(await stagesOf(body.logId), ["extraction", "summary"]);
+
+  const again = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+  assert.equal(again.body.cache.status, "hit");
+});
+
+test("keeps cached rows to the scope they were read with", async () => {
+  const { rows: [{ cache_key: key }] } = await pool.query("SELECT cache_key FROM answer_cache");
+  const unrestricted = await lookupAnswer(key, null);
+  assert.ok(unrestricted.answer);
+
+  const india = await lookupAnswer(key, { regions: ["India"], domains: null });
+  assert.equal(india.sql, unrestricted.sql);
+  assert.equal(india.answer, null);
+});
+
+test("cache: false bypasses the cache and refreshes the entry", async () => {
+  const { body } = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION, cache: false });
+  assert.equal(body.cache.status, "bypassed");
+  assert.deepEqual(await stagesOf(body.logId), ["extraction", "sql", "summary"]);
+
+  const { rows } = await pool.query("SELECT COUNT(*)::int AS n FROM answer_cache");
+  assert.equal(rows[0].n, 1);
+});
+
+test("the first data change after the schema is created moves the data version", async () => {
+  // The state schema.sql leaves the sequence in, before any trigger has bumped it
+  await pool.query("ALTER SEQUENCE star_schema_version RESTART");
+  const fresh = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION, cache: false });
+  assert.equal(fresh.body.cache.status, "bypassed");
+
+  await pool.query("UPDATE fact_sessions SET average_rating = average_rating");
+  const { body } = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+  assert.equal(body.cache.status, "sql");
+});
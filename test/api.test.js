@@ -0,0 +1,249 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { pool } = require("../db");
+const { startServer, postJson, getJson, postStream } = require("./helpers/server");
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(async () => {
+  await server.close();
+  await pool.end();
+});
+
+test("POST /api/query requires a question", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, {});
+  assert.equal(status, 400);
+  assert.equal(body.error, "Query required");
+});
+
+test("POST /api/query returns rows, SQL and summary", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, [{ full_name: "Robert Jones", avg_rating: "4.90" }]);
+  assert.match(body.sql, /FROM fact_sessions fs/);
+  assert.equal(body.summary, "Test summary.");
+  assert.equal(body.attempts.length, 1);
+});
+
+test("POST /api/query corrects SQL that fails to execute", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "broken column please" });
+  assert.equal(status, 200);
+  assert.equal(body.attempts.length, 2);
+  assert.match(body.attempts[0].error, /students_attended/);
+  assert.deepEqual(body.data, [{ total_sessions: "17" }]);
+});
+
+test("POST /api/query blocks statements that modify data", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "delete all sessions from 2023" });
+  assert.equal(status, 422);
+  assert.equal(body.code, "SQL_NOT_READ_ONLY");
+  assert.equal(body.attempts.length, 1);
+
+  const { rows } = await pool.query("SELECT COUNT(*)::int AS n FROM fact_sessions");
+  assert.equal(rows[0].n, 17);
+});
+
+test("POST /api/query fails right away when the SQL model's provider fails", async () => {
+  // An OpenAI-compatible endpoint that rejects the API key
+  let calls = 0;
+  const provider = http.createServer((req, res) => {
+    calls++;
+    res.writeHead(401, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: { message: "Invalid API key" } }));
+  });
+  await new Promise((resolve) => provider.listen(0, "127.0.0.1", resolve));
+  Object.assign(process.env, { LLM_SQL_PROVIDER: "openai", LLM_SQL_BASE_URL: `http://127.0.0.1:${provider.address().port}/v1` });
+
+  try {
+    const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+    assert.equal(status, 502);
+    assert.match(body.error, /language model is unavailable.*Invalid API key/);
+    assert.equal(calls, 1);
+  } finally {
+    delete process.env.LLM_SQL_PROVIDER;
+    delete process.env.LLM_SQL_BASE_URL;
+    await new Promise((resolve) => provider.close(resolve));
+  }
+});
+
+test("metadata routes list each dimension in order", async () => {
+  const instructors = await getJson(`${server.baseUrl}/api/instructors`);
+  assert.equal(instructors.status, 200);
+  assert.deepEqual(instructors.body.map(r => r.full_name), [
+    "Konstantinos Pappas", "Parivesh Kumar", "Robert Jones", "Robert Smith", "Sean O'Brien", "Udit Bhatia",
+  ]);
+
+  const domains = await getJson(`${server.baseUrl}/api/domains`);
+  assert.deepEqual(domains.body.map(r => r.domain_name), ["Backend", "Data Science", "Product Management", "System Design"]);
+
+  const classes = await getJson(`${server.baseUrl}/api/classes`);
+  assert.equal(classes.body.length, 5);
+
+  const topics = await getJson(`${server.baseUrl}/api/topics`);
+  assert.deepEqual(topics.body.map(r => r.topic_code), ["Career Skills", "Live Class", "Test Review"]);
+});
+
+test("POST /api/query keeps follow-up questions in one conversation", async () => {
+  const first = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+  assert.match(first.body.conversationId, /^[0-9a-f-]{36}$/);
+
+  const { conversationId } = first.body;
+  const second = await postJson(`${server.baseUrl}/api/query`, {
+    query: "what about in Backend?", conversationId, selections: { Backend: { category: "domain", value: "Backend" } }
+  });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.conversationId, conversationId);
+
+  const { status, body } = await getJson(`${server.baseUrl}/api/conversations/${conversationId}`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.turns.map(t => t.question), ["Who is the highest rated instructor?", "what about in Backend?"]);
+  assert.deepEqual(body.turns[1].entities, ["Backend"]);
+  assert.match(body.turns[0].sql, /FROM fact_sessions fs/);
+});
+
+test("POST /api/query rejects a malformed conversationId", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "hi", conversationId: "nope" });
+  assert.equal(status, 400);
+  assert.equal(body.error, "Invalid conversationId");
+});
+
+test("POST /api/query asks which entity an ambiguous term means", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "How is Robert doing?" });
+  assert.equal(status, 200);
+  assert.equal(body.status, "needs_clarification");
+  assert.equal(body.clarifications[0].term, "Robert");
+  assert.deepEqual(body.clarifications[0].candidates.map(c => c.value).sort(), ["Robert Jones", "Robert Smith"]);
+  assert.ok(body.clarifications[0].candidates.every(c => c.category === "instructor" && typeof c.score === "number"));
+});
+
+test("POST /api/query resumes with the selected entity pinned", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Robert Smith" } }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.status, "answered");
+  assert.deepEqual(body.params, ["Robert Smith"]);
+
+  const turns = await getJson(`${server.baseUrl}/api/conversations/${body.conversationId}`);
+  assert.deepEqual(turns.body.turns[0].resolved, ["User means Instructor $1. Filter by di.full_name = $1"]);
+  assert.deepEqual(turns.body.turns[0].params, ["Robert Smith"]);
+});
+
+test("POST /api/query rejects a selection outside the candidates", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Someone Else" } }
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /Invalid selection for 'Robert'/);
+});
+
+test("POST /api/query binds resolved names as parameters", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: "How did O'Brien do?" });
+  assert.equal(status, 200);
+  assert.match(body.sql, /di\.full_name = \$1/);
+  assert.doesNotMatch(body.sql, /O'Brien/);
+  assert.deepEqual(body.params, ["Sean O'Brien"]);
+  assert.deepEqual(body.data, [{ full_name: "Sean O'Brien", avg_rating: "4.50" }]);
+});
+
+test("GET /api/health reports the entity caches", async () => {
+  const { status, body } = await getJson(`${server.baseUrl}/api/health`);
+  assert.equal(status, 200);
+  assert.equal(body.status, "ok");
+  assert.equal(body.cache.counts.instructors, 6);
+  assert.equal(body.cache.lastError, null);
+});
+
+test("POST /api/admin/cache/refresh requires the admin token", async () => {
+  const url = `${server.baseUrl}/api/admin/cache/refresh`;
+  const refresh = async (token) => {
+    const response = await fetch(url, { method: "POST", headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // With logins on, the admin token stands in for an admin session
+  process.env.AUTH_DISABLED = "false";
+  delete process.env.ADMIN_TOKEN;
+  assert.equal((await refresh("anything")).status, 401);
+
+  process.env.ADMIN_TOKEN = "test-admin-token";
+  try {
+    assert.equal((await refresh("wrong")).status, 401);
+    assert.equal((await refresh("test-admin-tok")).status, 401);
+
+    const { status, body } = await refresh("test-admin-token");
+    assert.equal(status, 200);
+    assert.equal(body.status, "refreshed");
+    assert.equal(body.cache.healthy, true);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+    process.env.AUTH_DISABLED = "true";
+  }
+});
+
+test("POST /api/query/stream emits each stage before the final result", async () => {
+  const { status, contentType, events } = await postStream(`${server.baseUrl}/api/query/stream`, { query: "Who is the highest rated instructor?" });
+  assert.equal(status, 200);
+  assert.match(contentType, /application\/x-ndjson/);
+
+  const stages = events.map(e => e.event).filter((name, i, all) => name !== all[i - 1]);
+  assert.deepEqual(stages, ["entities", "resolved", "sql", "rows", "summary_token", "result"]);
+
+  const result = events.at(-1);
+  assert.equal(result.status, "answered");
+  assert.deepEqual(events.find(e => e.event === "rows").data, result.data);
+  const streamedSummary = events.filter(e => e.event === "summary_token").map(e => e.token).join("");
+  assert.equal(streamedSummary, result.summary);
+});
+
+test("POST /api/query/stream reports failed attempts and errors as events", async () => {
+  const corrected = await postStream(`${server.baseUrl}/api/query/stream`, { query: "broken column please" });
+  assert.match(corrected.events.find(e => e.event === "attempt_failed").error, /students_attended/);
+  assert.equal(corrected.events.at(-1).event, "result");
+
+  const blocked = await postStream(`${server.baseUrl}/api/query/stream`, { query: "delete all sessions from 2023" });
+  const error = blocked.events.at(-1);
+  assert.equal(error.event, "error");
+  assert.equal(error.status, 422);
+  assert.equal(error.code, "SQL_NOT_READ_ONLY");
+});
+
+test("POST /api/query/stream validates the request before streaming", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query/stream`, {});
+  assert.equal(status, 400);
+  assert.equal(body.error, "Query required");
+});
+
+test("exports the results of an answered turn as CSV, XLSX and JSON", async () => {
+  const XLSX = require("xlsx");
+  const { body: answer } = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+  assert.ok(Number.isInteger(answer.turnId));
+  const exportUrl = `${server.baseUrl}/api/conversations/${answer.conversationId}/turns/${answer.turnId}/export`;
+
+  const csv = await fetch(`${exportUrl}?format=csv`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-disposition"), /attachment; filename="who-is-the-highest-rated-instructor\.csv"/);
+  assert.equal(Buffer.from(await csv.arrayBuffer()).toString("utf8"), "\uFEFFFULL NAME,AVG RATING\r\nRobert Jones,4.90\r\n");
+
+  const xlsx = await fetch(`${exportUrl}?format=xlsx`);
+  const workbook = XLSX.read(Buffer.from(await xlsx.arrayBuffer()), { cellNF: true });
+  assert.deepEqual(workbook.SheetNames, ["Results", "Query"]);
+  const rating = workbook.Sheets.Results.B2;
+  assert.deepEqual({ t: rating.t, v: rating.v, z: rating.z }, { t: "n", v: 4.9, z: "0.00" });
+  assert.equal(workbook.Sheets.Query.B1.v, "Who is the highest rated instructor?");
+  assert.equal(workbook.Sheets.Query.B2.v, "Test summary.");
+
+  const json = await fetch(`${exportUrl}?format=json`).then(r => r.json());
+  assert.equal(json.question, "Who is the highest rated instructor?");
+  assert.deepEqual(json.rows, answer.data);
+});
+
+test("export rejects unknown formats and turns", async () => {
+  const conversationId = "00000000-0000-4000-8000-000000000000";
+  const badFormat = await getJson(`${server.baseUrl}/api/conversations/${conversationId}/turns/1/export?format=pdf`);
+  assert.equal(badFormat.status, 400);
+
+  const missing = await getJson(`${server.baseUrl}/api/conversations/${conversationId}/turns/1/export?format=csv`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { pool } = require("../db");
+const { createUser } = require("../auth");
+const { startServer } = require("./helpers/server");
+
+const PASSWORD = "correct horse battery";
+
+let server;
+test.before(async () => {
+  process.env.AUTH_DISABLED = "false";
+  server = await startServer();
+  await createUser({ username: "vera", password: PASSWORD, role: "viewer" });
+  await createUser({ username: "alan", password: PASSWORD, role: "analyst", displayName: "Alan Analyst" });
+  await createUser({ username: "anna", password: PASSWORD, role: "analyst" });
+  await createUser({ username: "ada", password: PASSWORD, role: "admin" });
+});
+test.after(async () => {
+  process.env.AUTH_DISABLED = "true";
+  await pool.query("TRUNCATE app_users CASCADE");
+  await server.close();
+  await pool.end();
+});
+
+async function send(method, path, { body, token } = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, headers: response.headers, body: response.status === 204 ? null : await response.json() };
+}
+
+async function loginAs(username) {
+  const { status, body } = await send("POST", "/api/auth/login", { body: { username, password: PASSWORD } });
+  assert.equal(status, 200);
+  return body.token;
+}
+
+test("requires a login for the API but not for the health check", async () => {
+  assert.equal((await send("GET", "/api/instructors")).status, 401);
+  assert.equal((await send("POST", "/api/query", { body: { query: "Who is the highest rated instructor?" } })).status, 401);
+  assert.equal((await send("GET", "/api/health")).status, 200);
+});
+
+test("logs in with a password and sets the session cookie", async () => {
+  const wrong = await send("POST", "/api/auth/login", { body: { username: "alan", password: "not it" } });
+  assert.equal(wrong.status, 401);
+  const unknown = await send("POST", "/api/auth/login", { body: { username: "nobody", password: PASSWORD } });
+  assert.deepEqual(unknown.body, wrong.body);
+
+  const { status, headers, body } = await send("POST", "/api/auth/login", { body: { username: "Alan", password: PASSWORD } });
+  assert.equal(status, 200);
+  assert.equal(body.user.role, "analyst");
+  assert.equal(body.user.password_hash, undefined);
+  assert.match(headers.get("set-cookie"), /^session=[^;]+;.*HttpOnly/);
+
+  // The cookie works as well as the bearer token
+  const cookie = headers.get("set-cookie").split(";")[0];
+  const me = await fetch(`${server.baseUrl}/api/auth/me`, { headers: { Cookie: cookie } });
+  assert.equal((await me.json()).user.display_name, "Alan Analyst");
+});
+
+test("viewers get answers without the SQL and can't open the log or save questions", async () => {
+  const token = await loginAs("vera");
+  const { status, body } = await send("POST", "/api/query", { token, body: { query: "Who is the highest rated instructor?" } });
+  assert.equal(status, 200);
+  assert.ok(body.data.length > 0);
+  assert.equal(body.sql, undefined);
+  assert.equal(body.params, undefined);
+
+  assert.equal((await send("GET", "/api/query-log", { token })).status, 403);
+  const save = await send("POST", "/api/saved-queries", { token, body: { name: "Mine", sql: "SELECT 1" } });
+  assert.equal(save.status, 403);
+});
+
+test("analysts see the SQL but can't run imports", async () => {
+  const token = await loginAs("alan");
+  const { body } = await send("POST", "/api/query", { token, body: { query: "Who is the highest rated instructor?" } });
+  assert.match(body.sql, /SELECT/i);
+  assert.equal((await send("GET", "/api/query-log", { token })).status, 200);
+  assert.equal((await send("POST", "/api/imports", { token })).status, 403);
+  assert.equal((await send("GET", "/api/aliases", { token })).status, 403);
+});
+
+test("conversations and log entries are private to whoever asked", async () => {
+  const alan = await loginAs("alan");
+  const { body: answer } = await send("POST", "/api/query", { token: alan, body: { query: "Who is the highest rated instructor?" } });
+  const conversation = `/api/conversations/${answer.conversationId}`;
+  const turn = `${conversation}/turns/${answer.turnId}`;
+  assert.equal((await send("GET", conversation, { token: alan })).status, 200);
+
+  for (const username of ["vera", "anna"]) {
+    const token = await loginAs(username);
+    assert.equal((await send("GET", conversation, { token })).status, 404);
+    assert.equal((await send("GET", `${turn}/export?format=json`, { token })).status, 404);
+    assert.equal((await send("GET", `${turn}/explain`, { token })).status, 404);
+    const followUp = await send("POST", "/api/query", { token, body: { query: "And the lowest?", conversationId: answer.conversationId } });
+    assert.equal(followUp.status, 404);
+  }
+  const { body: thread } = await send("GET", conversation, { token: alan });
+  assert.equal(thread.turns.length, 1);
+
+  const anna = await loginAs("anna");
+  const { body: log } = await send("GET", "/api/query-log", { token: anna });
+  assert.ok(log.every(entry => entry.asked_by === "anna"));
+  assert.equal((await send("GET", `/api/query-log/${answer.logId}`, { token: anna })).status, 404);
+  assert.equal((await send("POST", `/api/query-log/${answer.logId}/replay`, { token: anna, body: { mode: "sql" } })).status, 404);
+  assert.equal((await send("POST", "/api/examples", { token: anna, body: { logId: answer.logId } })).status, 404);
+
+  const ada = await loginAs("ada");
+  assert.equal((await send("GET", `/api/query-log/${answer.logId}`, { token: ada })).status, 200);
+});
+
+test("admins manage users and aliases", async () => {
+  const token = await loginAs("ada");
+
+  const created = await send("POST", "/api/aliases", { token, body: { entity: "instructor", alias: "UB", canonical: "udit bhatia" } });
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.body.alias, created.body.canonical, created.body.source], ["ub", "Udit Bhatia", "manual"]);
+  const unknown = await send("POST", "/api/aliases", { token, body: { entity: "instructor", alias: "xx", canonical: "Nobody" } });
+  assert.equal(unknown.status, 400);
+  assert.equal((await send("DELETE", `/api/aliases/${created.body.id}`, { token })).status, 204);
+
+  const user = await send("POST", "/api/users", { token, body: { username: "new.viewer", password: PASSWORD } });
+  assert.equal(user.status, 201);
+  assert.equal(user.body.role, "viewer");
+  assert.equal((await send("POST", "/api/users", { token, body: { username: "new.viewer", password: PASSWORD } })).status, 409);
+  assert.equal((await send("POST", "/api/users", { token, body: { username: "short", password: "123" } })).status, 400);
+
+  const promoted = await send("PATCH", `/api/users/${user.body.id}`, { token, body: { role: "analyst" } });
+  assert.equal(promoted.body.role, "analyst");
+});
+
+test("logging out or disabling a user ends the session", async () => {
+  const token = await loginAs("vera");
+  assert.equal((await send("POST", "/api/auth/logout", { token })).status, 204);
+  assert.equal((await send("GET", "/api/auth/me", { token })).status, 401);
+
+  const again = await loginAs("vera");
+  const admin = await loginAs("ada");
+  const { body: users } = await send("GET", "/api/users", { token: admin });
+  const vera = users.find(u => u.username === "vera");
+  await send("PATCH", `/api/users/${vera.id}`, { token: admin, body: { disabled: true } });
+  assert.equal((await send("GET", "/api/auth/me", { token: again })).status, 401);
+  assert.equal((await send("POST", "/api/auth/login", { body: { username: "vera", password: PASSWORD } })).status, 401);
+});
+
+test("signs in through the OIDC provider hook", async () => {
+  assert.equal((await send("POST", "/api/auth/oidc", { body: { idToken: "stub:olga" } })).status, 404);
+
+  process.env.AUTH_OIDC_PROVIDER = path.join(__dirname, "..", "oidcStub.js");
+  try {
+    const first = await send("POST", "/api/auth/oidc", { body: { idToken: "stub:olga" } });
+    assert.equal(first.status, 200);
+    assert.deepEqual([first.body.user.username, first.body.user.role, first.body.user.auth_provider], ["olga", "viewer", "oidc"]);
+
+    // The provider's role claim wins on the next login
+    const second = await send("POST", "/api/auth/oidc", { body: { idToken: "stub:olga:analyst" } });
+    assert.equal(second.body.user.id, first.body.user.id);
+    assert.equal(second.body.user.role, "analyst");
+
+    assert.equal((await send("POST", "/api/auth/oidc", { body: { idToken: "forged" } })).status, 401);
+    // OIDC users can't take over a local account's name
+    assert.equal((await send("POST", "/api/auth/oidc", { body: { idToken: "stub:ada" } })).status, 409);
+  } finally {
+    delete process.env.AUTH_OIDC_PROVIDER;
+  }
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pool } = require("../db");
+
+let loader;
+let mapper;
+let mapping;
+test.before(async () => {
+  loader = await import("../etl/session_loader.mjs");
+  mapper = await import("../etl/column_mapping.mjs");
+  mapping = mapper.loadMapping();
+});
+test.after(() => pool.end());
+
+function sheetRow(overrides = {}) {
+  return {
+    "Topic Code": "ETL-1",
+    "Domain": "Testing",
+    "Class": "ETL Class",
+    "Class Region": "US",
+    "First Name": "Ada",
+    "Last Name": "Loader",
+    "Instructor Region": "US",
+    "Session Date": "2025-03-04",
+    "Average": 4.5,
+    "responses": 8,
+    "No of Students Attended": 10,
+    "% Rated": 0.8,
+    ...overrides,
+  };
+}
+
+// Maps a spreadsheet row to fields the way the loader does
+function mapped(source) {
+  const { columns } = mapper.matchColumns(Object.keys(source), mapping);
+  return mapper.applyMapping(source, columns, mapping);
+}
+
+const located = (rows) => rows.map((source, i) => ({ sheet: "Sheet1", row: i + 2, data: mapped(source), source }));
+
+function writeTemp(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "etl-")), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test("accepts a clean row and normalizes dates and percentages", () => {
+  const { record, errors } = loader.validateRow(mapped(sheetRow({ "Session Date": 45720 })));
+  assert.deepEqual(errors, []);
+  assert.equal(record.date, "2025-03-04");
+  assert.equal(record.ratedPct, 80);
+
+  assert.equal(loader.validateRow(mapped(sheetRow({ "% Rated": 80 }))).record.ratedPct, 80);
+  assert.equal(loader.validateRow(mapped(sheetRow({ "% Rated": null }))).record.ratedPct, 80);
+});
+
+test("rejects rows that break the validation rules", () => {
+  const reasons = (overrides) => loader.validateRow(mapped(sheetRow(overrides))).errors.join("; ");
+
+  assert.match(reasons({ "Average": 6.2 }), /between 1 and 5/);
+  assert.match(reasons({ "Average": null }), /Missing Average/);
+  assert.match(reasons({ "responses": 12 }), /greater than/);
+  assert.match(reasons({ "% Rated": 0.3 }), /does not match/);
+  assert.match(reasons({ "Session Date": "someday" }), /not a valid date/);
+  assert.match(reasons({ "First Name": "" }), /Missing First Name/);
+});
+
+test("stores a missing average as NULL only when nobody responded", () => {
+  const { record } = loader.validateRow(mapped(sheetRow({ "Average": null, "responses": 0, "% Rated": 0 })));
+  assert.equal(record.averageRating, null);
+});
+
+test("rejects repeated sessions within a file", () => {
+  const { records, rejected } = loader.validateRows(located([sheetRow(), sheetRow({ "Average": 3 })]));
+  assert.equal(records.length, 1);
+  assert.deepEqual(rejected[0].errors, ["Duplicate of Sheet1 row 2"]);
+});
+
+test("maps renamed CSV columns with the mapping file and reports unmapped ones", () => {
+  const file = writeTemp("sessions.csv", [
+    "Topic,Domain,Class Name,First Name,Last Name,Date,Average Rating,Responses,Attended,Rated %,Notes",
+    "ETL-1,Testing,ETL Class,Ada,Loader,3/4/2025,4.5,8,10,80%,first run",
+  ].join("\n"));
+
+  const { rows, sheets } = mapper.readSessionFile(file, mapping);
+  assert.deepEqual(sheets[0].unmapped, ["Notes"]);
+  assert.equal(rows[0].row, 2);
+
+  const { record, errors } = loader.validateRow(rows[0].data);
+  assert.deepEqual(errors, []);
+  assert.equal(record.date, "2025-03-04");
+  assert.equal(record.ratedPct, 80);
+  assert.equal(record.classRegion, "");
+});
+
+test("auto-detects close header spellings in TSV files", () => {
+  const file = writeTemp("sessions.tsv", [
+    "Topic Code\tDomain\tClass\tFirst Name\tLast Name\tSession Date\tAverage\tresponses\tStudents Attended",
+    "ETL-1\tTesting\tETL Class\tAda\tLoader\t2025-03-04\t4.5\t8\t10",
+  ].join("\n"));
+
+  const { rows, sheets } = mapper.readSessionFile(file, mapping);
+  assert.deepEqual(sheets[0].autoDetected, ["attended"]);
+  assert.equal(rows[0].data.attended, 10);
+});
+
+test("skips sheets missing a required column", () => {
+  const { missing } = mapper.matchColumns(["Domain", "Class", "First Name", "Last Name"], mapping);
+  assert.deepEqual(missing, ["topic", "date"]);
+});
+
+test("applies mapping defaults and transforms", () => {
+  const custom = {
+    topic: { headers: ["Code"], transform: "uppercase" },
+    ratedPct: { headers: ["Share"], transform: "percent", scale: "fraction" },
+    instrRegion: { default: "US" },
+  };
+  const { columns } = mapper.matchColumns(["Code", "Share"], custom);
+  assert.deepEqual(mapper.applyMapping({ Code: " etl-1 ", Share: "0.25" }, columns, custom),
+    { ...mapper.applyMapping({}, {}, {}), topic: "ETL-1", ratedPct: 25, instrRegion: "US" });
+
+  const file = writeTemp("mapping.json", JSON.stringify({ fields: { rating: { headers: ["Stars"] } } }));
+  assert.throws(() => mapper.loadMapping(file), /unknown field "rating"/);
+});
+
+test("upserts sessions and counts inserted, updated and unchanged rows", async () => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const rows = [sheetRow(), sheetRow({ "Session Date": "2025-03-05" })];
+    const { records } = loader.validateRows(located(rows));
+
+    const first = await loader.upsertSessions(client, records);
+    assert.equal(first.inserted, 2);
+    assert.deepEqual(first.newDimensions, { domains: 1, topics: 1, instructors: 1, classes: 1 });
+
+    const again = await loader.upsertSessions(client, records);
+    assert.deepEqual([again.inserted, again.updated, again.unchanged], [0, 0, 2]);
+
+    const changed = loader.validateRows(located([rows[0], { ...rows[1], "Average": 3.75 }])).records;
+    const update = await loader.upsertSessions(client, changed);
+    assert.deepEqual([update.inserted, update.updated, update.unchanged], [0, 1, 1]);
+
+    const { rows: [stored] } = await client.query(
+      "SELECT average_rating FROM fact_sessions WHERE pst_date = '2025-03-05' AND average_rating = 3.75"
+    );
+    assert.ok(stored);
+  } finally {
+    await client.query("ROLLBACK");
+    client.release();
+  }
+});
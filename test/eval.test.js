@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { startServer } = require("./helpers/server");
+const { runEvaluation, compareResultSets } = require("./eval/harness");
+const cases = require("./eval/cases.json");
+
+test.after(() => pool.end());
+
+test("compareResultSets ignores column names, column order and numeric formatting", () => {
+  const actual = [{ name: "A", avg: 4.5 }, { name: "B", avg: "3.10" }];
+  const expected = [{ avg_rating: "3.1", full_name: "B" }, { avg_rating: "4.50", full_name: "A" }];
+  assert.equal(compareResultSets(actual, expected).match, true);
+  assert.equal(compareResultSets(actual, expected, { ordered: true }).match, false);
+});
+
+test("compareResultSets reports row count differences", () => {
+  const { match, reason } = compareResultSets([], [{ n: 1 }]);
+  assert.equal(match, false);
+  assert.match(reason, /expected 1 rows, got 0/);
+});
+
+test("the golden catalog passes end to end when the model returns the golden SQL", async () => {
+  const server = await startServer();
+  try {
+    const { results, accuracy } = await runEvaluation({ baseUrl: server.baseUrl, cases });
+    assert.equal(accuracy, 1, JSON.stringify(results.filter(r => !r.passed), null, 2));
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,91 @@
+// test/eval/harness.js
+// Evaluation harness: sends each catalog question through POST /api/query and
+// compares the rows of the generated SQL with the rows of the golden SQL.
+
+const { executeReadOnlyQuery } = require("../../db");
+
+// Numbers (pg returns NUMERIC as strings) are compared at 2 decimal places, dates as YYYY-MM-DD
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (typeof value === "number" || (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim()))) {
+    return Number(Number(value).toFixed(2));
+  }
+  return String(value).trim();
+}
+
+// Column names and column order are ignored: the model may alias or reorder columns freely
+function normalizeRow(row) {
+  return JSON.stringify(Object.values(row).map(normalizeValue).sort((a, b) => String(a).localeCompare(String(b))));
+}
+
+/**
+ * Compares two result sets.
+ * @param {Array<Object>} actual Rows from the generated SQL.
+ * @param {Array<Object>} expected Rows from the golden SQL.
+ * @param {Object} options { ordered: true } to require the same row order.
+ * @returns {{match: boolean, reason: string|null}}
+ */
+function compareResultSets(actual, expected, { ordered = false } = {}) {
+  if (actual.length !== expected.length) {
+    return { match: false, reason: `expected ${expected.length} rows, got ${actual.length}` };
+  }
+
+  let actualRows = actual.map(normalizeRow);
+  let expectedRows = expected.map(normalizeRow);
+  if (!ordered) {
+    actualRows = actualRows.sort();
+    expectedRows = expectedRows.sort();
+  }
+
+  const index = expectedRows.findIndex((row, i) => row !== actualRows[i]);
+  if (index !== -1) {
+    return { match: false, reason: `row ${index + 1} differs: expected ${expectedRows[index]}, got ${actualRows[index]}` };
+  }
+  return { match: true, reason: null };
+}
+
+/**
+ * Runs every case in the catalog against a running server.
+ * @param {Object} options { baseUrl, cases, token (sent as a bearer token when the server requires a login) }
+ * @returns {Promise<{results: Array, passed: number, total: number, accuracy: number}>}
+ */
+async function runEvaluation({ baseUrl, cases, token = null }) {
+  const results = [];
+
+  for (const testCase of cases) {
+    const result = { id: testCase.id, question: testCase.question, goldenSql: testCase.sql };
+
+    try {
+      const response = await fetch(`${baseUrl}/api/query`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        // Nobody is there to answer clarification questions, so let the model handle ambiguity
+        body: JSON.stringify({ query: testCase.question, clarify: false }),
+      });
+      const body = await response.json();
+      result.generatedSql = body.sql || null;
+      result.attempts = body.attempts ? body.attempts.length : 0;
+
+      if (!response.ok) {
+        Object.assign(result, { passed: false, reason: `API returned ${response.status}: ${body.error}` });
+      } else {
+        const { rows: expected } = await executeReadOnlyQuery(testCase.sql);
+        const { match, reason } = compareResultSets(body.data, expected, { ordered: /ORDER\s+BY/i.test(testCase.sql) });
+        Object.assign(result, { passed: match, reason });
+      }
+    } catch (error) {
+      Object.assign(result, { passed: false, reason: error.message });
+    }
+
+    results.push(result);
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  return { results, passed, total: results.length, accuracy: results.length ? passed / results.length : 0 };
+}
+
+module.exports = { runEvaluation, compareResultSets, normalizeValue };
@@ -0,0 +1,79 @@
+// test/eval/run.js
+// Offline evaluation of question -> SQL accuracy.
+//
+// Usage:
+//   npm run eval                                  # fixture database, configured LLM provider
+//   EVAL_DATABASE_URL=postgres://... npm run eval # evaluate against another (read-only) database
+//   npm run eval -- --cases=./my-cases.json --min-accuracy=0.8
+//
+// Each case is { id, question, sql }. A case passes when the rows returned by
+// the generated SQL match the rows of the golden SQL.
+
+const crypto = require("crypto");
+const path = require("path");
+const { startTestDatabase } = require("../helpers/testDatabase");
+
+const getArg = (name) => {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : null;
+};
+
+async function main() {
+  const casesFile = path.resolve(getArg("cases") || path.join(__dirname, "cases.json"));
+  const minAccuracy = parseFloat(getArg("min-accuracy") || "0");
+
+  let db = null;
+  if (process.env.EVAL_DATABASE_URL) {
+    process.env.NEON_DATABASE_URL = process.env.EVAL_DATABASE_URL;
+  } else {
+    db = await startTestDatabase();
+    process.env.NEON_DATABASE_URL = db.url;
+    process.env.DATABASE_SSL = "false";
+  }
+
+  // The cases are asked as an admin through a one-off ADMIN_TOKEN, so logins stay on.
+  // Rate limits, the token quota and the answer cache are off: every case must reach the model.
+  // Examples matching a case are left out of the library, or the prompt would contain the answer.
+  const adminToken = crypto.randomBytes(32).toString("hex");
+  Object.assign(process.env, {
+    ADMIN_TOKEN: adminToken,
+    RATE_LIMIT_PER_USER: "0",
+    RATE_LIMIT_PER_IP: "0",
+    LLM_DAILY_TOKEN_QUOTA: "0",
+    ANSWER_CACHE_TTL_MS: "0",
+    SQL_EXAMPLE_EXCLUDE_FILE: casesFile,
+  });
+
+  // Required only after the database URL is known (db.js reads it on load)
+  const { startServer } = require("../helpers/server");
+  const { pool } = require("../../db");
+  const { runEvaluation } = require("./harness");
+
+  const cases = require(casesFile);
+  const server = await startServer();
+
+  try {
+    console.log(`Evaluating ${cases.length} cases from ${casesFile}...\n`);
+    const { results, passed, total, accuracy } = await runEvaluation({ baseUrl: server.baseUrl, cases, token: adminToken });
+
+    for (const r of results) {
+      console.log(`${r.passed ? "PASS" : "FAIL"}  ${r.id}${r.attempts > 1 ? ` (${r.attempts} attempts)` : ""}`);
+      if (!r.passed) {
+        console.log(`      ${r.reason}`);
+        if (r.generatedSql) console.log(`      generated: ${r.generatedSql.replace(/\s+/g, " ")}`);
+      }
+    }
+
+    console.log(`\nAccuracy: ${passed}/${total} (${(accuracy * 100).toFixed(1)}%)`);
+    process.exitCode = accuracy >= minAccuracy ? 0 : 1;
+  } finally {
+    await server.close();
+    await pool.end();
+    if (db) await db.stop();
+  }
+}
+
+main().catch((error) => {
+  console.error("[Eval] Failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const path = require("path");
+const { findSimilarExamples, reloadExamples, tokenize } = require("../examples");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(async () => {
+  await pool.query("TRUNCATE sql_examples");
+  await server.close();
+  await pool.end();
+});
+
+async function send(method, path, body) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method, headers: { "Content-Type": "application/json" }, body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+test("tokenizes questions without stop words and with plurals and tenses folded", () => {
+  assert.deepEqual(tokenize("Who are the highest rated instructors?"), ["highest", "rat", "instructor"]);
+  assert.deepEqual(tokenize("Ratings of classes"), ["rat", "class"]);
+});
+
+test("finds the seed examples most similar to a question", async () => {
+  const examples = await findSimilarExamples("Which instructor has the best weighted rating in Data Science?");
+  assert.equal(examples.length, 3);
+  assert.equal(examples[0].question, "Highest Rated Instructor (Weighted) in Data Science");
+  assert.equal(examples[0].source, "seed");
+  assert.ok(examples.every((e, i) => i === 0 || e.score <= examples[i - 1].score));
+
+  assert.deepEqual(await findSimilarExamples("zebra quokka"), []);
+});
+
+test("sends the similar examples with the question and logs which ones", async () => {
+  const { body } = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+  const { body: entry } = await getJson(`${server.baseUrl}/api/query-log/${body.logId}`);
+  assert.ok(entry.examples.length > 0);
+  assert.deepEqual(Object.keys(entry.examples[0]), ["id", "score"]);
+});
+
+test("promotes an answered question to the library with its values written in", async () => {
+  const { body: answer } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Robert Smith" } }
+  });
+  const { status, body: example } = await send("POST", "/api/examples", { logId: answer.logId });
+  assert.equal(status, 201);
+  assert.equal(example.source, "feedback");
+  assert.equal(example.log_id, answer.logId);
+  assert.match(example.sql, /di\.full_name = 'Robert Smith'/);
+
+  const [best] = await findSimilarExamples("how is robert doing lately");
+  assert.equal(best.id, example.id);
+  assert.equal((await send("POST", "/api/examples", { logId: answer.logId })).status, 409);
+
+  const { body: library } = await getJson(`${server.baseUrl}/api/examples`);
+  assert.ok(library.some(e => e.source === "seed"));
+  assert.equal(library.find(e => e.id === example.id).added_by, "dev");
+});
+
+test("only takes safe, literal SQL", async () => {
+  const add = (body) => send("POST", "/api/examples", body);
+  assert.equal((await add({ question: "Wipe it", sql: "DELETE FROM fact_sessions" })).status, 400);
+  assert.match((await add({ question: "By name", sql: "SELECT 1 FROM dim_instructor WHERE full_name = $1" })).body.error, /bind parameters/);
+
+  const { body: failed } = await postJson(`${server.baseUrl}/api/query`, { query: "delete all sessions from 2023" });
+  assert.equal((await add({ logId: failed.logId })).status, 400);
+  assert.equal((await add({ logId: "abc" })).status, 400);
+});
+
+test("admins remove added examples; seeds stay in their file", async () => {
+  const { body: example } = await send("POST", "/api/examples", {
+    question: "Total attendance by topic",
+    sql: "SELECT dt.topic_code, SUM(fs.attended) FROM fact_sessions fs JOIN dim_topic dt ON fs.topic_id = dt.topic_id GROUP BY 1",
+  });
+  assert.equal(example.source, "manual");
+
+  assert.equal((await send("DELETE", `/api/examples/${example.id}`)).status, 204);
+  assert.equal((await send("DELETE", `/api/examples/${example.id}`)).status, 404);
+  assert.equal((await send("DELETE", "/api/examples/seed-1")).status, 400);
+  assert.ok((await findSimilarExamples("total attendance by topic")).every(e => e.id !== example.id));
+});
+
+test("leaves the eval cases out of the library when asked to", async () => {
+  const question = "Highest Rated Instructor (Weighted) in Data Science";
+  process.env.SQL_EXAMPLE_EXCLUDE_FILE = path.join(__dirname, "eval", "cases.json");
+  try {
+    await reloadExamples();
+    const examples = await findSimilarExamples(question, 20);
+    const cases = require("./eval/cases.json");
+    assert.ok(examples.length > 0);
+    assert.ok(examples.every(e => !cases.some(c => c.question === e.question || c.sql === e.sql)));
+  } finally {
+    delete process.env.SQL_EXAMPLE_EXCLUDE_FILE;
+    await reloadExamples();
+  }
+  assert.equal((await findSimilarExamples(question))[0].question, question);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { explainSql } = require("../explainer");
+const { appendTurn } = require("../conversations");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+let server;
+let answer;
+test.before(async () => {
+  server = await startServer();
+  ({ body: answer } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Robert Smith" } }
+  }));
+});
+test.after(async () => {
+  await server.close();
+  await pool.end();
+});
+
+const codesOf = (explanation) => explanation.interpretations.map(i => i.code);
+
+test("explains tables, filters, metrics, grouping and the limit", () => {
+  const explanation = explainSql(
+    "SELECT di.full_name, ROUND(AVG(fs.average_rating), 2) AS avg_rating FROM fact_sessions fs " +
+    "JOIN dim_instructor di ON fs.instructor_id = di.instructor_id WHERE di.full_name = $1 " +
+    "GROUP BY di.full_name ORDER BY avg_rating DESC LIMIT 1",
+    ["Robert Smith"]
+  );
+  assert.deepEqual(explanation.tables.map(t => t.table), ["fact_sessions", "dim_instructor"]);
+  assert.equal(explanation.tables[1].on, "fs.instructor_id = di.instructor_id");
+  assert.deepEqual(explanation.filters.map(f => f.text), ['The instructor name is "Robert Smith"']);
+  assert.equal(explanation.metrics[0].name, "avg_rating");
+  assert.match(explanation.metrics[0].text, /^Average session rating/);
+  assert.equal(explanation.grouping.text, "One row per instructor name");
+  assert.match(explanation.ordering[0].text, /highest first$/);
+  assert.equal(explanation.limit, 1);
+  assert.deepEqual(codesOf(explanation), ["simple_average", "limit"]);
+  assert.ok(explanation.interpretations.every(i => i.suggestion));
+});
+
+test("flags class regions, partial matches and weighted averages", () => {
+  const explanation = explainSql(
+    "SELECT dc.region, SUM(fs.average_rating * fs.responses) / NULLIF(SUM(fs.responses), 0) AS weighted_rating " +
+    "FROM fact_sessions fs JOIN dim_class dc ON fs.class_id = dc.class_id " +
+    "JOIN dim_instructor di ON di.instructor_id = fs.instructor_id " +
+    "WHERE di.full_name = ANY($1) AND dc.class_name ILIKE $2 GROUP BY dc.region",
+    [["Robert Smith", "Jane Doe"], "%Bio%"]
+  );
+  assert.deepEqual(explanation.filters.map(f => f.text), [
+    'The instructor name is one of "Robert Smith" or "Jane Doe"',
+    'The class name must contain "Bio", ignoring case',
+  ]);
+  assert.match(explanation.metrics[0].text, /weighted by number of ratings/);
+  assert.deepEqual(codesOf(explanation).sort(), ["class_region", "partial_match", "weighted_average"]);
+});
+
+test("leaves out the SQL fragments when asked to, and rejects what it can't parse", () => {
+  const explanation = explainSql(
+    "WITH recent AS (SELECT * FROM fact_sessions WHERE pst_date >= '2024-01-01') SELECT COUNT(*) AS sessions FROM recent",
+    [],
+    { includeSql: false }
+  );
+  assert.equal(explanation.steps.length, 1);
+  assert.equal(explanation.steps[0].name, "recent");
+  assert.doesNotMatch(JSON.stringify(explanation), /"(sql|on)":/);
+
+  assert.throws(() => explainSql("SELEC 1"), { status: 400 });
+});
+
+const explainUrl = (conversationId, turnId) => `${server.baseUrl}/api/conversations/${conversationId}/turns/${turnId}/explain`;
+
+test("explains the SQL a turn ran, with its bound values", async () => {
+  const { status, body } = await getJson(explainUrl(answer.conversationId, answer.turnId));
+  assert.equal(status, 200);
+  assert.deepEqual(body.filters.map(f => f.text), ['The instructor name is "Robert Smith"']);
+  assert.ok(body.filters[0].sql);
+  assert.ok(codesOf(body).includes("simple_average"));
+});
+
+test("describes rows made by functions or written into the query", async () => {
+  assert.deepEqual(explainSql("SELECT * FROM generate_series(1, 3) AS g(n)").tables.map(t => t.text),
+    ["Starts from the rows made by the generate_series() function"]);
+  assert.deepEqual(explainSql("SELECT * FROM (VALUES (1), (2)) v(x)").tables.map(t => t.text),
+    ["Starts from a list of 2 rows written into the query"]);
+
+  const turnId = await appendTurn(answer.conversationId, {
+    askedBy: "dev", question: "Count to three", sql: "SELECT * FROM generate_series(1, 3)"
+  });
+  const { status, body } = await getJson(explainUrl(answer.conversationId, turnId));
+  assert.equal(status, 200);
+  assert.equal(body.tables[0].table, "generate_series");
+});
+
+test("404s for unknown turns and 400s for bad ids", async () => {
+  assert.equal((await getJson(explainUrl(answer.conversationId, 999999))).status, 404);
+  assert.equal((await getJson(explainUrl(answer.conversationId, "abc"))).status, 400);
+  assert.equal((await getJson(explainUrl("not-a-conversation", answer.turnId))).status, 400);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+const { buildExport } = require("../exporter");
+
+test("formats CSV values the way the results table shows them", () => {
+  const { body } = buildExport("csv", [
+    { session_date: new Date(2024, 2, 5), avg_rating: 4.8567, sessions: "12", note: 'said "hi", left' },
+  ]);
+  assert.equal(body, '\uFEFFSESSION DATE,AVG RATING,SESSIONS,NOTE\r\n2024-03-05,4.86,12,"said ""hi"", left"\r\n');
+});
+
+test("neutralizes spreadsheet formulas in CSV text but not negative numbers", () => {
+  const { body } = buildExport("csv", [{ name: "=HYPERLINK(\"x\")", delta: "-0.25" }]);
+  assert.equal(body.split("\r\n")[1], `"'=HYPERLINK(""x"")",-0.25`);
+});
+
+test("keeps DATE values on their day east and west of UTC", () => {
+  const originalTz = process.env.TZ;
+  try {
+    for (const tz of ["Asia/Kolkata", "America/Los_Angeles"]) {
+      process.env.TZ = tz;
+      // What node-pg returns for DATE '2024-03-05': local midnight
+      const rows = [{ session_date: new Date(2024, 2, 5), loaded_at: new Date("2024-03-05T10:15:00Z") }];
+
+      assert.equal(buildExport("csv", rows).body.split("\r\n")[1], "2024-03-05,2024-03-05T10:15:00.000Z", tz);
+
+      const sheet = XLSX.read(buildExport("xlsx", rows).body, { type: "buffer" }).Sheets.Results;
+      assert.equal(sheet.A2.w, "2024-03-05", tz);
+      assert.equal(sheet.A2.v, 45356, tz);
+    }
+  } finally {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  }
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { submitFeedback } = require("../feedback");
+const { findSimilarExamples } = require("../examples");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+const CORRECTED = "SELECT di.full_name, COUNT(fs.session_id) AS sessions, ROUND(AVG(fs.average_rating), 2) AS avg_rating " +
+  "FROM fact_sessions fs JOIN dim_instructor di ON fs.instructor_id = di.instructor_id " +
+  "WHERE di.full_name = 'Robert Smith' GROUP BY di.full_name";
+
+let server;
+let answer;
+test.before(async () => {
+  server = await startServer();
+  ({ body: answer } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Robert Smith" } }
+  }));
+});
+test.after(async () => {
+  await pool.query("TRUNCATE answer_feedback, sql_examples");
+  await server.close();
+  await pool.end();
+});
+
+const feedbackUrl = (path = "") => `${server.baseUrl}/api/feedback${path}`;
+
+test("stores a rating with the question and the SQL that ran", async () => {
+  const { status, body } = await postJson(feedbackUrl(), {
+    logId: answer.logId, rating: "down", comment: "Should also count the sessions", correctedSql: CORRECTED
+  });
+  assert.equal(status, 201);
+  assert.equal(body.question, "How is Robert doing?");
+  assert.match(body.generated_sql, /di\.full_name = 'Robert Smith'/);
+  assert.equal(body.corrected_sql, CORRECTED);
+  assert.equal(body.status, "open");
+
+  // Rating the same answer again replaces the feedback
+  const again = await postJson(feedbackUrl(), { logId: answer.logId, rating: "down", comment: "Needs the session count", correctedSql: CORRECTED });
+  assert.equal(again.body.id, body.id);
+  assert.equal(again.body.comment, "Needs the session count");
+
+  const { body: queue } = await getJson(feedbackUrl("?rating=down&status=open"));
+  assert.deepEqual(queue.map(f => f.id), [body.id]);
+});
+
+test("rejects bad ratings, unsafe corrections and other users' answers", async () => {
+  assert.equal((await postJson(feedbackUrl(), { logId: answer.logId, rating: "meh" })).status, 400);
+  assert.equal((await postJson(feedbackUrl(), { logId: "abc", rating: "up" })).status, 400);
+  assert.equal((await postJson(feedbackUrl(), { logId: 999999, rating: "up" })).status, 404);
+  assert.equal((await postJson(feedbackUrl(), { logId: answer.logId, rating: "down", correctedSql: "DELETE FROM fact_sessions" })).status, 422);
+  assert.equal((await getJson(feedbackUrl("?status=done"))).status, 400);
+
+  await assert.rejects(
+    submitFeedback({ logId: answer.logId, user: { username: "someone-else", role: "viewer" }, rating: "up" }),
+    { status: 403 }
+  );
+});
+
+test("reviewers run the correction and promote it into the example library", async () => {
+  const { body: [feedback] } = await getJson(feedbackUrl("?rating=down"));
+
+  const run = await postJson(feedbackUrl(`/${feedback.id}/run`), {});
+  assert.equal(run.status, 200);
+  assert.equal(run.body.sql, CORRECTED);
+  assert.deepEqual(Object.keys(run.body.data[0]), ["full_name", "sessions", "avg_rating"]);
+
+  const broken = await postJson(feedbackUrl(`/${feedback.id}/run`), { sql: "SELECT no_such_column FROM fact_sessions" });
+  assert.equal(broken.status, 400);
+  assert.match(broken.body.error, /The SQL failed/);
+  assert.equal((await postJson(feedbackUrl(`/${feedback.id}/promote`), { sql: "SELECT no_such_column FROM fact_sessions" })).status, 400);
+
+  const { status, body } = await postJson(feedbackUrl(`/${feedback.id}/promote`), {});
+  assert.equal(status, 201);
+  assert.equal(body.feedback.status, "promoted");
+  assert.equal(body.feedback.example_id, body.example.id);
+  assert.equal(body.feedback.reviewed_by, "dev");
+  assert.equal(body.example.source, "feedback");
+  assert.equal(body.example.sql, CORRECTED);
+  assert.equal(body.example.log_id, answer.logId);
+
+  const [best] = await findSimilarExamples("How is Robert doing?");
+  assert.equal(best.id, body.example.id);
+  assert.equal((await postJson(feedbackUrl(`/${feedback.id}/promote`), {})).status, 409);
+});
+
+test("reviewers dismiss feedback that needs no change", async () => {
+  const { body: other } = await postJson(`${server.baseUrl}/api/query`, { query: "Who is the highest rated instructor?" });
+  const { body: feedback } = await postJson(feedbackUrl(), { logId: other.logId, rating: "up" });
+
+  const { status, body } = await postJson(feedbackUrl(`/${feedback.id}/dismiss`), {});
+  assert.equal(status, 200);
+  assert.equal(body.status, "dismissed");
+  assert.equal((await postJson(feedbackUrl("/999999/dismiss"), {})).status, 404);
+
+  const { body: open } = await getJson(feedbackUrl("?status=open"));
+  assert.deepEqual(open, []);
+});
@@ -0,0 +1,63 @@
+-- Test fixtures: a small, fixed slice of session data loaded after schema.sql.
+
+INSERT INTO dim_instructor (first_name, last_name, region) VALUES
+  ('Konstantinos', 'Pappas', 'Europe'),
+  ('Udit', 'Bhatia', 'India'),
+  ('Parivesh', 'Kumar', 'India'),
+  ('Robert', 'Smith', 'US'),
+  ('Robert', 'Jones', 'US'),
+  ('Sean', 'O''Brien', 'US');
+
+INSERT INTO dim_class (class_name, region) VALUES
+  ('System Design - Scalability', 'US'),
+  ('System Design - Scalability', 'India'),
+  ('Intro to Python', 'US'),
+  ('Backend', 'US'),
+  ('Product Management Behavioral', 'India');
+
+INSERT INTO dim_domain (domain_name) VALUES
+  ('Data Science'),
+  ('Backend'),
+  ('System Design'),
+  ('Product Management');
+
+INSERT INTO dim_topic (topic_code) VALUES
+  ('Live Class'),
+  ('Test Review'),
+  ('Career Skills');
+
+INSERT INTO fact_sessions
+  (instructor_id, class_id, domain_id, topic_id, pst_date, average_rating, responses, attended, rated_pct)
+SELECT di.instructor_id, dc.class_id, dd.domain_id, dt.topic_id,
+       v.pst_date::date, v.average_rating, v.responses, v.attended, v.rated_pct
+FROM (VALUES
+  ('Konstantinos Pappas', 'System Design - Scalability', 'US',    'System Design',      'Live Class',    '2024-01-09', 4.80, 20, 40, 50.00),
+  ('Konstantinos Pappas', 'System Design - Scalability', 'US',    'System Design',      'Live Class',    '2024-01-23', 4.60, 18, 36, 50.00),
+  ('Konstantinos Pappas', 'System Design - Scalability', 'India', 'System Design',      'Live Class',    '2024-02-06', 4.90, 25, 50, 50.00),
+  ('Konstantinos Pappas', 'System Design - Scalability', 'US',    'System Design',      'Test Review',   '2024-02-20', 4.70, 10, 30, 33.33),
+  ('Udit Bhatia',         'Backend',                     'US',    'Backend',            'Live Class',    '2024-01-11', 4.20, 12, 30, 40.00),
+  ('Udit Bhatia',         'Backend',                     'US',    'Backend',            'Live Class',    '2024-01-25', 4.40, 15, 30, 50.00),
+  ('Udit Bhatia',         'Backend',                     'US',    'Backend',            'Live Class',    '2024-02-08', 4.50, 16, 32, 50.00),
+  ('Udit Bhatia',         'Backend',                     'US',    'Backend',            'Test Review',   '2024-02-22', 3.90,  8, 20, 40.00),
+  ('Parivesh Kumar',      'Intro to Python',             'US',    'Data Science',       'Live Class',    '2024-01-15', 4.10, 30, 60, 50.00),
+  ('Parivesh Kumar',      'Intro to Python',             'US',    'Data Science',       'Live Class',    '2024-01-29', 4.30, 28, 56, 50.00),
+  ('Parivesh Kumar',      'Intro to Python',             'US',    'Data Science',       'Live Class',    '2024-02-12', 4.60, 32, 64, 50.00),
+  ('Parivesh Kumar',      'Intro to Python',             'US',    'Data Science',       'Career Skills', '2024-02-26', 4.00, 10, 40, 25.00),
+  ('Robert Smith',        'Product Management Behavioral', 'India', 'Product Management', 'Live Class',  '2024-01-17', 3.80, 14, 35, 40.00),
+  ('Robert Smith',        'Product Management Behavioral', 'India', 'Product Management', 'Live Class',  '2024-02-14', 4.00, 15, 30, 50.00),
+  ('Robert Jones',        'Intro to Python',             'US',    'Data Science',       'Live Class',    '2024-01-19', 4.95, 40, 80, 50.00),
+  ('Robert Jones',        'Intro to Python',             'US',    'Data Science',       'Live Class',    '2024-02-16', 4.85, 38, 76, 50.00),
+  ('Sean O''Brien',       'Backend',                     'US',    'Backend',            'Live Class',    '2024-02-28', 4.50, 10, 25, 40.00)
+) AS v(instructor, class_name, class_region, domain_name, topic_code, pst_date, average_rating, responses, attended, rated_pct)
+JOIN dim_instructor di ON di.full_name = v.instructor
+JOIN dim_class dc ON dc.class_name = v.class_name AND dc.region = v.class_region
+JOIN dim_domain dd ON dd.domain_name = v.domain_name
+JOIN dim_topic dt ON dt.topic_code = v.topic_code;
+
+INSERT INTO dim_value_alias (entity, canonical, alias, source) VALUES
+  ('domain', 'Data Science', 'ds', 'manual'),
+  ('domain', 'System Design', 'sd', 'manual'),
+  ('instructor', 'Konstantinos Pappas', 'kostas', 'manual'),
+  ('instructor', 'Robert Smith', 'rs', 'generated'),
+  ('instructor', 'Robert Smith', 'robert', 'generated'),
+  ('instructor', 'Robert Jones', 'robert', 'generated');
@@ -0,0 +1,55 @@
+// test/helpers/server.js
+// Starts the Express app on a random port for HTTP-level tests.
+
+const app = require("../../server");
+
+/**
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+function startServer() {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Small fetch wrapper that returns the status and parsed JSON body.
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getJson(url) {
+  const response = await fetch(url);
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Posts to a newline-delimited JSON endpoint and collects every streamed line.
+ */
+async function postStream(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  return {
+    status: response.status,
+    contentType: response.headers.get("content-type"),
+    events: text.split("\n").filter(Boolean).map(line => JSON.parse(line)),
+  };
+}
+
+module.exports = { startServer, postJson, getJson, postStream };
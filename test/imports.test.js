@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { startServer, getJson } = require("./helpers/server");
+
+const TOKEN = "test-admin-token";
+
+let server;
+test.before(async () => {
+  process.env.ADMIN_TOKEN = TOKEN;
+  server = await startServer();
+});
+test.after(async () => {
+  delete process.env.ADMIN_TOKEN;
+  await server.close();
+  await pool.end();
+});
+
+const HEADER = "Topic Code,Domain,Class,Class Region,First Name,Last Name,Instructor Region,Session Date,Average,responses,No of Students Attended,% Rated";
+
+// Sessions for an instructor from the seed data, so no new dimension values are created
+const udit = (date, average, responses, attended, pct) =>
+  `Live Class,Backend,Backend,US,Udit,Bhatia,India,${date},${average},${responses},${attended},${pct}`;
+
+async function upload(fileName, lines, { dryRun = false, token = TOKEN } = {}) {
+  const response = await fetch(`${server.baseUrl}/api/imports${dryRun ? "?dryRun=true" : ""}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "X-File-Name": encodeURIComponent(fileName) },
+    body: lines.join("\n"),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function rollback(id) {
+  const response = await fetch(`${server.baseUrl}/api/imports/${id}/rollback`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${TOKEN}` },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function session(date) {
+  const { rows } = await pool.query(
+    `SELECT f.average_rating::float AS average_rating, f.import_batch_id::int AS import_batch_id
+     FROM fact_sessions f JOIN dim_instructor i USING (instructor_id)
+     WHERE i.full_name = 'Udit Bhatia' AND f.pst_date = $1`,
+    [date]
+  );
+  return rows[0] || null;
+}
+
+test("imports an upload as a batch with its counts and rejected rows", async () => {
+  const { status, body } = await upload("january.csv", [
+    HEADER,
+    udit("2024-01-11", 4.3, 12, 30, 40),  // Changed rating
+    udit("2024-01-25", 4.4, 15, 30, 50),  // Same as the seed data
+    udit("2024-03-07", 4.6, 10, 20, 50),  // New session
+    udit("2024-03-21", 7, 10, 20, 50),    // Rating out of range
+  ]);
+  assert.equal(status, 201);
+  assert.equal(body.status, "loaded");
+  assert.deepEqual([body.total_rows, body.inserted, body.updated, body.unchanged, body.rejected], [4, 1, 1, 1, 1]);
+  assert.equal((await session("2024-03-07")).import_batch_id, body.batch_id);
+
+  const { body: list } = await getJson(`${server.baseUrl}/api/imports`);
+  assert.equal(list[0].batch_id, body.batch_id);
+  assert.equal(list[0].rejected_rows, undefined);
+
+  const report = await fetch(`${server.baseUrl}/api/imports/${body.batch_id}/rejects?format=csv`);
+  const csv = await report.text();
+  assert.match(csv, /2024-03-21/);
+  assert.match(csv, /between 1 and 5/);
+
+  // Clean up so the seed data is unchanged for the other tests
+  assert.equal((await rollback(body.batch_id)).status, 200);
+});
+
+test("rolls imports back in reverse order and restores the previous values", async () => {
+  const { body: first } = await upload("first.csv", [HEADER, udit("2024-01-11", 4.3, 12, 30, 40), udit("2024-03-14", 4.1, 5, 10, 50)]);
+  const { body: second } = await upload("second.csv", [HEADER, udit("2024-01-11", 4.0, 12, 30, 40)]);
+  assert.equal(second.updated, 1);
+
+  const blocked = await rollback(first.batch_id);
+  assert.equal(blocked.status, 409);
+  assert.match(blocked.body.error, new RegExp(`#${second.batch_id}`));
+
+  const undoSecond = await rollback(second.batch_id);
+  assert.equal(undoSecond.body.restored, 1);
+  assert.equal((await session("2024-01-11")).average_rating, 4.3);
+
+  const undoFirst = await rollback(first.batch_id);
+  assert.equal(undoFirst.status, 200);
+  assert.equal(undoFirst.body.status, "rolled_back");
+  assert.deepEqual([undoFirst.body.deleted, undoFirst.body.restored], [1, 1]);
+  assert.deepEqual(await session("2024-01-11"), { average_rating: 4.2, import_batch_id: null });
+  assert.equal(await session("2024-03-14"), null);
+
+  assert.equal((await rollback(first.batch_id)).status, 409);
+});
+
+test("a dry run reports the counts without writing or recording anything", async () => {
+  const { body: before } = await getJson(`${server.baseUrl}/api/imports`);
+  const { status, body } = await upload("preview.csv", [HEADER, udit("2024-03-28", 4.6, 10, 20, 50)], { dryRun: true });
+  assert.equal(status, 200);
+  assert.equal(body.status, "dry_run");
+  assert.equal(body.inserted, 1);
+  assert.equal(await session("2024-03-28"), null);
+
+  const { body: after } = await getJson(`${server.baseUrl}/api/imports`);
+  assert.equal(after.length, before.length);
+});
+
+test("records failed imports and requires the admin token", async () => {
+  const { status, body } = await upload("notes.txt", ["hello"]);
+  assert.equal(status, 422);
+  assert.equal(body.status, "failed");
+  assert.match(body.error, /Unsupported file type/);
+  assert.ok(body.batch_id);
+
+  process.env.AUTH_DISABLED = "false";
+  try {
+    assert.equal((await upload("january.csv", [HEADER], { token: "wrong" })).status, 401);
+  } finally {
+    process.env.AUTH_DISABLED = "true";
+  }
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+let server;
+test.before(async () => {
+  server = await startServer();
+  await pool.query("TRUNCATE query_log");
+});
+test.after(async () => {
+  await server.close();
+  await pool.end();
+});
+
+test("logs an answered question with its stages, SQL and timings", async () => {
+  const { body: answer } = await postJson(`${server.baseUrl}/api/query`, { query: "How many sessions did O'Brien teach?" });
+  assert.ok(Number.isInteger(answer.logId));
+
+  const { status, body: entry } = await getJson(`${server.baseUrl}/api/query-log/${answer.logId}`);
+  assert.equal(status, 200);
+  assert.equal(entry.status, "answered");
+  assert.equal(entry.source, "query");
+  assert.equal(entry.conversation_id, answer.conversationId);
+  assert.deepEqual(entry.entities, ["O'Brien"]);
+  assert.equal(entry.resolutions[0].candidates[0].value, "Sean O'Brien");
+  assert.match(entry.final_prompt, /SYSTEM CONTEXT/);
+  assert.equal(entry.sql, answer.sql);
+  assert.deepEqual(entry.params, answer.params);
+  assert.equal(entry.row_count, answer.data.length);
+  for (const stage of ["cache", "extraction", "resolution", "sql_generation", "sql_execution", "summary"]) {
+    assert.equal(typeof entry.timings[stage], "number", `missing timing for ${stage}`);
+  }
+  assert.ok(entry.total_ms >= 0);
+});
+
+test("logs failures and clarifications", async () => {
+  const blocked = await postJson(`${server.baseUrl}/api/query`, { query: "delete all sessions from 2023" });
+  const { body: failed } = await getJson(`${server.baseUrl}/api/query-log/${blocked.body.logId}`);
+  assert.equal(failed.status, "error");
+  assert.equal(failed.error_code, "SQL_NOT_READ_ONLY");
+  assert.equal(failed.attempts.length, 1);
+
+  const ambiguous = await postJson(`${server.baseUrl}/api/query`, { query: "How is Robert doing?" });
+  const { body: clarification } = await getJson(`${server.baseUrl}/api/query-log/${ambiguous.body.logId}`);
+  assert.equal(clarification.status, "needs_clarification");
+  assert.equal(clarification.sql, null);
+});
+
+test("filters the history by status and text", async () => {
+  const { body: errors } = await getJson(`${server.baseUrl}/api/query-log?status=error`);
+  assert.deepEqual(errors.map(e => e.question), ["delete all sessions from 2023"]);
+
+  const { body: matches } = await getJson(`${server.baseUrl}/api/query-log?q=o'brien`);
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].row_count, 1);
+
+  const { status } = await getJson(`${server.baseUrl}/api/query-log?status=maybe`);
+  assert.equal(status, 400);
+});
+
+test("replays the exact SQL or the question and links the replay to the original", async () => {
+  const { body: [original] } = await getJson(`${server.baseUrl}/api/query-log?q=o'brien`);
+  const { body: first } = await getJson(`${server.baseUrl}/api/query-log/${original.log_id}`);
+
+  const sqlReplay = await postJson(`${server.baseUrl}/api/query-log/${original.log_id}/replay`, { mode: "sql" });
+  assert.equal(sqlReplay.status, 200);
+  assert.equal(sqlReplay.body.sql, first.sql);
+  assert.equal(sqlReplay.body.data.length, first.row_count);
+
+  const questionReplay = await postJson(`${server.baseUrl}/api/query-log/${original.log_id}/replay`, { mode: "question" });
+  assert.equal(questionReplay.status, 200);
+  assert.equal(questionReplay.body.status, "answered");
+
+  const { body: replays } = await getJson(`${server.baseUrl}/api/query-log?q=o'brien`);
+  const bySource = Object.fromEntries(replays.map(e => [e.source, e]));
+  assert.equal(bySource.replay_sql.replay_of, original.log_id);
+  assert.equal(bySource.replay.replay_of, original.log_id);
+});
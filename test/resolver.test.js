@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const {
+  ensureCachesLoaded, refreshCaches, getCacheStatus, resolveTerm, resolveEntities, getAmbiguities, buildContextMessages, InvalidSelectionError
+} = require("../resolver");
+
+test.before(() => ensureCachesLoaded());
+test.after(() => pool.end());
+
+test("resolves a misspelled instructor to the canonical name", () => {
+  const [match, ...rest] = resolveTerm("Konstatinos");
+  assert.equal(rest.length, 0);
+  assert.deepEqual({ category: match.category, value: match.value }, { category: "instructor", value: "Konstantinos Pappas" });
+});
+
+test("returns every close candidate for an ambiguous term", () => {
+  const values = resolveTerm("Robert").map(c => c.value).sort();
+  assert.deepEqual(values, ["Robert Jones", "Robert Smith"]);
+});
+
+test("matches across categories", () => {
+  const categories = resolveTerm("Backend").map(c => c.category).sort();
+  assert.deepEqual(categories, ["class", "domain"]);
+});
+
+test("returns nothing for unknown terms", () => {
+  assert.deepEqual(resolveTerm("Quantum Basketweaving"), []);
+});
+
+test("binds a single match as a parameter", () => {
+  assert.deepEqual(buildContextMessages(resolveEntities(["Konstatinos"])), {
+    contextMessages: ["User means Instructor $1. Filter by di.full_name = $1"],
+    params: ["Konstantinos Pappas"],
+  });
+});
+
+test("lists all candidates for an ambiguous match", () => {
+  const { contextMessages: [message], params } = buildContextMessages(resolveEntities(["Robert"], { Robert: { any: true } }));
+  assert.match(message, /The term 'Robert' is ambiguous/);
+  assert.match(message, /di\.full_name = ANY\(\$1\)/);
+  assert.deepEqual(params.map(p => p.slice().sort()), [["Robert Jones", "Robert Smith"]]);
+});
+
+test("binds one array per category for cross-category matches", () => {
+  const { contextMessages: [message], params } = buildContextMessages(resolveEntities(["Backend"], { Backend: { any: true } }));
+  assert.match(message, /dd\.domain_name = ANY\(\$1\) OR dc\.class_name = ANY\(\$2\)/);
+  assert.deepEqual(params, [["Backend"], ["Backend"]]);
+});
+
+test("reports unclarified terms with their candidates", () => {
+  const [ambiguity, ...rest] = getAmbiguities(resolveEntities(["Konstatinos", "Robert"]));
+  assert.equal(rest.length, 0);
+  assert.equal(ambiguity.term, "Robert");
+  assert.deepEqual(ambiguity.candidates.map(c => c.category), ["instructor", "instructor"]);
+});
+
+test("pins the candidate the user selected", () => {
+  const resolutions = resolveEntities(["Robert"], { Robert: { category: "instructor", value: "Robert Smith" } });
+  assert.deepEqual(getAmbiguities(resolutions), []);
+  assert.deepEqual(buildContextMessages(resolutions).params, ["Robert Smith"]);
+});
+
+test("rejects a selection that is not one of the candidates", () => {
+  assert.throws(
+    () => resolveEntities(["Robert"], { Robert: { category: "instructor", value: "Udit Bhatia" } }),
+    InvalidSelectionError
+  );
+});
+
+test("resolves curated abbreviations through the alias table", () => {
+  assert.deepEqual(resolveTerm("DS").map(({ category, value, source }) => ({ category, value, source })), [
+    { category: "domain", value: "Data Science", source: "alias" },
+  ]);
+  assert.equal(resolveTerm("SD")[0].value, "System Design");
+});
+
+test("ranks exact alias hits ahead of fuzzy matches", () => {
+  const [first] = resolveTerm("kostas");
+  assert.deepEqual({ value: first.value, score: first.score, source: first.source },
+    { value: "Konstantinos Pappas", score: 0, source: "alias" });
+});
+
+test("does not repeat a value that matches through both alias and Fuse", () => {
+  const values = resolveTerm("Robert").map(c => c.value);
+  assert.equal(values.length, new Set(values).size);
+});
+
+test("refreshCaches picks up dimension values added after the first load", async () => {
+  await pool.query("INSERT INTO dim_instructor (first_name, last_name, region) VALUES ('Priyanka', 'Raghunathan', 'India')");
+  try {
+    assert.deepEqual(resolveTerm("Raghunathan"), []);
+
+    const status = await refreshCaches();
+    assert.equal(status.counts.instructors, 7);
+    assert.equal(resolveTerm("Raghunathan")[0].value, "Priyanka Raghunathan");
+  } finally {
+    await pool.query("DELETE FROM dim_instructor WHERE last_name = 'Raghunathan'");
+    await refreshCaches();
+  }
+});
+
+test("reports cache age, entry counts and errors", () => {
+  const status = getCacheStatus();
+  assert.equal(status.loaded, true);
+  assert.equal(status.healthy, true);
+  assert.equal(status.lastError, null);
+  assert.ok(status.ageMs >= 0);
+  assert.deepEqual(status.counts, { instructors: 6, domains: 4, classes: 5, topics: 3, aliases: 5 });
+});
@@ -0,0 +1,45 @@
+// test/run.js
+// Entry point for `npm test`: prepares the test database once, then runs every
+// test/*.test.js file with the mock LLM provider so no API keys are needed.
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { startTestDatabase } = require("./helpers/testDatabase");
+
+async function main() {
+  const db = await startTestDatabase();
+
+  const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith(".test.js"))
+    .map(f => path.join(__dirname, f));
+
+  const env = {
+    ...process.env,
+    NEON_DATABASE_URL: db.url,
+    DATABASE_SSL: "false",
+    LLM_PROVIDER: "mock",
+    LLM_MOCK_FIXTURES: path.join(__dirname, "fixtures", "llm.json"),
+    // Every request runs as an admin; test/auth.test.js turns logins back on
+    AUTH_DISABLED: "true",
+    // No rate limits or quotas, except where test/usage.test.js sets them
+    RATE_LIMIT_PER_USER: "0",
+    RATE_LIMIT_PER_IP: "0",
+    LLM_DAILY_TOKEN_QUOTA: "0",
+    // No answer cache, except in test/answerCache.test.js
+    ANSWER_CACHE_TTL_MS: "0",
+  };
+
+  const code = await new Promise((resolve) => {
+    const child = spawn(process.execPath, ["--test", "--test-concurrency=1", "--test-reporter=spec", ...files], { env, stdio: "inherit" });
+    child.on("exit", (exitCode) => resolve(exitCode ?? 1));
+  });
+
+  await db.stop();
+  process.exit(code);
+}
+
+main().catch((error) => {
+  console.error("[Test] Setup failed:", error);
+  process.exit(1);
+});
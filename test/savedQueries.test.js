@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(async () => {
+  await server.close();
+  await pool.end();
+});
+
+async function send(method, path, body) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+test("saves an answered question and re-runs its stored SQL", async () => {
+  const question = "Who is the highest rated instructor?";
+  const { body: answer } = await postJson(`${server.baseUrl}/api/query`, { query: question });
+
+  const { status, body: saved } = await postJson(`${server.baseUrl}/api/saved-queries`, {
+    name: "Top instructor", question, sql: answer.sql, params: answer.params,
+  });
+  assert.equal(status, 201);
+  assert.equal(saved.question, question);
+  assert.equal(saved.pinned, false);
+
+  const run = await postJson(`${server.baseUrl}/api/saved-queries/${saved.id}/run`, {});
+  assert.equal(run.status, 200);
+  assert.deepEqual(run.body.data, answer.data);
+});
+
+test("rejects unsafe SQL, duplicate names and missing names", async () => {
+  const unsafe = await postJson(`${server.baseUrl}/api/saved-queries`, { name: "Wipe", sql: "DELETE FROM fact_sessions" });
+  assert.equal(unsafe.status, 422);
+  assert.equal(unsafe.body.code, "SQL_NOT_READ_ONLY");
+
+  const duplicate = await postJson(`${server.baseUrl}/api/saved-queries`, { name: "Top instructor", sql: "SELECT 1" });
+  assert.equal(duplicate.status, 409);
+
+  const unnamed = await postJson(`${server.baseUrl}/api/saved-queries`, { name: " ", sql: "SELECT 1" });
+  assert.equal(unnamed.status, 400);
+});
+
+test("hand-edited SQL with bound values is validated and stored", async () => {
+  const { body: saved } = await postJson(`${server.baseUrl}/api/saved-queries`, {
+    name: "Sessions by instructor",
+    sql: "SELECT COUNT(*) AS total FROM fact_sessions fs JOIN dim_instructor di ON fs.instructor_id = di.instructor_id WHERE di.full_name = $1",
+    params: ["Robert Jones"],
+  });
+
+  const badParam = await send("PATCH", `/api/saved-queries/${saved.id}`, { sql: "SELECT $2 AS x" });
+  assert.equal(badParam.status, 422);
+  assert.equal(badParam.body.code, "SQL_UNKNOWN_PARAMETER");
+
+  const edited = await send("PATCH", `/api/saved-queries/${saved.id}`, {
+    sql: "SELECT COUNT(*) AS total FROM fact_sessions fs JOIN dim_instructor di ON fs.instructor_id = di.instructor_id WHERE di.full_name <> $1",
+  });
+  assert.equal(edited.status, 200);
+  assert.match(edited.body.sql, /<> \$1/);
+  assert.deepEqual(edited.body.params, ["Robert Jones"]);
+});
+
+test("pinned queries are listed for the dashboard in pin order", async () => {
+  const { body: all } = await getJson(`${server.baseUrl}/api/saved-queries`);
+  const byName = Object.fromEntries(all.map(s => [s.name, s]));
+
+  await send("PATCH", `/api/saved-queries/${byName["Sessions by instructor"].id}`, { pinned: true });
+  await send("PATCH", `/api/saved-queries/${byName["Top instructor"].id}`, { pinned: true });
+
+  const { body: pinned } = await getJson(`${server.baseUrl}/api/saved-queries?pinned=true`);
+  assert.deepEqual(pinned.map(s => s.name), ["Sessions by instructor", "Top instructor"]);
+
+  const unpinned = await send("PATCH", `/api/saved-queries/${byName["Sessions by instructor"].id}`, { pinned: false });
+  assert.equal(unpinned.body.dashboard_position, null);
+});
+
+test("deletes saved queries", async () => {
+  const { body: all } = await getJson(`${server.baseUrl}/api/saved-queries`);
+  for (const saved of all) {
+    assert.equal((await send("DELETE", `/api/saved-queries/${saved.id}`)).status, 204);
+  }
+  assert.equal((await send("DELETE", `/api/saved-queries/${all[0].id}`)).status, 404);
+  assert.equal((await postJson(`${server.baseUrl}/api/saved-queries/${all[0].id}/run`, {})).status, 404);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { loadPromptConfig, introspectSchema, buildSqlPrompt, loadSqlPrompt } = require("../schemaPrompt");
+
+test.after(async () => {
+  await pool.end();
+});
+
+test("reads tables, columns, comments and joins from the catalog", async () => {
+  const config = loadPromptConfig();
+  const schema = await introspectSchema(config);
+  assert.deepEqual(schema.map(t => t.name), ["fact_sessions", "dim_instructor", "dim_class", "dim_domain", "dim_topic"]);
+
+  const fact = schema[0];
+  const column = (name) => fact.columns.find(c => c.name === name);
+  assert.deepEqual(
+    { type: column("pst_date").type, comment: column("pst_date").comment },
+    { type: "date", comment: "The master date, recorded in Pacific Time. ALWAYS use it for when / year / month / quarter filters." }
+  );
+  assert.deepEqual(column("instructor_id").references, { table: "dim_instructor", column: "instructor_id" });
+  // Bookkeeping columns listed in hiddenColumns stay out of the prompt
+  assert.equal(column("import_batch_id"), undefined);
+});
+
+test("lists the values of low-cardinality text columns, but not names", async () => {
+  const schema = await introspectSchema(loadPromptConfig());
+  const column = (table, name) => schema.find(t => t.name === table).columns.find(c => c.name === name);
+  assert.deepEqual(column("dim_instructor", "region").samples, ["Europe", "India", "US"]);
+  assert.ok(column("dim_topic", "topic_code").samples.includes("Live Class"));
+  assert.equal(column("dim_instructor", "full_name").samples, null);
+
+  const few = await introspectSchema({ ...loadPromptConfig(), samples: { maxDistinct: 2 } });
+  assert.equal(few.find(t => t.name === "dim_instructor").columns.find(c => c.name === "region").samples, null);
+});
+
+test("merges the config's rules into the prompt", async () => {
+  const { prompt, version } = await loadSqlPrompt();
+  assert.equal(version, loadPromptConfig().version);
+  assert.match(prompt, /- average_rating \(numeric\): The score \(1\.00 to 5\.00\)/);
+  assert.match(prompt, /`JOIN dim_domain dd ON fs\.domain_id = dd\.domain_id`/);
+  assert.match(prompt, /- region \(text\): INSTRUCTOR REGION: .* Values: 'Europe', 'India', 'US'\./);
+  assert.match(prompt, /\*\*Bound Parameters:\*\*/);
+  // Columns that never existed are not mentioned; examples are picked per question (see examples.js)
+  assert.doesNotMatch(prompt, /session_ts_utc|students_attended|\*\*User:\*\*/);
+});
+
+test("builds the prompt from whatever columns the schema has", () => {
+  const schema = [{
+    name: "fact_sessions", comment: null,
+    columns: [{ name: "no_shows", type: "integer", comment: "Registered but absent.", samples: null, references: null }],
+  }];
+  const prompt = buildSqlPrompt(schema, { role: "Analyst.", tables: {}, rules: [["**Rule:** one", "- detail"]], examples: [] });
+  assert.match(prompt, /\*\*fact_sessions \(alias: fact_sessions\)\*\*\n- no_shows \(integer\): Registered but absent\./);
+  assert.match(prompt, /1\. \*\*Rule:\*\* one\n    - detail/);
+  assert.doesNotMatch(prompt, /EXAMPLES/);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool, executeReadOnlyQuery } = require("../db");
+const { createUser } = require("../auth");
+const { startServer } = require("./helpers/server");
+
+const PASSWORD = "correct horse battery";
+
+let server;
+test.before(async () => {
+  process.env.AUTH_DISABLED = "false";
+  server = await startServer();
+  await createUser({ username: "global.admin", password: PASSWORD, role: "admin" });
+});
+test.after(async () => {
+  process.env.AUTH_DISABLED = "true";
+  await pool.query("TRUNCATE app_users CASCADE");
+  await pool.query("DELETE FROM saved_queries WHERE name = 'Scoped top instructor'");
+  await server.close();
+  await pool.end();
+});
+
+async function send(method, path, { body, token } = {}) {
+  const response = await fetch(`${server.baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+async function loginAs(username) {
+  const { body } = await send("POST", "/api/auth/login", { body: { username, password: PASSWORD } });
+  return body.token;
+}
+
+const countSessions = async (scope) =>
+  (await executeReadOnlyQuery("SELECT COUNT(*)::int AS n FROM fact_sessions", [], { scope })).rows[0].n;
+
+test("row-level security limits generated SQL to the scope's regions and domains", async () => {
+  assert.equal(await countSessions(null), 17);
+  // Konstantinos' India class, Udit's and Parivesh's sessions, and Robert Smith's India classes
+  assert.equal(await countSessions({ regions: ["India"], domains: null }), 11);
+  assert.equal(await countSessions({ regions: null, domains: ["Backend"] }), 5);
+  assert.equal(await countSessions({ regions: ["India"], domains: ["Backend"] }), 4);
+  assert.equal(await countSessions({ regions: ["Mars"], domains: null }), 0);
+});
+
+test("the reader role can't see the app's own tables", async () => {
+  await assert.rejects(executeReadOnlyQuery("SELECT * FROM app_users"), /permission denied/);
+});
+
+test("checks scopes against the data when users are created", async () => {
+  const user = await createUser({
+    username: "india.lead", password: PASSWORD, role: "analyst", scope: { regions: ["india"] },
+  });
+  assert.deepEqual(user.scope, { regions: ["India"], domains: null });
+
+  await assert.rejects(createUser({ username: "x1", password: PASSWORD, scope: { regions: ["Atlantis"] } }), /Unknown regions: Atlantis/);
+  await assert.rejects(createUser({ username: "x2", password: PASSWORD, scope: { domains: [] } }), /non-empty list/);
+});
+
+test("answers, saved questions and exports only cover the user's scope", async () => {
+  const token = await loginAs("india.lead");
+  const { body: me } = await send("GET", "/api/auth/me", { token });
+  assert.deepEqual(me.user.scope, { regions: ["India"], domains: null });
+
+  // Robert Jones (US) is the top instructor overall; within India it is Konstantinos (his India class)
+  const question = "Who is the highest rated instructor?";
+  const { status, body } = await send("POST", "/api/query", { token, body: { query: question } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, [{ full_name: "Konstantinos Pappas", avg_rating: "4.90" }]);
+
+  const { body: entry } = await send("GET", `/api/query-log/${body.logId}`, { token });
+  assert.deepEqual(entry.data_scope, { regions: ["India"], domains: null });
+
+  // A saved question runs within the scope of whoever runs it
+  const admin = await loginAs("global.admin");
+  const { body: saved } = await send("POST", "/api/saved-queries", {
+    token: admin, body: { name: "Scoped top instructor", sql: body.sql, params: body.params },
+  });
+  const adminRun = await send("POST", `/api/saved-queries/${saved.id}/run`, { token: admin });
+  assert.equal(adminRun.body.data[0].full_name, "Robert Jones");
+  const scopedRun = await send("POST", `/api/saved-queries/${saved.id}/run`, { token });
+  assert.equal(scopedRun.body.data[0].full_name, "Konstantinos Pappas");
+
+  const csv = await fetch(`${server.baseUrl}/api/saved-queries/${saved.id}/export?format=csv`, { headers: { Authorization: `Bearer ${token}` } });
+  const text = await csv.text();
+  assert.match(text, /Konstantinos Pappas/);
+  assert.doesNotMatch(text, /Robert Jones/);
+});
+
+test("admins can change or lift a user's scope", async () => {
+  const admin = await loginAs("global.admin");
+  const { body: users } = await send("GET", "/api/users", { token: admin });
+  const lead = users.find(u => u.username === "india.lead");
+
+  const narrowed = await send("PATCH", `/api/users/${lead.id}`, { token: admin, body: { scope: { regions: ["India"], domains: ["backend"] } } });
+  assert.deepEqual(narrowed.body.scope, { regions: ["India"], domains: ["Backend"] });
+  assert.equal((await send("PATCH", `/api/users/${lead.id}`, { token: admin, body: { scope: { regions: "India" } } })).status, 400);
+
+  const lifted = await send("PATCH", `/api/users/${lead.id}`, { token: admin, body: { scope: null } });
+  assert.equal(lifted.body.scope, null);
+});
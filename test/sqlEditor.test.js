@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { appendTurn, newConversationId } = require("../conversations");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+const EDITED = "SELECT di.full_name, COUNT(fs.session_id) AS sessions FROM fact_sessions fs " +
+  "JOIN dim_instructor di ON fs.instructor_id = di.instructor_id WHERE di.full_name = $1 GROUP BY di.full_name";
+
+let server;
+let answer;
+test.before(async () => {
+  server = await startServer();
+  ({ body: answer } = await postJson(`${server.baseUrl}/api/query`, {
+    query: "How is Robert doing?", selections: { Robert: { category: "instructor", value: "Robert Smith" } }
+  }));
+});
+test.after(async () => {
+  await pool.query("TRUNCATE sql_examples");
+  await server.close();
+  await pool.end();
+});
+
+const runSql = (body) => postJson(`${server.baseUrl}/api/query/sql`, { question: "How is Robert doing?", ...body });
+const stagesOf = async (logId) =>
+  (await pool.query("SELECT stage FROM llm_usage WHERE log_id = $1", [logId])).rows.map(r => r.stage);
+
+test("runs edited SQL with the answer's bound values, without calling the model", async () => {
+  const { status, body } = await runSql({ sql: EDITED, params: answer.params });
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 1);
+  assert.equal(body.data[0].full_name, "Robert Smith");
+  assert.equal(body.summary, null);
+  assert.deepEqual(await stagesOf(body.logId), []);
+
+  const { body: entry } = await getJson(`${server.baseUrl}/api/query-log/${body.logId}`);
+  assert.equal(entry.source, "sql_editor");
+  assert.equal(entry.sql, EDITED);
+  assert.deepEqual(entry.params, ["Robert Smith"]);
+});
+
+test("regenerates the summary and becomes the conversation's latest turn", async () => {
+  const { body } = await runSql({ sql: EDITED, params: answer.params, conversationId: answer.conversationId, summarize: true });
+  assert.equal(body.summary, "Test summary.");
+  assert.deepEqual(await stagesOf(body.logId), ["summary"]);
+
+  const { body: conversation } = await getJson(`${server.baseUrl}/api/conversations/${answer.conversationId}`);
+  const latest = conversation.turns.at(-1);
+  assert.equal(latest.turn_id, body.turnId);
+  assert.equal(latest.sql, EDITED);
+
+  const exported = await fetch(`${server.baseUrl}/api/conversations/${answer.conversationId}/turns/${body.turnId}/export?format=json`);
+  assert.equal(exported.status, 200);
+});
+
+test("can't add a turn to another user's conversation", async () => {
+  const conversationId = newConversationId();
+  await appendTurn(conversationId, { askedBy: "someone-else", question: "Who is the highest rated instructor?", sql: "SELECT 1" });
+
+  const { status, body } = await runSql({ sql: EDITED, params: answer.params, conversationId });
+  assert.equal(status, 404);
+  assert.ok(body.logId);
+
+  const { rows } = await pool.query("SELECT asked_by, sql_query FROM conversation_turns WHERE conversation_id = $1", [conversationId]);
+  assert.deepEqual(rows, [{ asked_by: "someone-else", sql_query: "SELECT 1" }]);
+});
+
+test("goes through the same guard as generated SQL", async () => {
+  const blocked = await runSql({ sql: "DELETE FROM fact_sessions" });
+  assert.equal(blocked.status, 422);
+  assert.ok(blocked.body.logId);
+  assert.equal((await runSql({ sql: "SELECT * FROM fact_sessions WHERE instructor_id = $2", params: [1] })).status, 422);
+  assert.equal((await runSql({ sql: "SELECT 1 FROM pg_user" })).status, 422);
+  assert.equal((await runSql({ sql: "SELECT 1", question: "" })).status, 400);
+  assert.equal((await runSql({ sql: "SELECT 1", params: "x" })).status, 400);
+});
+
+test("edited SQL can be saved as an example with its values written in", async () => {
+  const { body } = await runSql({ sql: EDITED, params: answer.params });
+  const { status, body: example } = await postJson(`${server.baseUrl}/api/examples`, { logId: body.logId });
+  assert.equal(status, 201);
+  assert.match(example.sql, /di\.full_name = 'Robert Smith' GROUP BY/);
+});
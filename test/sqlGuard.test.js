@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateSql, bindParameters, inlineParameters, SqlSafetyError } = require("../sqlGuard");
+
+const blockedWith = (sql, code) => {
+  assert.throws(() => validateSql(sql), (error) => error instanceof SqlSafetyError && error.code === code);
+};
+
+test("allows a single SELECT over the star schema", () => {
+  const sql = "SELECT di.full_name FROM fact_sessions fs JOIN dim_instructor di ON fs.instructor_id = di.instructor_id;";
+  assert.equal(validateSql(sql), sql.slice(0, -1));
+});
+
+test("allows CTEs that read from the star schema", () => {
+  const sql = "WITH m AS (SELECT pst_date FROM fact_sessions) SELECT * FROM m";
+  assert.equal(validateSql(sql), sql);
+});
+
+test("rejects writes, DDL and data-modifying CTEs", () => {
+  blockedWith("DELETE FROM fact_sessions", "SQL_NOT_READ_ONLY");
+  blockedWith("DROP TABLE dim_topic", "SQL_NOT_READ_ONLY");
+  blockedWith("WITH d AS (DELETE FROM dim_topic RETURNING *) SELECT * FROM d", "SQL_NOT_READ_ONLY");
+});
+
+test("rejects multiple statements", () => {
+  blockedWith("SELECT 1 FROM fact_sessions; SELECT 2 FROM dim_topic", "SQL_MULTIPLE_STATEMENTS");
+});
+
+test("rejects tables outside the analytics schema", () => {
+  blockedWith("SELECT * FROM pg_catalog.pg_user", "SQL_TABLE_NOT_ALLOWED");
+  blockedWith("SELECT * FROM users", "SQL_TABLE_NOT_ALLOWED");
+});
+
+test("a CTE name only covers its own WITH, not a real table of the same name", () => {
+  blockedWith(
+    "SELECT username, password_hash FROM app_users UNION ALL " +
+    "SELECT * FROM (WITH app_users AS (SELECT 1 a, 2 b) SELECT * FROM app_users) x",
+    "SQL_TABLE_NOT_ALLOWED"
+  );
+  // A CTE can't read one defined after it
+  blockedWith("WITH b AS (SELECT * FROM a), a AS (SELECT * FROM fact_sessions) SELECT * FROM b", "SQL_TABLE_NOT_ALLOWED");
+
+  const chained = "WITH a AS (SELECT * FROM fact_sessions), b AS (SELECT * FROM a) SELECT * FROM b";
+  assert.equal(validateSql(chained), chained);
+  const recursive = "WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r WHERE n < 3) SELECT * FROM r";
+  assert.equal(validateSql(recursive), recursive);
+});
+
+test("rejects server functions", () => {
+  blockedWith("SELECT pg_sleep(10)", "SQL_NOT_READ_ONLY");
+});
+
+test("marks malformed SQL as retryable but unsafe SQL as final", () => {
+  assert.throws(() => validateSql("SELEC oops"), (error) => error.retryable === true);
+  assert.throws(() => validateSql("DELETE FROM fact_sessions"), (error) => error.retryable === false);
+});
+
+test("bindParameters keeps only referenced values and renumbers placeholders", () => {
+  const sql = "SELECT '$2' AS label FROM fact_sessions WHERE a = $3 AND b = ANY($1) AND c = $3";
+  assert.deepEqual(bindParameters(sql, ["x", "unused", "O'Brien"]), {
+    sql: "SELECT '$2' AS label FROM fact_sessions WHERE a = $1 AND b = ANY($2) AND c = $1",
+    params: ["O'Brien", "x"],
+  });
+});
+
+test("bindParameters leaves dollar-quoted strings alone", () => {
+  const sql = "SELECT $$ $2 $$ AS a, $tag$ $3 $tag$ AS b FROM fact_sessions WHERE c = $1";
+  assert.deepEqual(bindParameters(sql, ["x"]), { sql, params: ["x"] });
+});
+
+test("bindParameters rejects placeholders that were never bound", () => {
+  assert.throws(() => bindParameters("SELECT 1 FROM fact_sessions WHERE a = $2", ["x"]),
+    (error) => error.code === "SQL_UNKNOWN_PARAMETER" && error.retryable);
+});
+
+test("inlineParameters renders escaped literals for display", () => {
+  assert.equal(
+    inlineParameters("WHERE di.full_name = $1 AND dc.class_name = ANY($2)", ["O'Brien", ["A", "B"]]),
+    "WHERE di.full_name = 'O''Brien' AND dc.class_name = ANY(ARRAY['A', 'B'])"
+  );
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pool } = require("../db");
+const { complete } = require("../llm");
+const { estimateCost, checkUsageLimits } = require("../usage");
+const { startServer, postJson, getJson } = require("./helpers/server");
+
+const QUESTION = "Who is the highest rated instructor?";
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(async () => {
+  for (const name of ["RATE_LIMIT_PER_USER", "RATE_LIMIT_PER_IP", "LLM_DAILY_TOKEN_QUOTA"]) process.env[name] = "0";
+  await server.close();
+  await pool.end();
+});
+
+// Sets limits for one block and puts the test defaults (no limits) back afterwards
+async function withLimits(limits, fn) {
+  Object.assign(process.env, limits);
+  try {
+    await fn();
+  } finally {
+    for (const name of Object.keys(limits)) process.env[name] = "0";
+  }
+}
+
+test("reports the usage of every completion, estimating it when the provider doesn't", async () => {
+  const calls = [];
+  await complete("sql", { messages: [{ role: "user", content: QUESTION }], onUsage: (call) => calls.push(call) });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(
+    { stage: calls[0].stage, model: calls[0].model, estimated: calls[0].estimated },
+    { stage: "sql", model: "mock", estimated: true }
+  );
+  assert.equal(calls[0].promptTokens, Math.ceil(QUESTION.length / 4));
+  assert.equal(calls[0].totalTokens, calls[0].promptTokens + calls[0].completionTokens);
+});
+
+test("estimates costs from the price per million tokens", () => {
+  assert.equal(estimateCost("llama-3.3-70b-versatile", 1e6, 1e6), 0.59 + 0.79);
+  assert.equal(estimateCost("mock", 5000, 5000), 0);
+  assert.equal(estimateCost("some-unpriced-model", 1e6, 1e6), 0);
+});
+
+test("records each stage's tokens against the question and the user", async () => {
+  const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+  assert.equal(status, 200);
+
+  const { rows } = await pool.query(
+    "SELECT stage, username, model, total_tokens FROM llm_usage WHERE log_id = $1 ORDER BY usage_id", [body.logId]
+  );
+  assert.deepEqual(rows.map(r => r.stage), ["extraction", "sql", "summary"]);
+  assert.ok(rows.every(r => r.username === "dev" && r.model === "mock" && r.total_tokens > 0));
+});
+
+test("rate limits questions per user and per IP with a 429 and the reset time", async () => {
+  await withLimits({ RATE_LIMIT_PER_USER: "2" }, async () => {
+    const responses = [];
+    for (let i = 0; i < 3; i++) responses.push(await fetch(`${server.baseUrl}/api/query`, {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ query: QUESTION }),
+    }));
+    const limited = responses[2];
+    assert.equal(limited.status, 429);
+    assert.ok(parseInt(limited.headers.get("retry-after"), 10) > 0);
+    const body = await limited.json();
+    assert.equal(body.code, "RATE_LIMITED");
+    assert.match(body.error, /limit is 2 per 60 seconds/);
+    assert.ok(Date.parse(body.resetAt) > Date.now());
+  });
+
+  await withLimits({ RATE_LIMIT_PER_IP: "1" }, async () => {
+    assert.equal((await postJson(`${server.baseUrl}/api/query`, { query: QUESTION })).status, 200);
+    const limited = await postJson(`${server.baseUrl}/api/query/stream`, { query: QUESTION });
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /this address/);
+  });
+});
+
+test("a question one limit rejects doesn't count against the other", async () => {
+  await withLimits({ RATE_LIMIT_PER_USER: "1", RATE_LIMIT_PER_IP: "2" }, async () => {
+    const ip = "203.0.113.7";
+    await checkUsageLimits({ username: "ursula", ip });
+    await assert.rejects(checkUsageLimits({ username: "ursula", ip }), { code: "RATE_LIMITED", message: /from you/ });
+    // The rejected question left the address with one of its two questions
+    await checkUsageLimits({ username: "ulrich", ip });
+    await assert.rejects(checkUsageLimits({ username: "ines", ip }), { message: /this address/ });
+  });
+});
+
+test("stops a user at the daily token quota until midnight UTC", async () => {
+  await withLimits({ LLM_DAILY_TOKEN_QUOTA: "100" }, async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/query`, { query: QUESTION });
+    assert.equal(status, 429);
+    assert.equal(body.code, "QUOTA_EXCEEDED");
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    assert.equal(body.resetAt, midnight.toISOString());
+  });
+});
+
+test("reports usage by user, day and stage to admins", async () => {
+  const { status, body } = await getJson(`${server.baseUrl}/api/admin/usage`);
+  assert.equal(status, 200);
+  const today = new Date().toISOString().slice(0, 10);
+  assert.ok(body.totals.total_tokens > 0);
+  assert.ok(body.byUser.some(u => u.username === "dev" && u.questions >= 1));
+  assert.deepEqual(body.byDay.map(d => d.day), [today]);
+  assert.deepEqual(body.byStage.map(s => s.stage), ["extraction", "sql", "summary"]);
+
+  const old = await getJson(`${server.baseUrl}/api/admin/usage?since=2020-01-01&until=2020-01-31`);
+  assert.equal(old.body.totals.calls, 0);
+  assert.equal((await getJson(`${server.baseUrl}/api/admin/usage?since=yesterday`)).status, 400);
+});
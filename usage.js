@@ -0,0 +1,208 @@
+// usage.js
+// LLM usage accounting and limits: every completion is recorded with its tokens and estimated
+// cost, questions are rate limited per user and per IP, and each user has a daily token quota.
+
+const { pool } = require("./db");
+
+// USD per million tokens. LLM_PRICES (JSON, same shape) adds models or overrides these.
+const DEFAULT_PRICES = {
+  "llama-3.3-70b-versatile": { prompt: 0.59, completion: 0.79 },
+  "llama-3.1-8b-instant": { prompt: 0.05, completion: 0.08 },
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  mock: { prompt: 0, completion: 0 },
+};
+
+const DEFAULT_DAILY_TOKEN_QUOTA = 250000;
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMITS = { user: 20, ip: 60 };
+
+// Limits are read on every request, so they can be changed without a restart (and in tests)
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Raised when a rate limit or the daily quota is hit. Carries the HTTP status (429)
+ * and when the limit resets.
+ */
+class UsageLimitError extends Error {
+  constructor(message, code, resetAt) {
+    super(message);
+    this.name = "UsageLimitError";
+    this.status = 429;
+    this.code = code;
+    this.resetAt = resetAt;
+  }
+}
+
+let prices = null;
+const warnedModels = new Set();
+
+function getPrices() {
+  if (!prices) {
+    let overrides = {};
+    try {
+      overrides = JSON.parse(process.env.LLM_PRICES || "{}");
+    } catch (e) {
+      console.warn(`[Usage] Ignoring LLM_PRICES: ${e.message}`);
+    }
+    prices = { ...DEFAULT_PRICES, ...overrides };
+  }
+  return prices;
+}
+
+/**
+ * Estimated cost of one completion in USD. Models without a price count as free (with a warning).
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = getPrices()[model];
+  if (!price) {
+    if (!warnedModels.has(model)) console.warn(`[Usage] No price for model "${model}"; add it to LLM_PRICES.`);
+    warnedModels.add(model);
+    return 0;
+  }
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Stores the completions made for one question. Accounting never fails the request: errors are only reported.
+ * @param {Object} entry { logId, username, clientIp, calls } where each call is the
+ *   { stage, provider, model, promptTokens, completionTokens, totalTokens, estimated } llm.complete reported.
+ */
+async function recordUsage({ logId = null, username = null, clientIp = null, calls }) {
+  if (calls.length === 0) return;
+  try {
+    const rows = calls.map(call => ({
+      stage: call.stage, provider: call.provider, model: call.model,
+      prompt_tokens: call.promptTokens, completion_tokens: call.completionTokens, total_tokens: call.totalTokens,
+      estimated: call.estimated, cost_usd: estimateCost(call.model, call.promptTokens, call.completionTokens),
+    }));
+    await pool.query(
+      `INSERT INTO llm_usage (log_id, username, client_ip, stage, provider, model, prompt_tokens, completion_tokens,
+         total_tokens, estimated, cost_usd)
+       SELECT $1, $2, $3, stage, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated, cost_usd
+       FROM jsonb_to_recordset($4::jsonb) AS r(stage text, provider text, model text, prompt_tokens int,
+         completion_tokens int, total_tokens int, estimated boolean, cost_usd numeric)`,
+      [logId, username, clientIp, JSON.stringify(rows)]
+    );
+  } catch (e) {
+    console.error("[Usage] Failed to record usage:", e.message);
+  }
+}
+
+// Quotas are per UTC day
+function nextUtcMidnight(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Checks a user's tokens for today against LLM_DAILY_TOKEN_QUOTA (0 turns the quota off).
+ * The check runs before a question, so the question that crosses the quota still completes.
+ * @returns {Promise<{used: number, quota: number, resetAt: Date}>}
+ * @throws {UsageLimitError} When the user has used up today's quota.
+ */
+async function checkQuota(username) {
+  const quota = envInt("LLM_DAILY_TOKEN_QUOTA", DEFAULT_DAILY_TOKEN_QUOTA);
+  const resetAt = nextUtcMidnight();
+  if (quota <= 0) return { used: 0, quota: 0, resetAt };
+
+  const { rows } = await pool.query(
+    `SELECT COALESCE(SUM(total_tokens), 0)::int AS used FROM llm_usage
+     WHERE username = $1 AND created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    [username]
+  );
+  const { used } = rows[0];
+  if (used >= quota) {
+    throw new UsageLimitError(
+      `Daily quota of ${quota} tokens used up (${used} used). It resets at ${resetAt.toISOString()}.`,
+      "QUOTA_EXCEEDED", resetAt
+    );
+  }
+  return { used, quota, resetAt };
+}
+
+// Sliding-window request log per key ("user:<name>" / "ip:<address>"). It lives in this process,
+// so each server instance counts its own requests.
+const requestTimes = new Map();
+const MAX_TRACKED_KEYS = 10000;
+
+// Requests for key still inside the window
+function recentRequests(key, windowMs, now) {
+  const recent = (requestTimes.get(key) || []).filter(t => t > now - windowMs);
+  requestTimes.set(key, recent);
+  return recent;
+}
+
+function recordRequest(key, windowMs, now) {
+  recentRequests(key, windowMs, now).push(now);
+
+  // Forget keys that have been quiet for a whole window
+  if (requestTimes.size > MAX_TRACKED_KEYS) {
+    for (const [k, times] of requestTimes) {
+      if (times.length === 0 || times[times.length - 1] <= now - windowMs) requestTimes.delete(k);
+    }
+  }
+}
+
+/**
+ * Checks the user's daily token quota and the per-IP and per-user rate limits
+ * (RATE_LIMIT_PER_IP and RATE_LIMIT_PER_USER questions per RATE_LIMIT_WINDOW_MS; 0 turns a
+ * limit off). The question only counts against the rate limits once every check has passed,
+ * so a rejected question doesn't use up anyone's budget.
+ * @throws {UsageLimitError} With the time the limit resets.
+ */
+async function checkUsageLimits({ username, ip }) {
+  await checkQuota(username);
+
+  const windowMs = envInt("RATE_LIMIT_WINDOW_MS", DEFAULT_RATE_LIMIT_WINDOW_MS);
+  const limits = [
+    { key: `ip:${ip}`, limit: envInt("RATE_LIMIT_PER_IP", DEFAULT_RATE_LIMITS.ip), who: "this address" },
+    { key: `user:${username}`, limit: envInt("RATE_LIMIT_PER_USER", DEFAULT_RATE_LIMITS.user), who: "you" },
+  ].filter(({ limit }) => limit > 0);
+
+  // Checked and recorded in one synchronous pass, so concurrent questions can't both slip under a limit
+  const now = Date.now();
+  for (const { key, limit, who } of limits) {
+    const recent = recentRequests(key, windowMs, now);
+    if (recent.length >= limit) {
+      const resetAt = new Date(recent[0] + windowMs);
+      throw new UsageLimitError(
+        `Too many questions from ${who}: the limit is ${limit} per ${Math.round(windowMs / 1000)} seconds. Try again at ${resetAt.toISOString()}.`,
+        "RATE_LIMITED", resetAt
+      );
+    }
+  }
+  for (const { key } of limits) recordRequest(key, windowMs, now);
+}
+
+/**
+ * Token usage and estimated cost between two dates (inclusive, UTC days).
+ * @param {Object} range { since, until } as YYYY-MM-DD.
+ * @returns {Promise<{since, until, totals, byUser, byDay, byStage}>}
+ */
+async function getUsageReport({ since, until }) {
+  const sums = `COUNT(*)::int AS calls, COUNT(DISTINCT log_id)::int AS questions,
+    COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens, COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+    COALESCE(SUM(total_tokens), 0)::int AS total_tokens, COALESCE(SUM(cost_usd), 0)::float AS cost_usd`;
+  const where = `WHERE created_at >= $1::date AT TIME ZONE 'UTC' AND created_at < ($2::date + 1) AT TIME ZONE 'UTC'`;
+  const report = async (groupBy) => (await pool.query(
+    `SELECT ${groupBy ? `${groupBy}, ` : ""}${sums} FROM llm_usage ${where}
+     ${groupBy ? `GROUP BY 1 ORDER BY 1` : ""}`,
+    [since, until]
+  )).rows;
+
+  const [totals] = await report(null);
+  return {
+    since,
+    until,
+    dailyTokenQuota: envInt("LLM_DAILY_TOKEN_QUOTA", DEFAULT_DAILY_TOKEN_QUOTA),
+    totals,
+    byUser: await report("COALESCE(username, '(unknown)') AS username"),
+    byDay: await report("to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day"),
+    byStage: await report("stage"),
+  };
+}
+
+module.exports = { recordUsage, estimateCost, checkQuota, checkUsageLimits, getUsageReport, UsageLimitError };